@@ -0,0 +1,104 @@
+"""
+Fit Platt calibration for a registered model on the calibration fold of the
+dataset (splits.py) and (with --write) store the parameters in models/registry.json.
+
+Usage: python ml_service/calibrate.py [--model <id>] [--write]
+"""
+import os
+import sys
+import json
+import time
+import argparse
+
+os.environ.setdefault('TF_CPP_MIN_LOG_LEVEL', '2')
+
+import numpy as np
+import tensorflow as tf
+from tensorflow.keras.preprocessing import image
+
+import calibration
+from registry import REGISTRY_PATH, load_registry
+# Held-out images the model was not trained on, minus the half evaluate_model.py reports on
+from splits import DATASET_DIR, calibration_fold
+
+BATCH_SIZE = 32
+
+
+def load_array(path, size):
+    # Same resize and scaling as the training generators
+    return image.img_to_array(image.load_img(path, target_size=tuple(size))) / 255.0
+
+
+def raw_scores(spec):
+    samples = calibration_fold()
+    if not samples:
+        raise ValueError(f"No calibration images found under {DATASET_DIR}")
+
+    model = tf.keras.models.load_model(spec['path'])
+    scores = []
+    for start in range(0, len(samples), BATCH_SIZE):
+        batch = np.stack([load_array(path, spec['input_size']) for path, _ in samples[start:start + BATCH_SIZE]])
+        scores.extend(model.predict(batch, verbose=0)[:, 0])
+    scores = np.array(scores, dtype='float64')
+    if spec['output'] == 'fake_probability':
+        scores = 1 - scores
+    # Real is the positive class, as Keras assigns it (fake=0, real=1)
+    labels = np.array([1.0 if label == 'real' else 0.0 for _, label in samples])
+    return scores, labels
+
+
+def band_counts(real_probabilities, decision):
+    counts = {calibration.FAKE: 0, calibration.REAL: 0, calibration.INCONCLUSIVE: 0}
+    for p in real_probabilities:
+        counts[calibration.decide(1 - p, decision)] += 1
+    return counts
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__, formatter_class=argparse.RawDescriptionHelpFormatter)
+    parser.add_argument('--model', help='registry model ID (default: the registry default)')
+    parser.add_argument('--write', action='store_true', help='save the fitted parameters to the registry')
+    args = parser.parse_args()
+
+    default, specs = load_registry()
+    model_id = args.model or default
+    if model_id not in specs:
+        print(f"Error: unknown model '{model_id}'")
+        sys.exit(1)
+    spec = specs[model_id]
+
+    scores, labels = raw_scores(spec)
+    fitted = calibration.fit_platt(scores, labels)
+    calibrated = np.array([calibration.apply(s, fitted) for s in scores])
+
+    report = {
+        "samples": int(len(labels)),
+        "ece_before": round(calibration.expected_calibration_error(scores, labels), 4),
+        "ece_after": round(calibration.expected_calibration_error(calibrated, labels), 4),
+        "brier_before": round(calibration.brier_score(scores, labels), 4),
+        "brier_after": round(calibration.brier_score(calibrated, labels), 4),
+    }
+    print(json.dumps({"model": model_id, **fitted, **report}, indent=2))
+    print("Decision bands on the calibration fold:", band_counts(calibrated, spec['decision']))
+
+    if not args.write:
+        print("Dry run; pass --write to store these parameters in the registry.")
+        return
+
+    with open(REGISTRY_PATH) as f:
+        registry = json.load(f)
+    for entry in registry['models']:
+        if entry['id'] == model_id:
+            entry['calibration'] = {
+                **fitted,
+                **report,
+                "fitted_at": time.strftime("%Y-%m-%dT%H:%M:%SZ", time.gmtime()),
+            }
+    with open(REGISTRY_PATH, 'w') as f:
+        json.dump(registry, f, indent=2)
+        f.write('\n')
+    print(f"Calibration for '{model_id}' written to {REGISTRY_PATH}")
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,81 @@
+"""
+Probability calibration and the three-way decision band.
+
+A raw sigmoid output of 0.51 is not a 51% chance of anything until it has been
+checked against held-out data. Platt scaling fits p = sigmoid(a * logit(raw) + b)
+on a held-out calibration fold so that, e.g., images scored at 80% turn out to be real
+about 80% of the time. Scores that land between the registry's cutoffs are
+reported as "inconclusive" instead of being forced into a verdict.
+"""
+import math
+
+import numpy as np
+
+EPSILON = 1e-6
+
+FAKE = "fake"
+REAL = "real"
+INCONCLUSIVE = "inconclusive"
+
+# Used when a registry entry does not declare its own band
+DEFAULT_DECISION = {"fake_min": 0.7, "real_max": 0.3}
+
+
+def _logit(p):
+    p = np.clip(np.asarray(p, dtype='float64'), EPSILON, 1 - EPSILON)
+    return np.log(p / (1 - p))
+
+
+def apply(raw, calibration):
+    """Calibrated real-probability for one raw real-probability."""
+    if not calibration:
+        return float(raw)
+    z = calibration["a"] * float(_logit(raw)) + calibration["b"]
+    return 1 / (1 + math.exp(-z))
+
+
+def decide(fake_probability, decision):
+    if fake_probability >= decision["fake_min"]:
+        return FAKE
+    if fake_probability <= decision["real_max"]:
+        return REAL
+    return INCONCLUSIVE
+
+
+def fit_platt(raw_scores, labels, iterations=100):
+    """
+    Fit a, b by Newton's method on the log loss. `labels` are 1 for real and
+    0 for fake, matching the real-probability the models output.
+    """
+    x = _logit(raw_scores)
+    y = np.asarray(labels, dtype='float64')
+    a, b = 1.0, 0.0
+    for _ in range(iterations):
+        p = 1 / (1 + np.exp(-(a * x + b)))
+        w = p * (1 - p) + EPSILON
+        grad = np.array([np.sum((p - y) * x), np.sum(p - y)])
+        hess = np.array([[np.sum(w * x * x), np.sum(w * x)], [np.sum(w * x), np.sum(w)]])
+        step = np.linalg.solve(hess + np.eye(2) * EPSILON, grad)
+        a, b = a - step[0], b - step[1]
+        if np.abs(step).max() < 1e-8:
+            break
+    return {"method": "platt", "a": float(a), "b": float(b)}
+
+
+def expected_calibration_error(probabilities, labels, bins=10):
+    """Average gap between predicted probability and observed frequency, weighted by bin size."""
+    p = np.asarray(probabilities, dtype='float64')
+    y = np.asarray(labels, dtype='float64')
+    edges = np.linspace(0, 1, bins + 1)
+    error = 0.0
+    for low, high in zip(edges[:-1], edges[1:]):
+        in_bin = (p >= low) & ((p < high) if high < 1 else (p <= high))
+        if in_bin.any():
+            error += in_bin.mean() * abs(p[in_bin].mean() - y[in_bin].mean())
+    return float(error)
+
+
+def brier_score(probabilities, labels):
+    p = np.asarray(probabilities, dtype='float64')
+    y = np.asarray(labels, dtype='float64')
+    return float(np.mean((p - y) ** 2))
@@ -0,0 +1,148 @@
+"""
+Original-vs-suspect comparison: align the suspect onto the original, then
+measure how much of the original survives in it.
+"""
+import base64
+import time
+
+import cv2
+import numpy as np
+from PIL import Image
+
+# Work at a bounded size so large photos compare in roughly constant time
+COMPARE_MAX_SIDE = 512
+# Feature matching needs at least this many RANSAC inliers to trust a homography
+MIN_ALIGN_INLIERS = 12
+# Hashes this close (out of 64 bits) are treated as the same picture
+PHASH_MATCH_DISTANCE = 18
+# Crops hashed next to the full image so a cropped copy still lands near it:
+# the central area and each corner, at this fraction of the width and height
+CROP_FRACTION = 0.8
+# Structural similarity at or above this means the suspect keeps the original's layout
+SSIM_MATCH = 0.6
+# Pixels whose local SSIM drops below this are marked as changed in the diff mask
+DIFF_SSIM_THRESHOLD = 0.5
+
+
+def load_rgb(img_path):
+    with Image.open(img_path) as img:
+        return np.asarray(img.convert('RGB'))
+
+
+def bounded(rgb, max_side=COMPARE_MAX_SIDE):
+    height, width = rgb.shape[:2]
+    scale = min(1.0, max_side / max(width, height))
+    if scale == 1.0:
+        return rgb
+    return cv2.resize(rgb, (int(width * scale), int(height * scale)), interpolation=cv2.INTER_AREA)
+
+
+def phash(rgb):
+    """64-bit DCT perceptual hash as a 16 character hex string."""
+    gray = cv2.cvtColor(rgb, cv2.COLOR_RGB2GRAY)
+    small = cv2.resize(gray, (32, 32), interpolation=cv2.INTER_AREA).astype('float32')
+    low = cv2.dct(small)[:8, :8]
+    bits = (low > np.median(low)).flatten()
+    return '%016x' % int(''.join('1' if b else '0' for b in bits), 2)
+
+
+def hash_variants(rgb):
+    """pHashes of the full image and of its five CROP_FRACTION crops, full image first."""
+    height, width = rgb.shape[:2]
+    ch, cw = int(height * CROP_FRACTION), int(width * CROP_FRACTION)
+    offsets = [((height - ch) // 2, (width - cw) // 2), (0, 0), (0, width - cw), (height - ch, 0), (height - ch, width - cw)]
+    return [phash(rgb)] + [phash(rgb[y:y + ch, x:x + cw]) for y, x in offsets]
+
+
+def perceptual_hashes(img_path):
+    return hash_variants(bounded(load_rgb(img_path)))
+
+
+def hamming(hash_a, hash_b):
+    return bin(int(hash_a, 16) ^ int(hash_b, 16)).count('1')
+
+
+def align(original, suspect):
+    """
+    Warp the suspect into the original's frame. Crops, rescales and small
+    rotations are undone with an ORB feature homography; when too few features
+    match, fall back to a plain resize.
+    """
+    height, width = original.shape[:2]
+    gray_a = cv2.cvtColor(original, cv2.COLOR_RGB2GRAY)
+    gray_b = cv2.cvtColor(suspect, cv2.COLOR_RGB2GRAY)
+
+    orb = cv2.ORB_create(nfeatures=2000)
+    kp_a, des_a = orb.detectAndCompute(gray_a, None)
+    kp_b, des_b = orb.detectAndCompute(gray_b, None)
+
+    if des_a is not None and des_b is not None and len(kp_a) >= MIN_ALIGN_INLIERS and len(kp_b) >= MIN_ALIGN_INLIERS:
+        matcher = cv2.BFMatcher(cv2.NORM_HAMMING, crossCheck=True)
+        matches = sorted(matcher.match(des_b, des_a), key=lambda m: m.distance)[:500]
+        if len(matches) >= MIN_ALIGN_INLIERS:
+            src = np.float32([kp_b[m.queryIdx].pt for m in matches]).reshape(-1, 1, 2)
+            dst = np.float32([kp_a[m.trainIdx].pt for m in matches]).reshape(-1, 1, 2)
+            homography, inliers = cv2.findHomography(src, dst, cv2.RANSAC, 5.0)
+            inlier_count = int(inliers.sum()) if inliers is not None else 0
+            if homography is not None and inlier_count >= MIN_ALIGN_INLIERS:
+                warped = cv2.warpPerspective(suspect, homography, (width, height))
+                coverage = cv2.warpPerspective(np.full(gray_b.shape, 255, np.uint8), homography, (width, height)) > 0
+                return warped, coverage, {"method": "homography", "inliers": inlier_count}
+
+    resized = cv2.resize(suspect, (width, height), interpolation=cv2.INTER_AREA)
+    return resized, np.ones((height, width), bool), {"method": "resize", "inliers": 0}
+
+
+def ssim_map(gray_a, gray_b):
+    """Per-pixel SSIM (Wang et al. 2004) with an 11x11 Gaussian window."""
+    c1, c2 = (0.01 * 255) ** 2, (0.03 * 255) ** 2
+    a, b = gray_a.astype('float64'), gray_b.astype('float64')
+
+    def blur(x):
+        return cv2.GaussianBlur(x, (11, 11), 1.5)
+
+    mu_a, mu_b = blur(a), blur(b)
+    var_a = blur(a * a) - mu_a ** 2
+    var_b = blur(b * b) - mu_b ** 2
+    cov = blur(a * b) - mu_a * mu_b
+    return ((2 * mu_a * mu_b + c1) * (2 * cov + c2)) / ((mu_a ** 2 + mu_b ** 2 + c1) * (var_a + var_b + c2))
+
+
+def diff_overlay(changed):
+    """Changed pixels as a translucent red PNG data URL, sized like the original."""
+    height, width = changed.shape
+    overlay = np.zeros((height, width, 4), np.uint8)
+    overlay[changed] = (0, 0, 255, 150)  # BGRA
+    ok, encoded = cv2.imencode('.png', overlay)
+    if not ok:
+        raise ValueError("Failed to encode diff mask")
+    return "data:image/png;base64," + base64.b64encode(encoded.tobytes()).decode('ascii')
+
+
+def compare(original_path, suspect_path):
+    started = time.perf_counter()
+    original = bounded(load_rgb(original_path))
+    suspect = bounded(load_rgb(suspect_path))
+
+    hash_a, hash_b = phash(original), phash(suspect)
+    distance = hamming(hash_a, hash_b)
+
+    aligned, coverage, alignment = align(original, suspect)
+    ssim = ssim_map(cv2.cvtColor(original, cv2.COLOR_RGB2GRAY), cv2.cvtColor(aligned, cv2.COLOR_RGB2GRAY))
+    score = float(ssim[coverage].mean()) if coverage.any() else 0.0
+
+    changed = (ssim < DIFF_SSIM_THRESHOLD) & coverage
+    changed = cv2.morphologyEx(changed.astype(np.uint8), cv2.MORPH_OPEN, np.ones((3, 3), np.uint8)).astype(bool)
+    changed_ratio = float(changed.sum()) / max(1, int(coverage.sum()))
+
+    finished = time.perf_counter()
+    return {
+        "phash": {"original": hash_a, "suspect": hash_b, "distance": distance},
+        "ssim": round(score, 4),
+        "changed_ratio": round(changed_ratio, 4),
+        "alignment": {**alignment, "coverage": round(float(coverage.mean()), 4)},
+        "likely_derived": distance <= PHASH_MATCH_DISTANCE or score >= SSIM_MATCH,
+        "diff_mask": diff_overlay(changed),
+        "size": {"width": original.shape[1], "height": original.shape[0]},
+        "timing_ms": {"total": round((finished - started) * 1000, 1)},
+    }
@@ -0,0 +1,256 @@
+"""
+Polite same-site crawler for the global scan.
+
+Starting from a site's landing page it follows links on the same host up to
+crawl_depth levels deep (0 = the landing page only) and collects the images
+each page shows: one image per <img> and <picture><source> (the lazy-load
+data-srcset / data-src original if there is one, else the largest srcset
+candidate, else src), CSS background images in style attributes and <style>
+blocks, and links that point straight at an image file (full-size uploads
+behind a thumbnail).
+
+Politeness: robots.txt is honoured for every page and image request, each
+host gets at most one request per delay (robots.txt Crawl-delay if it asks
+for longer), and every page and image URL is fetched once per crawler.
+
+Usage (lists the images a scan would try, without downloading them):
+  python ml_service/crawler.py <url> [--depth N] [--delay SECONDS]
+
+A local fixture site with the expected results is in fixtures/crawl_site:
+  python -m http.server 8765 --directory ml_service/fixtures/crawl_site
+  python ml_service/crawler.py http://localhost:8765/ --depth 2
+"""
+import re
+import sys
+import time
+import argparse
+from urllib.parse import urljoin, urldefrag, urlparse
+from urllib.robotparser import RobotFileParser
+
+import requests
+from bs4 import BeautifulSoup
+
+USER_AGENT = 'DeepfakeGuardianScanner/1.0'
+DEFAULT_DELAY = 1.0
+# A robots.txt Crawl-delay above this is clamped so one site cannot stall the whole scan
+MAX_DELAY = 30.0
+MAX_DEPTH = 3
+# Upper bound on pages fetched per site, whatever the depth
+MAX_PAGES = 200
+PAGE_TIMEOUT = 10
+
+IMAGE_EXTENSIONS = ('.jpg', '.jpeg', '.png', '.webp', '.gif', '.bmp')
+# Links with these extensions are never fetched as pages
+SKIP_EXTENSIONS = IMAGE_EXTENSIONS + (
+    '.svg', '.ico', '.pdf', '.zip', '.gz', '.mp4', '.webm', '.mp3', '.css', '.js', '.json', '.xml'
+)
+LAZY_SRC_ATTRS = ('data-src', 'data-lazy-src', 'data-original', 'data-lazy')
+LAZY_SRCSET_ATTRS = ('data-srcset', 'data-lazy-srcset')
+
+# One srcset candidate: a URL and an optional "640w" / "2x" descriptor. As in
+# browsers, the URL runs to the next whitespace, so commas inside it (CDN
+# transforms such as "w_640,h_480") stay part of it; the candidate ends at
+# commas right after the URL or at the first comma after its descriptors.
+SRCSET_CANDIDATE = re.compile(r'[\s,]*([^\s,]\S*?)(?:(,+)(?=\s|$)|(?=\s|$))(?(2)|\s*(?:([\d.]+)[wx])?[^,]*,?)')
+CSS_BACKGROUND = re.compile(r'background(?:-image)?\s*:([^;}]*)', re.IGNORECASE)
+CSS_URL = re.compile(r'url\(\s*[\'"]?([^\'")]+?)[\'"]?\s*\)', re.IGNORECASE)
+
+
+def log(message):
+    print(message, file=sys.stderr, flush=True)
+
+
+def largest_srcset_candidate(srcset):
+    """URL of the widest (or highest density) candidate in a srcset."""
+    best, best_size = None, -1.0
+    for match in SRCSET_CANDIDATE.finditer(srcset or ''):
+        url, size = match.group(1), float(match.group(3) or 1)
+        if size > best_size:
+            best, best_size = url, size
+    return best
+
+
+def css_background_urls(css):
+    """url(...) values of the background / background-image declarations in a CSS snippet."""
+    urls = []
+    for declaration in CSS_BACKGROUND.findall(css or ''):
+        urls.extend(CSS_URL.findall(declaration))
+    return urls
+
+
+def has_extension(url, extensions):
+    return urlparse(url).path.lower().endswith(extensions)
+
+
+def first_attr(tag, attrs, parse=lambda value: value):
+    for attr in attrs:
+        value = parse(tag.get(attr))
+        if value:
+            return value
+    return None
+
+
+def best_source(tag):
+    """The one URL an <img> or <source> stands for: the lazy-load original over a
+    (placeholder) src, and the largest srcset candidate over a single src."""
+    return (first_attr(tag, LAZY_SRCSET_ATTRS, largest_srcset_candidate)
+            or first_attr(tag, LAZY_SRC_ATTRS)
+            or largest_srcset_candidate(tag.get('srcset'))
+            or (tag.get('src') if tag.name == 'img' else None))
+
+
+def in_picture_with_sources(tag):
+    return tag.name == 'img' and tag.parent is not None and tag.parent.name == 'picture' \
+        and tag.parent.find('source') is not None
+
+
+def image_candidates(soup):
+    """Raw (unresolved) image URLs referenced by a parsed page, in document order."""
+    # A <picture>'s fallback <img> is the same image as its <source>s
+    candidates = [best_source(tag) for tag in soup.find_all(['img', 'source']) if not in_picture_with_sources(tag)]
+
+    for tag in soup.find_all(style=True):
+        candidates.extend(css_background_urls(tag['style']))
+    for style in soup.find_all('style'):
+        candidates.extend(css_background_urls(style.get_text()))
+
+    for link in soup.find_all('a', href=True):
+        if has_extension(link['href'], IMAGE_EXTENSIONS):
+            candidates.append(link['href'])
+    return [c.strip() for c in candidates if c and c.strip()]
+
+
+def bare_host(host):
+    return (host or '').lower().removeprefix('www.')
+
+
+def same_site(host, other):
+    """Hosts match, ignoring a leading www."""
+    return bare_host(host) == bare_host(other)
+
+
+class Crawler:
+    def __init__(self, delay=DEFAULT_DELAY, session=None):
+        self.delay = delay
+        self.session = session or requests.Session()
+        self.session.headers['User-Agent'] = USER_AGENT
+        self.robots = {}
+        self.last_request = {}
+        self.seen_pages = set()
+        self.seen_images = set()
+        # Pages fetched by the last images() crawl
+        self.pages_crawled = 0
+
+    def _robots_for(self, url):
+        origin = '{0.scheme}://{0.netloc}'.format(urlparse(url))
+        if origin not in self.robots:
+            parser = RobotFileParser(origin + '/robots.txt')
+            try:
+                response = self.session.get(parser.url, timeout=PAGE_TIMEOUT)
+                # Same rules as RobotFileParser.read(): missing means no
+                # restrictions, forbidden or a server error means stay out
+                if response.status_code in (401, 403) or response.status_code >= 500:
+                    parser.disallow_all = True
+                elif response.status_code >= 400:
+                    parser.allow_all = True
+                else:
+                    parser.parse(response.text.splitlines())
+            except requests.RequestException as e:
+                log(f"  Could not read {parser.url} ({e}); assuming no restrictions")
+                parser.allow_all = True
+            self.robots[origin] = parser
+        return self.robots[origin]
+
+    def allowed(self, url):
+        return self._robots_for(url).can_fetch(USER_AGENT, url)
+
+    # RobotFileParser only reads whole-second Crawl-delay values
+    def _host_delay(self, url):
+        crawl_delay = self._robots_for(url).crawl_delay(USER_AGENT)
+        return min(max(self.delay, float(crawl_delay or 0)), MAX_DELAY)
+
+    def _wait_for(self, url):
+        host = urlparse(url).netloc
+        wait = self.last_request.get(host, 0) + self._host_delay(url) - time.monotonic()
+        if wait > 0:
+            time.sleep(wait)
+        self.last_request[host] = time.monotonic()
+
+    def fetch(self, url, **kwargs):
+        """GET a URL once robots.txt allows it and the host's delay has passed; None if disallowed."""
+        if not self.allowed(url):
+            log(f"  Disallowed by robots.txt: {url}")
+            return None
+        self._wait_for(url)
+        return self.session.get(url, **kwargs)
+
+    def _page(self, url):
+        """(soup, final URL) of an HTML page, or (None, None)."""
+        try:
+            response = self.fetch(url, timeout=PAGE_TIMEOUT)
+        except requests.RequestException as e:
+            log(f"  Error fetching {url}: {e}")
+            return None, None
+        if response is None or response.status_code != 200:
+            return None, None
+        if 'html' not in response.headers.get('Content-Type', 'text/html'):
+            return None, None
+        return BeautifulSoup(response.content, 'html.parser'), response.url
+
+    def images(self, start_url, depth=0):
+        """Yield (page_url, image_url) for every image not seen before, breadth first."""
+        depth = max(0, min(int(depth or 0), MAX_DEPTH))
+        host = urlparse(start_url).netloc
+        queue = [(urldefrag(start_url)[0], 0)]
+        self.pages_crawled = 0
+
+        while queue and self.pages_crawled < MAX_PAGES:
+            page_url, level = queue.pop(0)
+            if page_url in self.seen_pages:
+                continue
+            self.seen_pages.add(page_url)
+
+            soup, final_url = self._page(page_url)
+            if soup is None:
+                if self.pages_crawled == 0:
+                    # The landing page itself failed; report it like a site error
+                    raise RuntimeError(f"Could not load {page_url}")
+                continue
+            self.pages_crawled += 1
+            log(f"  Page {self.pages_crawled} (depth {level}): {final_url}")
+
+            for src in image_candidates(soup):
+                image_url = urldefrag(urljoin(final_url, src))[0]
+                if not image_url.startswith(('http://', 'https://')) or has_extension(image_url, ('.svg',)):
+                    continue
+                if image_url in self.seen_images:
+                    continue
+                self.seen_images.add(image_url)
+                yield final_url, image_url
+
+            if level >= depth:
+                continue
+            for link in soup.find_all('a', href=True):
+                next_url = urldefrag(urljoin(final_url, link['href']))[0]
+                parsed = urlparse(next_url)
+                if parsed.scheme not in ('http', 'https') or not same_site(parsed.netloc, host):
+                    continue
+                if has_extension(next_url, SKIP_EXTENSIONS) or next_url in self.seen_pages:
+                    continue
+                queue.append((next_url, level + 1))
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__, formatter_class=argparse.RawDescriptionHelpFormatter)
+    parser.add_argument('url')
+    parser.add_argument('--depth', type=int, default=0, help=f'Link levels to follow (0-{MAX_DEPTH})')
+    parser.add_argument('--delay', type=float, default=DEFAULT_DELAY, help='Minimum seconds between requests to a host')
+    args = parser.parse_args()
+
+    crawler = Crawler(delay=args.delay)
+    for page_url, image_url in crawler.images(args.url, args.depth):
+        print(f"{image_url}\t(on {page_url})")
+
+
+if __name__ == "__main__":
+    main()
@@ -1,198 +1,252 @@
-import requests
-from bs4 import BeautifulSoup
-import tensorflow as tf
-from tensorflow.keras.preprocessing import image
-import numpy as np
+"""
+Global deepfake scan of the monitored websites.
+
+Usage: python ml_service/deepfake_scanner.py [--sites sites.json] [--known known.json] [--references refs.json]
+
+Progress is written to stdout as JSON lines, one event per line, so the server
+can store every result as it arrives:
+  {"event": "start", "sites": N, "model_id": ..., "model_version": ...}
+  {"event": "site", "url": ...}
+  {"event": "image", "source_url", "page_url", "image_url", "sha256", "phash", "skipped": false,
+   "prediction", "verdict", "fake_probability", "confidence"}
+  {"event": "image", "source_url", "page_url", "image_url", "sha256", "phash", "skipped": true}
+  {"event": "site_done", "url", "pages", "images", "error"}
+  {"event": "done"}
+"phash" lists perceptual hashes of the image and of five crops (see
+compare.hash_variants), or is null if the image could not be decoded.
+Human-readable logging goes to stderr.
+
+--sites points at a JSON list of {"url", "crawl_depth"} objects, written by
+the server from its site registry. Without it the legacy websites.txt list at
+the repo root is scanned. Each site is crawled by crawler.py, which follows
+same-site links crawl_depth levels deep and honours robots.txt and per-host
+delays; source_url is the site and page_url the page an image was found on.
+
+--known points at a JSON list of [image_url, sha256] pairs that earlier runs
+already scored; images matching one of them are reported as skipped instead
+of being run through the model again.
+
+--references points at a JSON list of a victim's reference photo paths. Each
+image is then first compared with those faces (face_match.py): images whose
+best face match is below the threshold are reported as
+  {"event": "image", "source_url", "page_url", "image_url", "sha256", "phash", "matched": false, "similarity"}
+without being scored, and matching ones carry "similarity" and "face" (the
+matched face box) alongside the usual fields.
+"""
 import os
+import sys
 import json
-import time
+import hashlib
+import argparse
+import tempfile
+
+from compare import perceptual_hashes
+from crawler import Crawler
+from detector import Detector
+from registry import default_spec
 
 # --- Configuration ---
-# Path to the trained model
 BASE_DIR = os.path.dirname(os.path.abspath(__file__))
 WEBSITES_FILE = os.path.join(BASE_DIR, '..', 'websites.txt')
+# Same cap as evidence uploads (server/middleware/upload.js), so one huge or
+# endless image URL cannot fill the disk
+MAX_IMAGE_BYTES = int(os.environ.get('UPLOAD_MAX_IMAGE_MB') or 20) * 1024 * 1024
 
-# Load websites from file
-TARGET_URLS = []
-if os.path.exists(WEBSITES_FILE):
-    try:
-        with open(WEBSITES_FILE, 'r') as f:
-            TARGET_URLS = [line.strip() for line in f if line.strip()]
-        print(f"Loaded {len(TARGET_URLS)} websites from {WEBSITES_FILE}")
-    except Exception as e:
-        print(f"Error reading websites.txt: {e}")
-else:
-    print(f"Warning: websites.txt not found at {WEBSITES_FILE}")
-    TARGET_URLS = ["https://thispersondoesnotexist.com/"] # Fallback
 
-# Path to the trained model
-BASE_DIR = os.path.dirname(os.path.abspath(__file__))
-MODEL_PATH = os.path.join(BASE_DIR, 'deepfake_detector.h5')
-IMAGE_SIZE = (128, 128)
-OUTPUT_FILE = os.path.join(BASE_DIR, 'scan_results.json')
+def log(message):
+    print(message, file=sys.stderr, flush=True)
+
+
+def emit(event, **fields):
+    print(json.dumps({"event": event, **fields}), flush=True)
+
+
+def load_websites(sites_path=None):
+    if sites_path:
+        with open(sites_path) as f:
+            sites = json.load(f)
+        log(f"Loaded {len(sites)} websites from the site registry")
+        return sites
+
+    if not os.path.exists(WEBSITES_FILE):
+        log(f"Warning: websites.txt not found at {WEBSITES_FILE}")
+        return [{"url": "https://thispersondoesnotexist.com/", "crawl_depth": 0}]  # Fallback
+    with open(WEBSITES_FILE, 'r') as f:
+        sites = [{"url": line.strip(), "crawl_depth": 0} for line in f if line.strip()]
+    log(f"Loaded {len(sites)} websites from {WEBSITES_FILE}")
+    return sites
+
+
+def load_known(path):
+    if not path:
+        return set()
+    with open(path) as f:
+        return {(url, sha256) for url, sha256 in json.load(f)}
+
 
 def load_model():
-    if not os.path.exists(MODEL_PATH):
-        print(f"Error: Model file '{MODEL_PATH}' not found.")
-        return None
     try:
-        print(f"Loading model from {MODEL_PATH}...")
-        model = tf.keras.models.load_model(MODEL_PATH)
-        return model
+        spec = default_spec()
+        log(f"Loading model {spec['id']} from {spec['path']}...")
+        return Detector(spec)
     except Exception as e:
-        print(f"Error loading model: {e}")
+        log(f"Error loading model: {e}")
         return None
 
-def download_image(url):
+
+def download_image(crawler, url):
+    """Download to a temp file; returns (path, sha256) or (None, None)."""
+    temp_filename = None
     try:
-        response = requests.get(url, stream=True, timeout=5)
-        if response.status_code == 200:
-            # Create a localized temporary file
-            temp_filename = os.path.join(BASE_DIR, f"temp_{int(time.time())}_{np.random.randint(1000)}.jpg")
-            with open(temp_filename, 'wb') as f:
-                for chunk in response.iter_content(1024):
+        response = crawler.fetch(url, stream=True, timeout=5)
+        if response is None or response.status_code != 200:
+            return None, None
+        with response:
+            declared = response.headers.get('Content-Length')
+            if declared and declared.isdigit() and int(declared) > MAX_IMAGE_BYTES:
+                raise ValueError(f"image is {declared} bytes, over the {MAX_IMAGE_BYTES} byte limit")
+            digest = hashlib.sha256()
+            size = 0
+            fd, temp_filename = tempfile.mkstemp(prefix='scan_', suffix='.img', dir=BASE_DIR)
+            with os.fdopen(fd, 'wb') as f:
+                for chunk in response.iter_content(64 * 1024):
+                    size += len(chunk)
+                    # Content-Length can be missing or wrong
+                    if size > MAX_IMAGE_BYTES:
+                        raise ValueError(f"image exceeds the {MAX_IMAGE_BYTES} byte limit")
+                    digest.update(chunk)
                     f.write(chunk)
-            return temp_filename
-        else:
-            return None
+        return temp_filename, digest.hexdigest()
+    except Exception as e:
+        log(f"Error downloading {url}: {e}")
+        if temp_filename and os.path.exists(temp_filename):
+            os.remove(temp_filename)
+        return None, None
+
+
+def hash_image(img_path):
+    try:
+        return perceptual_hashes(img_path)
     except Exception as e:
-        print(f"Error downloading {url}: {e}")
+        log(f"Error hashing image: {e}")
         return None
 
+
 def predict_image(model, img_path):
     try:
-        img = image.load_img(img_path, target_size=IMAGE_SIZE)
-        img_array = image.img_to_array(img)
-        img_array = np.expand_dims(img_array, axis=0)
-        img_array /= 255.0
-
-        prediction = model.predict(img_array, verbose=0)
-        confidence = prediction[0][0]
-
-        if confidence > 0.5:
-            label = "Real"
-            conf_percent = confidence * 100
-        else:
-            label = "Fake"
-            conf_percent = (1 - confidence) * 100
-        
-        return label, conf_percent
+        result = model.predict(img_path)
+        label = {"fake": "Fake", "real": "Real"}.get(result["verdict"], "Inconclusive")
+        return label, result
     except Exception as e:
-        print(f"Error predicting image: {e}")
-        return None, 0
+        log(f"Error predicting image: {e}")
+        return None, None
 
-def scan_websites():
-    model = load_model()
-    if not model:
-        return
 
-    results = []
-    
-    print(f"Starting scan of {len(TARGET_URLS)} websites...")
+def scan_site(model, crawler, site, known, matcher=None, references=None):
+    url = site["url"]
+    images = 0
+    for page_url, src in crawler.images(url, site.get("crawl_depth", 0)):
+        found = {"source_url": url, "page_url": page_url, "image_url": src}
+        log(f"  - Processing: {src}")
+        temp_img_path, sha256 = download_image(crawler, src)
+        if not temp_img_path:
+            log("    > Failed to download/process.")
+            continue
 
-    for url in TARGET_URLS:
-        print(f"\nScanning: {url}")
         try:
-            response = requests.get(url, timeout=10)
-            soup = BeautifulSoup(response.content, 'html.parser')
-            
-            # Find all image tags
-            img_tags = soup.find_all('img')
-            print(f"Found {len(img_tags)} images.")
-
-            for img in img_tags:
-                src = img.get('src')
-                if not src:
+            found["phash"] = hash_image(temp_img_path)
+            match = {}
+            if matcher:
+                best = matcher.best_match(temp_img_path, references)
+                if not best or not best["matched"]:
+                    emit("image", **found, sha256=sha256, matched=False,
+                         similarity=best["similarity"] if best else None)
+                    images += 1
                     continue
-                
-                # Handle relative URLs
-                if not src.startswith('http'):
-                    src = requests.compat.urljoin(url, src)
-
-                # Filter for common image types
-                if not any(src.lower().endswith(ext) for ext in ['.jpg', '.jpeg', '.png', '.webp']):
-                   # Try to be more inclusive if extension is missing but it's an image source
-                   pass 
-
-                print(f"  - Processing: {src}")
-                
-                temp_img_path = download_image(src)
-                
-                if temp_img_path:
-                    label, conf = predict_image(model, temp_img_path)
-                    
-                    if label:
-                        print(f"    > Prediction: {label} ({conf:.2f}%)")
-                        
-                        scan_result = {
-                            "source_url": url,
-                            "image_url": src,
-                            "prediction": label,
-                            "confidence": float(f"{conf:.2f}"),
-                            "timestamp": time.strftime("%Y-%m-%d %H:%M:%S")
-                        }
-                        
-                        # Add to list if it's FAKE or just to keep track of everything?
-                        # Let's keep everything for the report, but maybe highlight fakes.
-                        results.append(scan_result)
-                    
-                    # Cleanup
-                    if os.path.exists(temp_img_path):
-                        os.remove(temp_img_path)
-                else:
-                    print("    > Failed to download/process.")
-                    
+                log(f"    > Resembles the reference face ({best['similarity']:.2f})")
+                match = {"matched": True, "similarity": best["similarity"], "face": best["face"]}
+
+            if (src, sha256) in known:
+                log("    > Already scored in an earlier run, skipping.")
+                emit("image", **found, sha256=sha256, skipped=True, **match)
+                images += 1
+                continue
+
+            label, result = predict_image(model, temp_img_path)
+            if label:
+                log(f"    > Prediction: {label} ({result['confidence']:.2f}%)")
+                emit("image",
+                     **found,
+                     sha256=sha256,
+                     skipped=False,
+                     prediction=label,
+                     verdict=result["verdict"],
+                     fake_probability=result["fake_probability"],
+                     confidence=round(result["confidence"], 2),
+                     **match)
+                known.add((src, sha256))
+                images += 1
+        finally:
+            if os.path.exists(temp_img_path):
+                os.remove(temp_img_path)
+    return images
+
+
+def load_matcher(references_path):
+    from face_match import FaceMatcher
+
+    with open(references_path) as f:
+        paths = json.load(f)
+    matcher = FaceMatcher()
+    references = matcher.load_references(paths)
+    log(f"Matching against {len(references)} reference face(s) from {len(paths)} photo(s)")
+    return matcher, references
+
+
+def scan_websites(known, references_path=None, sites_path=None):
+    model = load_model()
+    if not model:
+        emit("fatal", error="Could not load the detection model")
+        sys.exit(1)
+
+    matcher, references = None, None
+    if references_path:
+        try:
+            matcher, references = load_matcher(references_path)
+        except (OSError, ValueError) as e:
+            log(f"Error loading reference faces: {e}")
+            emit("fatal", error=str(e))
+            sys.exit(1)
+
+    websites = load_websites(sites_path)
+    emit("start", sites=len(websites), model_id=model.spec['id'], model_version=model.version,
+         references=len(references) if references else 0)
+    log(f"Starting scan of {len(websites)} websites...")
+
+    crawler = Crawler()
+    for site in websites:
+        url = site["url"]
+        log(f"\nScanning: {url} (depth {site.get('crawl_depth', 0)})")
+        emit("site", url=url)
+        try:
+            images = scan_site(model, crawler, site, known, matcher, references)
+            emit("site_done", url=url, pages=crawler.pages_crawled, images=images)
         except Exception as e:
-            print(f"Error scanning {url}: {e}")
-            
-        # Update progress file after each website
-        current_progress = {
-             "summary": {
-                "total_scanned": len(results),
-                "deepfakes_found": len([r for r in results if r['prediction'] == 'Fake']),
-                "latest_url": url
-            },
-            "last_updated": time.time(),
-            "latest_results": results[-5:] if results else [] # Keep file size manageable for polling, or full list?
-        }
-        
-        # Save full results periodically or just append?
-        # For this UI, let's just save the full list but optimize if needed.
-        # Actually, let's save the full list so the UI can show "green/red" for each site.
-        
-        # Simpler approach: Map results by URL so frontend can easily look it up
-        # We need to know which websites are done.
-        
-        with open(OUTPUT_FILE, 'w') as f:
-             json.dump({
-                "summary": {
-                    "total_scanned": len(results),
-                    "deepfakes_found": len([r for r in results if r['prediction'] == 'Fake']),
-                },
-                "all_results": results
-            }, f, indent=4)
-
-    # Separate lists for the model as requested
-    fake_images = [r for r in results if r['prediction'] == 'Fake']
-    real_images = [r for r in results if r['prediction'] == 'Real']
-
-    print(f"\n--- Scan Complete ---")
-    print(f"Total Images Scanned: {len(results)}")
-    print(f"Deepfakes Detected: {len(fake_images)}")
-    
-    # Save results
-    with open(OUTPUT_FILE, 'w') as f:
-        json.dump({
-            "summary": {
-                "total_scanned": len(results),
-                "deepfakes_found": len(fake_images),
-                "real_found": len(real_images)
-            },
-            "deepfakes": fake_images,
-            "all_results": results
-        }, f, indent=4)
-        
-    print(f"Results saved to {OUTPUT_FILE}")
+            log(f"Error scanning {url}: {e}")
+            emit("site_done", url=url, pages=crawler.pages_crawled, images=0, error=str(e))
+
+    emit("done")
+    log("\n--- Scan Complete ---")
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__, formatter_class=argparse.RawDescriptionHelpFormatter)
+    parser.add_argument('--sites', help='JSON list of {"url", "crawl_depth"} sites to scan (default: websites.txt)')
+    parser.add_argument('--known', help='JSON list of [image_url, sha256] pairs to skip')
+    parser.add_argument('--references', help="JSON list of the victim's reference photo paths")
+    args = parser.parse_args()
+    scan_websites(load_known(args.known), args.references, args.sites)
+
 
 if __name__ == "__main__":
-    scan_websites()
+    main()
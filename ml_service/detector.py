@@ -0,0 +1,360 @@
+import os
+import time
+import base64
+import hashlib
+
+os.environ.setdefault('TF_CPP_MIN_LOG_LEVEL', '2')
+
+import numpy as np
+import tensorflow as tf
+from PIL import Image
+from tensorflow.keras.preprocessing import image
+
+import calibration
+from registry import default_spec
+
+# Video sampling: score at most this many evenly spaced frames, and call the
+# video fake when at least this share of sampled frames scores as fake.
+VIDEO_MAX_FRAMES = 32
+VIDEO_FAKE_FRAME_RATIO = 0.3
+VIDEO_THUMBNAILS = 3
+THUMBNAIL_WIDTH = 320
+HEATMAP_MAX_SIDE = 512
+
+# Scores below are always the calibrated probability that the image is real; models
+# whose registry entry declares "fake_probability" output are flipped on the way in.
+FAKE_LABEL = "Likely AI-Generated"
+REAL_LABEL = "Likely Authentic"
+INCONCLUSIVE_LABEL = "Inconclusive"
+LABELS = {
+    calibration.FAKE: FAKE_LABEL,
+    calibration.REAL: REAL_LABEL,
+    calibration.INCONCLUSIVE: INCONCLUSIVE_LABEL,
+}
+
+
+def verdict_report(score, decision):
+    """Label, verdict and probabilities for one calibrated real-probability."""
+    fake_probability = 1 - score
+    verdict = calibration.decide(fake_probability, decision)
+    return {
+        "label": LABELS[verdict],
+        "verdict": verdict,
+        "is_fake": verdict == calibration.FAKE,
+        "score": round(score, 4),
+        "fake_probability": round(fake_probability, 4),
+        # Probability of whichever outcome the model leans towards, not certainty of the verdict
+        "confidence": round(max(score, fake_probability) * 100, 2),
+    }
+
+
+def model_version(model_path):
+    """Short content hash of the model file, so results can be traced to the exact weights."""
+    digest = hashlib.sha256()
+    with open(model_path, 'rb') as f:
+        for chunk in iter(lambda: f.read(1 << 20), b''):
+            digest.update(chunk)
+    return digest.hexdigest()[:12]
+
+
+class Detector:
+    """Loads one registered Keras model once and scores images with it."""
+
+    def __init__(self, spec=None):
+        spec = spec or default_spec()
+        if not os.path.exists(spec['path']):
+            raise FileNotFoundError(f"Model file '{spec['path']}' not found. Please train the model first.")
+        self.spec = spec
+        self.id = spec['id']
+        self.model_path = spec['path']
+        self.image_size = tuple(spec['input_size'])
+        self.calibration = spec['calibration']
+        self.decision = spec['decision']
+        self.version = model_version(self.model_path)
+        self.model = tf.keras.models.load_model(self.model_path)
+
+    def _real_probability(self, raw):
+        raw = float(raw)
+        raw = 1 - raw if self.spec['output'] == 'fake_probability' else raw
+        return calibration.apply(raw, self.calibration)
+
+    def _model_info(self):
+        return {
+            "id": self.id,
+            "version": self.spec['version'],
+            "file_hash": self.version,
+            "targets": self.spec['targets'],
+            "calibrated": bool(self.calibration),
+            "decision": self.decision,
+        }
+
+    def load_array(self, img_path):
+        img = image.load_img(img_path, target_size=self.image_size)
+        img_array = image.img_to_array(img)
+        img_array = np.expand_dims(img_array, axis=0)  # Create batch axis
+        img_array /= 255.0  # Normalize
+        return img_array
+
+    def score(self, img_path):
+        """Calibrated probability that one image is real."""
+        prediction = self.model.predict(self.load_array(img_path), verbose=0)
+        return self._real_probability(prediction[0][0])
+
+    def score_batch(self, batch):
+        """Calibrated real-probabilities for a preprocessed batch of shape (n, h, w, 3)."""
+        return [self._real_probability(p[0]) for p in self.model.predict(batch, verbose=0)]
+
+    def preprocess(self, pil_img):
+        """Resize a PIL image the same way load_img does and scale to [0, 1]."""
+        resized = pil_img.resize(self.image_size[::-1], resample=Image.NEAREST)
+        return np.asarray(resized, dtype='float32') / 255.0
+
+    def predict(self, img_path, detect_faces=True):
+        """
+        Score the whole image plus every detected face crop.
+        The verdict follows the most suspicious region, so a single swapped
+        face in a group photo is not averaged away by the rest of the picture.
+        """
+        from faces import detect_faces as find_faces, pad_box, normalize_box
+
+        started = time.perf_counter()
+        img = image.load_img(img_path)
+        width, height = img.size
+
+        boxes = find_faces(img) if detect_faces else []
+        inputs = [self.preprocess(img)]
+        inputs += [self.preprocess(img.crop(pad_box(box, width, height))) for box in boxes]
+        loaded = time.perf_counter()
+
+        scores = self.score_batch(np.stack(inputs))
+        finished = time.perf_counter()
+
+        whole_score = scores[0]
+        faces = [
+            {"box": normalize_box(box, width, height), **verdict_report(face_score, self.decision)}
+            for box, face_score in zip(boxes, scores[1:])
+        ]
+
+        return {
+            **verdict_report(min(scores), self.decision),
+            "model_version": self.version,
+            "model": self._model_info(),
+            "media_type": "image",
+            "whole_image": {
+                "score": whole_score,
+                "fake_probability": round(1 - whole_score, 4),
+            },
+            "faces": faces,
+            "image_size": {"width": width, "height": height},
+            "timing_ms": {
+                "preprocess": round((loaded - started) * 1000, 1),
+                "inference": round((finished - loaded) * 1000, 1),
+                "total": round((finished - started) * 1000, 1),
+            },
+        }
+
+    def _gradcam_model(self):
+        """Model that returns the last conv feature map alongside the prediction."""
+        if getattr(self, '_grad_model', None) is None:
+            conv_layers = [layer for layer in self.model.layers if isinstance(layer, tf.keras.layers.Conv2D)]
+            if not conv_layers:
+                raise ValueError("Model has no convolutional layer to explain")
+            self._grad_layer = conv_layers[-1].name
+            self._grad_model = tf.keras.Model(self.model.inputs, [conv_layers[-1].output, self.model.output])
+        return self._grad_model
+
+    def heatmap(self, img_path):
+        """
+        Grad-CAM map of the regions that pushed the score towards "fake",
+        rendered as a transparent PNG overlay at the image's aspect ratio.
+        """
+        import cv2
+
+        img = image.load_img(img_path)
+        width, height = img.size
+        batch = np.expand_dims(self.preprocess(img), axis=0)
+
+        grad_model = self._gradcam_model()
+        with tf.GradientTape() as tape:
+            conv_output, prediction = grad_model(batch)
+            # Same orientation as _real_probability: explain the "fake" side
+            raw = prediction[:, 0]
+            fake_score = raw if self.spec['output'] == 'fake_probability' else 1 - raw
+        grads = tape.gradient(fake_score, conv_output)
+
+        weights = tf.reduce_mean(grads, axis=(0, 1, 2))
+        cam = tf.nn.relu(tf.reduce_sum(conv_output[0] * weights, axis=-1)).numpy()
+        if cam.max() > 0:
+            cam = cam / cam.max()
+
+        scale = min(1.0, HEATMAP_MAX_SIDE / max(width, height))
+        out_size = (max(1, int(width * scale)), max(1, int(height * scale)))
+        cam = cv2.resize(cam.astype('float32'), out_size, interpolation=cv2.INTER_CUBIC)
+        cam = np.clip(cam, 0, 1)
+
+        colored = cv2.applyColorMap((cam * 255).astype('uint8'), cv2.COLORMAP_JET)
+        overlay = np.dstack([colored, (cam * 180).astype('uint8')])  # BGRA, strong areas more opaque
+        ok, encoded = cv2.imencode('.png', overlay)
+        if not ok:
+            raise ValueError("Failed to encode heatmap")
+
+        return {
+            "method": "grad-cam",
+            "target_layer": self._grad_layer,
+            "overlay": "data:image/png;base64," + base64.b64encode(encoded.tobytes()).decode('ascii'),
+        }
+
+    def predict_video(self, video_path, max_frames=VIDEO_MAX_FRAMES):
+        """Score evenly spaced frames of a video and return a per-frame timeline."""
+        import cv2
+
+        started = time.perf_counter()
+        capture = cv2.VideoCapture(video_path)
+        if not capture.isOpened():
+            raise ValueError(f"Could not open video '{video_path}'")
+
+        fps = capture.get(cv2.CAP_PROP_FPS) or 25.0
+        frame_count = int(capture.get(cv2.CAP_PROP_FRAME_COUNT))
+        if frame_count <= 0:
+            capture.release()
+            raise ValueError("Video has no readable frames")
+
+        sample_count = min(max_frames, frame_count)
+        indices = sorted(set(int(i * frame_count / sample_count) for i in range(sample_count)))
+
+        frames, inputs = [], []
+        for index in indices:
+            capture.set(cv2.CAP_PROP_POS_FRAMES, index)
+            ok, frame = capture.read()
+            if not ok:
+                continue
+            rgb = cv2.cvtColor(frame, cv2.COLOR_BGR2RGB)
+            frames.append((index, rgb))
+            inputs.append(cv2.resize(rgb, self.image_size[::-1], interpolation=cv2.INTER_AREA).astype('float32') / 255.0)
+        capture.release()
+
+        if not inputs:
+            raise ValueError("No frames could be decoded from the video")
+
+        sampled = time.perf_counter()
+        scores = self.score_batch(np.stack(inputs))
+        finished = time.perf_counter()
+
+        timeline = [
+            {
+                "frame": index,
+                "time_s": round(index / fps, 2),
+                "fake_probability": round(1 - score, 4),
+            }
+            for (index, _), score in zip(frames, scores)
+        ]
+
+        fake_probs = [point["fake_probability"] for point in timeline]
+        flagged = [p for p in fake_probs if p >= self.decision["fake_min"]]
+        fake_ratio = len(flagged) / len(fake_probs)
+        mean_fake = sum(fake_probs) / len(fake_probs)
+
+        # Enough confidently fake frames make the video fake; otherwise it is only
+        # called authentic when the frames on average sit in the "real" band
+        report = verdict_report(1 - mean_fake, self.decision)
+        if fake_ratio >= VIDEO_FAKE_FRAME_RATIO:
+            report.update({
+                "label": FAKE_LABEL,
+                "verdict": calibration.FAKE,
+                "is_fake": True,
+                "confidence": round(sum(flagged) / len(flagged) * 100, 2),
+            })
+        elif report["verdict"] == calibration.FAKE:
+            report.update({"label": INCONCLUSIVE_LABEL, "verdict": calibration.INCONCLUSIVE, "is_fake": False})
+
+        # Thumbnails of the frames the model found most suspicious
+        ranked = sorted(range(len(timeline)), key=lambda i: timeline[i]["fake_probability"], reverse=True)
+        suspicious_frames = []
+        for i in ranked[:VIDEO_THUMBNAILS]:
+            rgb = frames[i][1]
+            height, width = rgb.shape[:2]
+            scale = min(1.0, THUMBNAIL_WIDTH / width)
+            thumb = cv2.resize(rgb, (int(width * scale), int(height * scale)))
+            ok, encoded = cv2.imencode('.jpg', cv2.cvtColor(thumb, cv2.COLOR_RGB2BGR), [cv2.IMWRITE_JPEG_QUALITY, 80])
+            if ok:
+                suspicious_frames.append({
+                    **timeline[i],
+                    "thumbnail": "data:image/jpeg;base64," + base64.b64encode(encoded.tobytes()).decode('ascii'),
+                })
+
+        return {
+            **report,
+            "model_version": self.version,
+            "model": self._model_info(),
+            "media_type": "video",
+            "video": {
+                "fps": round(fps, 2),
+                "frame_count": frame_count,
+                "duration_s": round(frame_count / fps, 2),
+                "frames_sampled": len(timeline),
+                "fake_frame_ratio": round(fake_ratio, 4),
+                "max_fake_probability": max(fake_probs),
+                "timeline": timeline,
+                "suspicious_frames": suspicious_frames,
+            },
+            "timing_ms": {
+                "preprocess": round((sampled - started) * 1000, 1),
+                "inference": round((finished - sampled) * 1000, 1),
+                "total": round((finished - started) * 1000, 1),
+            },
+        }
+
+
+class Ensemble:
+    """
+    Several registered detectors voting on one file. Each model's calibrated
+    fake probability is weighted by its registry weight, and the weighted mean
+    is judged against the lead model's decision band. Faces, heatmaps and the
+    video timeline come from the first (lead) model.
+    """
+
+    def __init__(self, detectors):
+        self.members = detectors
+        self.id = "ensemble"
+        self.version = "+".join(d.version for d in detectors)
+
+    def heatmap(self, img_path):
+        return self.members[0].heatmap(img_path)
+
+    def _combine(self, results):
+        votes, weighted, total_weight = [], 0.0, 0.0
+        for detector, result in zip(self.members, results):
+            weight = detector.spec['weight']
+            weighted += result["fake_probability"] * weight
+            total_weight += weight
+            votes.append({
+                **result["model"],
+                "weight": weight,
+                "label": result["label"],
+                "verdict": result["verdict"],
+                "is_fake": result["is_fake"],
+                "fake_probability": result["fake_probability"],
+                "confidence": result["confidence"],
+            })
+
+        fake_probability = weighted / total_weight if total_weight else 0.0
+        combined = dict(results[0])
+        combined.update({
+            **verdict_report(1 - fake_probability, self.members[0].decision),
+            "model_version": self.version,
+            "model": {
+                "id": self.id,
+                "members": [d.id for d in self.members],
+                "calibrated": all(d.calibration for d in self.members),
+                "decision": self.members[0].decision,
+            },
+            "votes": votes,
+            "timing_ms": {"total": round(sum(r["timing_ms"]["total"] for r in results), 1)},
+        })
+        return combined
+
+    def predict(self, img_path, detect_faces=True):
+        return self._combine([d.predict(img_path, detect_faces) for d in self.members])
+
+    def predict_video(self, video_path, max_frames=VIDEO_MAX_FRAMES):
+        return self._combine([d.predict_video(video_path, max_frames) for d in self.members])
@@ -0,0 +1,170 @@
+"""
+Evaluate a registered model on the evaluation fold of ml_service/dataset and
+write a JSON metrics report to ml_service/models/reports/.
+
+"Fake" is the positive class. Precision and recall are measured on the files
+the model gave a verdict on; files that land in the inconclusive band are
+counted separately (coverage), so a model cannot look precise simply by
+abstaining. ROC-AUC uses the calibrated fake probability of every file.
+calibrate.py fits on the other half of the held-out images (splits.py), so
+calibration never sees the files reported on here.
+
+Usage: python ml_service/evaluate_model.py [--model <id>] [--limit N] [--no-faces]
+"""
+import os
+import sys
+import json
+import time
+import argparse
+
+from registry import load_registry
+from splits import DATASET_DIR, HELD_OUT_FRACTION, evaluation_fold
+
+BASE_DIR = os.path.dirname(os.path.abspath(__file__))
+REPORTS_DIR = os.path.join(BASE_DIR, 'models', 'reports')
+
+
+def roc_auc(scores, positives):
+    """Probability that a random fake scores higher than a random real (ties count half)."""
+    pos = [s for s, p in zip(scores, positives) if p]
+    neg = [s for s, p in zip(scores, positives) if not p]
+    if not pos or not neg:
+        return None
+
+    ranked = sorted(zip(scores, positives))
+    rank_sum, i = 0.0, 0
+    while i < len(ranked):
+        j = i
+        while j < len(ranked) and ranked[j][0] == ranked[i][0]:
+            j += 1
+        average_rank = (i + j + 1) / 2  # ranks are 1-based
+        rank_sum += average_rank * sum(1 for k in range(i, j) if ranked[k][1])
+        i = j
+    return (rank_sum - len(pos) * (len(pos) + 1) / 2) / (len(pos) * len(neg))
+
+
+def ratio(numerator, denominator):
+    return round(numerator / denominator, 4) if denominator else None
+
+
+def evaluate(detector, samples, detect_faces=True):
+    confusion = {
+        "fake": {"fake": 0, "real": 0, "inconclusive": 0},
+        "real": {"fake": 0, "real": 0, "inconclusive": 0},
+    }
+    scores, positives, misclassified, inconclusive, failed = [], [], [], [], []
+
+    for index, (path, label) in enumerate(samples, 1):
+        try:
+            result = detector.predict(path, detect_faces=detect_faces)
+        except Exception as e:
+            failed.append({"file": os.path.relpath(path, DATASET_DIR), "error": str(e)})
+            continue
+
+        verdict = result["verdict"]
+        confusion[label][verdict] += 1
+        scores.append(result["fake_probability"])
+        positives.append(label == "fake")
+
+        entry = {
+            "file": os.path.relpath(path, DATASET_DIR),
+            "actual": label,
+            "predicted": verdict,
+            "fake_probability": result["fake_probability"],
+        }
+        if verdict == "inconclusive":
+            inconclusive.append(entry)
+        elif verdict != label:
+            misclassified.append(entry)
+
+        if index % 100 == 0:
+            print(f"  {index}/{len(samples)} evaluated", file=sys.stderr)
+
+    tp, fn = confusion["fake"]["fake"], confusion["fake"]["real"]
+    fp, tn = confusion["real"]["fake"], confusion["real"]["real"]
+    decided = tp + fn + fp + tn
+    total = decided + confusion["fake"]["inconclusive"] + confusion["real"]["inconclusive"]
+    precision = ratio(tp, tp + fp)
+    recall = ratio(tp, tp + fn)
+    auc = roc_auc(scores, positives)
+
+    return {
+        "samples": total,
+        "metrics": {
+            "precision": precision,
+            "recall": recall,
+            # From the counts, so no true positives gives 0 rather than no score
+            "f1": ratio(2 * tp, 2 * tp + fp + fn),
+            "accuracy": ratio(tp + tn, decided),
+            "specificity": ratio(tn, tn + fp),
+            "roc_auc": round(auc, 4) if auc is not None else None,
+            "coverage": ratio(decided, total),
+        },
+        # Rows are the true class, columns what the model said
+        "confusion_matrix": confusion,
+        "misclassified": sorted(misclassified, key=lambda e: e["file"]),
+        "inconclusive": sorted(inconclusive, key=lambda e: e["file"]),
+        "failed": failed,
+    }
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__, formatter_class=argparse.RawDescriptionHelpFormatter)
+    parser.add_argument('--model', help='registry model ID (default: the registry default)')
+    parser.add_argument('--limit', type=int, help='evaluate only the first N evaluation-fold files of each class')
+    parser.add_argument('--no-faces', action='store_true', help='score whole images only, skipping face crops')
+    args = parser.parse_args()
+
+    default, specs = load_registry()
+    model_id = args.model or default
+    if model_id not in specs:
+        print(f"Error: unknown model '{model_id}'")
+        sys.exit(1)
+
+    samples = evaluation_fold()
+    if args.limit:
+        samples = [s for label in ('fake', 'real') for s in [x for x in samples if x[1] == label][:args.limit]]
+    if not samples:
+        print(f"Error: no evaluation images found under {DATASET_DIR}/{{real,fake}}")
+        sys.exit(1)
+
+    from detector import Detector
+
+    detector = Detector(specs[model_id])
+    print(f"Evaluating {model_id} v{detector.spec['version']} on {len(samples)} evaluation images...", file=sys.stderr)
+    started = time.time()
+    report = evaluate(detector, samples, detect_faces=not args.no_faces)
+
+    report = {
+        "model": {
+            "id": model_id,
+            "version": detector.spec['version'],
+            "file_hash": detector.version,
+            "calibrated": bool(detector.calibration),
+            "decision": detector.decision,
+        },
+        "dataset": {
+            "dir": os.path.relpath(DATASET_DIR, BASE_DIR),
+            "split": f"evaluation fold: second half of the first {int(HELD_OUT_FRACTION * 100)}% of each class in sorted order",
+            "limit_per_class": args.limit,
+            "faces": not args.no_faces,
+        },
+        "evaluated_at": time.strftime("%Y-%m-%dT%H:%M:%SZ", time.gmtime()),
+        "duration_s": round(time.time() - started, 1),
+        **report,
+    }
+
+    os.makedirs(REPORTS_DIR, exist_ok=True)
+    stamped = os.path.join(REPORTS_DIR, f"{model_id}-{detector.version}-{time.strftime('%Y%m%d%H%M%S')}.json")
+    latest = os.path.join(REPORTS_DIR, f"{model_id}.json")
+    for path in (stamped, latest):
+        with open(path, 'w') as f:
+            json.dump(report, f, indent=2)
+            f.write('\n')
+
+    print(json.dumps({"model": model_id, **report["metrics"]}, indent=2))
+    print(f"Report written to {stamped} (latest: {latest})")
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,92 @@
+"""
+Identity matching against a victim's reference photos.
+
+Faces are found with OpenCV's YuNet detector, aligned on their landmarks and
+embedded with SFace; two faces are compared by cosine similarity. Neither
+model ships with opencv-python, so download these two files from the OpenCV
+model zoo (https://github.com/opencv/opencv_zoo) into ml_service/models/:
+  face_detection_yunet_2023mar.onnx      (models/face_detection_yunet)
+  face_recognition_sface_2021dec.onnx    (models/face_recognition_sface)
+"""
+import os
+
+import cv2
+
+from faces import normalize_box
+
+BASE_DIR = os.path.dirname(os.path.abspath(__file__))
+YUNET_PATH = os.path.join(BASE_DIR, 'models', 'face_detection_yunet_2023mar.onnx')
+SFACE_PATH = os.path.join(BASE_DIR, 'models', 'face_recognition_sface_2021dec.onnx')
+
+# SFace's published cosine threshold for "same person"
+MATCH_THRESHOLD = 0.363
+DETECTION_THRESHOLD = 0.8
+# Large images are shrunk before detection; YuNet works on the full frame
+MAX_SIDE = 1280
+
+
+def read_bgr(path):
+    image = cv2.imread(path, cv2.IMREAD_COLOR)
+    if image is None:
+        return None
+    scale = MAX_SIDE / max(image.shape[:2])
+    if scale < 1:
+        image = cv2.resize(image, None, fx=scale, fy=scale, interpolation=cv2.INTER_AREA)
+    return image
+
+
+class FaceMatcher:
+    def __init__(self, yunet_path=YUNET_PATH, sface_path=SFACE_PATH):
+        missing = [p for p in (yunet_path, sface_path) if not os.path.exists(p)]
+        if missing:
+            raise FileNotFoundError(
+                "Face matching models not found: " + ", ".join(missing) +
+                ". Download them from https://github.com/opencv/opencv_zoo into ml_service/models/")
+        self.detector = cv2.FaceDetectorYN.create(yunet_path, "", (320, 320), DETECTION_THRESHOLD)
+        self.recognizer = cv2.FaceRecognizerSF.create(sface_path, "")
+
+    def faces(self, image):
+        """[(box, embedding)] for every face in a BGR image, largest first."""
+        height, width = image.shape[:2]
+        self.detector.setInputSize((width, height))
+        _, detections = self.detector.detect(image)
+        if detections is None:
+            return []
+
+        found = []
+        for detection in sorted(detections, key=lambda d: d[2] * d[3], reverse=True):
+            aligned = self.recognizer.alignCrop(image, detection)
+            embedding = self.recognizer.feature(aligned)
+            box = tuple(int(v) for v in detection[:4])
+            found.append((normalize_box(box, width, height), embedding))
+        return found
+
+    def load_references(self, paths):
+        """Embedding of the largest face in each reference photo; photos without a face are skipped."""
+        references = []
+        for path in paths:
+            image = read_bgr(path)
+            faces = self.faces(image) if image is not None else []
+            if faces:
+                references.append(faces[0][1])
+        if not references:
+            raise ValueError("None of the reference photos contains a detectable face")
+        return references
+
+    def best_match(self, path, references):
+        """Most similar face in the image, or None if it has no faces."""
+        image = read_bgr(path)
+        if image is None:
+            return None
+
+        best = None
+        for box, embedding in self.faces(image):
+            similarity = max(
+                float(self.recognizer.match(embedding, ref, cv2.FaceRecognizerSF_FR_COSINE))
+                for ref in references
+            )
+            if best is None or similarity > best["similarity"]:
+                best = {"similarity": round(similarity, 4), "face": box}
+        if best is not None:
+            best["matched"] = best["similarity"] >= MATCH_THRESHOLD
+        return best
@@ -0,0 +1,44 @@
+import cv2
+import numpy as np
+
+# OpenCV ships the Haar cascades with the package, so no extra download is needed
+FACE_CASCADE = cv2.CascadeClassifier(cv2.data.haarcascades + 'haarcascade_frontalface_default.xml')
+
+MIN_FACE_SIZE = 32
+# Grow each detection so the crop includes blending seams around the face
+FACE_PADDING = 0.2
+MAX_FACES = 10
+
+
+def detect_faces(rgb):
+    """Return face boxes as (x, y, w, h) pixel tuples, largest first."""
+    gray = cv2.cvtColor(np.asarray(rgb, dtype=np.uint8), cv2.COLOR_RGB2GRAY)
+    faces = FACE_CASCADE.detectMultiScale(
+        gray,
+        scaleFactor=1.1,
+        minNeighbors=5,
+        minSize=(MIN_FACE_SIZE, MIN_FACE_SIZE),
+    )
+    boxes = [tuple(int(v) for v in face) for face in faces]
+    boxes.sort(key=lambda box: box[2] * box[3], reverse=True)
+    return boxes[:MAX_FACES]
+
+
+def pad_box(box, image_width, image_height, padding=FACE_PADDING):
+    """Expand a box by `padding` on every side, clamped to the image."""
+    x, y, w, h = box
+    dx, dy = int(w * padding), int(h * padding)
+    left, top = max(0, x - dx), max(0, y - dy)
+    right, bottom = min(image_width, x + w + dx), min(image_height, y + h + dy)
+    return left, top, right, bottom
+
+
+def normalize_box(box, image_width, image_height):
+    """Box as fractions of the image size, so clients can overlay it at any scale."""
+    x, y, w, h = box
+    return {
+        "x": round(x / image_width, 4),
+        "y": round(y / image_height, 4),
+        "width": round(w / image_width, 4),
+        "height": round(h / image_height, 4),
+    }
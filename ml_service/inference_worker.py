@@ -0,0 +1,135 @@
+"""
+Resident inference process managed by the Node server (server/services/inferenceWorker.js).
+
+Protocol: one JSON object per line.
+  stdin  -> {"id": "...", "op": "predict", "path": "/abs/path/to/image", "explain": false, "model": "<id>|ensemble"}
+            {"id": "...", "op": "predict_video", "path": "/abs/path/to/video", "max_frames": 32, "model": "..."}
+            {"id": "...", "op": "models"}
+            {"id": "...", "op": "reload"}   re-read the registry after a model promotion
+            {"id": "...", "op": "compare", "original": "/abs/path", "suspect": "/abs/path"}
+            {"id": "...", "op": "phash", "path": "/abs/path/to/image"}
+            {"id": "...", "op": "health"}
+  stdout <- {"id": "...", "ok": true, "result": {...}}
+            {"id": "...", "ok": false, "error": "..."}
+Image predictions and "phash" carry "phash": perceptual hashes of the full image and
+of five crops (compare.hash_variants), the full image first.
+"model" is optional and defaults to the registry default (ml_service/models/registry.json).
+On startup the worker emits {"event": "ready", "model_version": "..."} once the default model is loaded.
+Anything else (TensorFlow logs, warnings) goes to stderr so stdout stays parseable.
+"""
+import sys
+import os
+import json
+import time
+
+# Keep library chatter off the protocol channel
+_protocol_out = sys.stdout
+sys.stdout = sys.stderr
+
+from detector import VIDEO_MAX_FRAMES
+from registry import Registry
+from compare import compare, perceptual_hashes
+from metadata import extract as extract_metadata
+
+STARTED_AT = time.time()
+
+
+def send(message):
+    _protocol_out.write(json.dumps(message) + "\n")
+    _protocol_out.flush()
+
+
+def handle(registry, request):
+    op = request.get("op")
+
+    if op == "health":
+        return {
+            "status": "ok",
+            "model_version": registry.detector().version,
+            "uptime_s": round(time.time() - STARTED_AT, 1),
+            "pid": os.getpid(),
+        }
+
+    if op == "models":
+        return registry.describe()
+
+    if op == "predict":
+        img_path = request.get("path")
+        if not img_path or not os.path.isfile(img_path):
+            raise ValueError(f"Image file '{img_path}' not found.")
+        detector = registry.resolve(request.get("model"))
+        result = detector.predict(img_path)
+        try:
+            result["metadata"] = extract_metadata(img_path)
+        except Exception as e:
+            # A malformed EXIF/XMP block shouldn't throw away the classification
+            print(f"Metadata extraction failed for {img_path}: {e}")
+            result["metadata"] = None
+        try:
+            result["phash"] = perceptual_hashes(img_path)
+        except Exception as e:
+            # Without hashes the image just isn't indexed for reuse matching
+            print(f"Perceptual hashing failed for {img_path}: {e}")
+            result["phash"] = None
+        if request.get("explain"):
+            result["heatmap"] = detector.heatmap(img_path)
+        return result
+
+    if op == "predict_video":
+        video_path = request.get("path")
+        if not video_path or not os.path.isfile(video_path):
+            raise ValueError(f"Video file '{video_path}' not found.")
+        detector = registry.resolve(request.get("model"))
+        return detector.predict_video(video_path, int(request.get("max_frames") or VIDEO_MAX_FRAMES))
+
+    if op == "compare":
+        paths = [request.get("original"), request.get("suspect")]
+        for path in paths:
+            if not path or not os.path.isfile(path):
+                raise ValueError(f"Image file '{path}' not found.")
+        return compare(*paths)
+
+    if op == "phash":
+        img_path = request.get("path")
+        if not img_path or not os.path.isfile(img_path):
+            raise ValueError(f"Image file '{img_path}' not found.")
+        return {"phash": perceptual_hashes(img_path)}
+
+    raise ValueError(f"Unknown op '{op}'")
+
+
+def main():
+    try:
+        registry = Registry()
+        default = registry.detector()
+    except Exception as e:
+        send({"event": "fatal", "error": str(e)})
+        sys.exit(1)
+
+    send({"event": "ready", "model_version": default.version, "model": default.id, "pid": os.getpid()})
+
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+
+        request_id = None
+        try:
+            request = json.loads(line)
+            request_id = request.get("id")
+            if request.get("op") == "reload":
+                # Load the new default before dropping the old models, so a bad
+                # promotion leaves the worker serving what it had
+                reloaded = Registry()
+                default = reloaded.detector()
+                registry = reloaded
+                result = {"model_version": default.version, "model": default.id}
+            else:
+                result = handle(registry, request)
+            send({"id": request_id, "ok": True, "result": result})
+        except Exception as e:
+            send({"id": request_id, "ok": False, "error": str(e)})
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,169 @@
+"""
+Metadata report for an evidence image: EXIF camera/software tags, timestamps,
+editing-software traces, C2PA content credentials and AI-generator signatures
+left in PNG text chunks or XMP.
+"""
+import os
+import re
+
+from PIL import Image, ExifTags
+
+# Read at most this much of the file when searching for embedded manifests
+SCAN_BYTES = 8 * 1024 * 1024
+
+EXIF_FIELDS = {
+    "Make": "camera_make",
+    "Model": "camera_model",
+    "LensModel": "lens_model",
+    "Software": "software",
+    "Artist": "artist",
+    "DateTime": "modified",
+    "DateTimeOriginal": "created",
+    "DateTimeDigitized": "digitized",
+    "OffsetTimeOriginal": "timezone",
+}
+
+EDITING_SOFTWARE = [
+    "photoshop", "lightroom", "gimp", "snapseed", "picsart", "facetune", "faceapp",
+    "canva", "pixlr", "affinity", "capture one", "paint.net", "meitu", "remini",
+]
+
+# Strings that image generators write into their output files
+GENERATOR_SIGNATURES = [
+    ("stable diffusion", "Stable Diffusion"),
+    ("automatic1111", "Stable Diffusion (AUTOMATIC1111)"),
+    ("comfyui", "ComfyUI"),
+    ("novelai", "NovelAI"),
+    ("midjourney", "Midjourney"),
+    ("dall-e", "DALL-E"),
+    ("dall·e", "DALL-E"),
+    ("firefly", "Adobe Firefly"),
+    # Vendor-qualified: a bare "imagen" also matches e.g. Spanish "imagen"
+    ("google imagen", "Google Imagen"),
+    ("invokeai", "InvokeAI"),
+    ("fooocus", "Fooocus"),
+    ("leonardo.ai", "Leonardo.Ai"),
+    ("trainedalgorithmicmedia", "IPTC: trained algorithmic media"),
+]
+
+# PNG text keys that generators use for prompts and workflows
+GENERATOR_TEXT_KEYS = {"parameters", "prompt", "workflow", "negative_prompt", "dream", "sd-metadata", "invokeai_metadata"}
+
+TEXT_PREVIEW_CHARS = 500
+
+# Pointers from IFD0 to the Exif and GPS sub-directories
+EXIF_IFD = 0x8769
+GPS_IFD = 0x8825
+
+
+def _clean(value):
+    if isinstance(value, bytes):
+        value = value.decode('utf-8', 'replace')
+    return str(value).strip('\x00 ').strip()
+
+
+def _exif(img):
+    exif = img.getexif()
+    if not exif:
+        return {}, False
+
+    tags = dict(exif)
+    # DateTimeOriginal, LensModel etc. live in the Exif sub-IFD
+    tags.update(exif.get_ifd(EXIF_IFD))
+
+    report = {}
+    for tag_id, value in tags.items():
+        name = ExifTags.TAGS.get(tag_id)
+        if name in EXIF_FIELDS and _clean(value):
+            report[EXIF_FIELDS[name]] = _clean(value)
+
+    return report, bool(exif.get_ifd(GPS_IFD))
+
+
+def _png_text(img):
+    text = {}
+    for key, value in (getattr(img, 'text', None) or {}).items():
+        text[key] = _clean(value)[:TEXT_PREVIEW_CHARS]
+    return text
+
+
+def _xmp(raw):
+    start = raw.find(b'<x:xmpmeta')
+    if start < 0:
+        return None
+    end = raw.find(b'</x:xmpmeta>', start)
+    return raw[start:end + 12].decode('utf-8', 'replace') if end > 0 else None
+
+
+def _xmp_fields(xmp):
+    fields = {}
+    for tag, key in (("xmp:CreatorTool", "creator_tool"), ("xmp:CreateDate", "created"),
+                     ("xmp:ModifyDate", "modified"), ("Iptc4xmpExt:DigitalSourceType", "digital_source_type")):
+        match = re.search(tag + r'(?:="([^"]*)"|>([^<]*)<)', xmp)
+        if match:
+            fields[key] = (match.group(1) or match.group(2) or '').strip()
+    return fields
+
+
+def _c2pa(raw):
+    """
+    C2PA manifests are JUMBF boxes labelled "c2pa" (JPEG APP11 segments,
+    PNG caBX chunks, or a sidecar-style trailing box). Report whether one is
+    present and the claim generator it names, without validating signatures.
+    """
+    if b'caBX' not in raw and not (b'jumb' in raw and b'c2pa' in raw):
+        return {"present": False}
+
+    report = {"present": True, "validated": False}
+    match = re.search(rb'claim_generator[^\x20-\x7e]{0,8}([\x20-\x7e]{3,120})', raw)
+    if match:
+        report["claim_generator"] = match.group(1).decode('ascii', 'replace').strip('"')
+    actions = sorted(set(a.decode('ascii') for a in re.findall(rb'c2pa\.(created|edited|opened|placed|converted|color_adjustments|cropped|resized|drawing|filtered)', raw)))
+    if actions:
+        report["actions"] = actions
+    if b'trainedAlgorithmicMedia' in raw:
+        report["ai_generated"] = True
+    return report
+
+
+def extract(img_path):
+    with open(img_path, 'rb') as f:
+        raw = f.read(SCAN_BYTES)
+
+    with Image.open(img_path) as img:
+        exif, has_gps = _exif(img)
+        png_text = _png_text(img)
+        report = {
+            "format": img.format,
+            "width": img.width,
+            "height": img.height,
+            "mode": img.mode,
+            "file_size": os.path.getsize(img_path),
+            "exif": exif,
+            "has_gps": has_gps,
+            "png_text": png_text,
+        }
+
+    xmp = _xmp(raw)
+    report["xmp"] = _xmp_fields(xmp) if xmp else {}
+    report["c2pa"] = _c2pa(raw)
+
+    haystack = " ".join([
+        exif.get("software", ""),
+        report["xmp"].get("creator_tool", ""),
+        report["xmp"].get("digital_source_type", ""),
+        report["c2pa"].get("claim_generator", ""),
+        " ".join(f"{k} {v}" for k, v in png_text.items()),
+    ]).lower()
+
+    report["editing_software"] = sorted({name for name in EDITING_SOFTWARE if name in haystack})
+    generators = {label for needle, label in GENERATOR_SIGNATURES if needle in haystack}
+    if GENERATOR_TEXT_KEYS & {k.lower() for k in png_text}:
+        generators.add("Generator prompt embedded in PNG text")
+    if report["c2pa"].get("ai_generated"):
+        generators.add("C2PA: AI-generated content credential")
+    report["ai_generator_signatures"] = sorted(generators)
+
+    # Cameras write these; their absence is common for screenshots and generated images
+    report["camera_metadata_missing"] = not (exif.get("camera_make") or exif.get("camera_model"))
+    return report
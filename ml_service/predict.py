@@ -1,16 +1,13 @@
-import tensorflow as tf
-from tensorflow.keras.preprocessing import image
-import numpy as np
 import sys
 import os
 
-BASE_DIR = os.path.dirname(os.path.abspath(__file__))
-MODEL_PATH = os.path.join(BASE_DIR, 'deepfake_detector.h5')
-IMAGE_SIZE = (128, 128)
+from detector import Detector
+from registry import default_spec
 
 def predict_image(img_path):
-    if not os.path.exists(MODEL_PATH):
-        print(f"Error: Model file '{MODEL_PATH}' not found. Please train the model first.")
+    spec = default_spec()
+    if not os.path.exists(spec['path']):
+        print(f"Error: Model file '{spec['path']}' not found. Please train the model first.")
         return
 
     if not os.path.exists(img_path):
@@ -23,34 +20,16 @@ def predict_image(img_path):
         return
 
     try:
-        # Load Model
-        model = tf.keras.models.load_model(MODEL_PATH)
+        # Load Model and Predict
+        result = Detector(spec).predict(img_path)
+        class_label = result["label"]
+        fake_percent = result["fake_probability"] * 100
 
-        # Preprocess Image
-        img = image.load_img(img_path, target_size=IMAGE_SIZE)
-        img_array = image.img_to_array(img)
-        img_array = np.expand_dims(img_array, axis=0) # Create batch axis
-        img_array /= 255.0 # Normalize
+        print(f"\n[Result] {class_label}")
+        print(f"[Estimated probability of manipulation] {fake_percent:.2f}%"
+              + ("" if spec['calibration'] else " (uncalibrated model output)"))
 
-        # Predict
-        prediction = model.predict(img_array)
-        confidence = prediction[0][0]
-
-        # Class names (Assuming flow_from_directory alphabetical order: Fake=0, Real=1)
-        # Note: Check class_indices from training to be sure. 
-        # Usually: Fake (F) comes before Real (R) -> Fake=0, Real=1
-        
-        if confidence > 0.5:
-            class_label = "Real"
-            conf_percent = confidence * 100
-        else:
-            class_label = "AI-Generated (Fake)"
-            conf_percent = (1 - confidence) * 100
-
-        print(f"\n[Result] Class: {class_label}")
-        print(f"[Confidence] {conf_percent:.2f}%")
-        
-        return class_label, conf_percent
+        return class_label, fake_percent
 
     except PermissionError:
         print(f"\n[Error] Permission Denied for file: '{img_path}'")
@@ -0,0 +1,147 @@
+"""
+Point the analyze service at a finished training run.
+
+Usage:
+  python ml_service/promote_model.py <run_id> [--default]
+  python ml_service/promote_model.py --list
+
+Promotion rewrites the run's model entry in models/registry.json (path,
+version, input size, targets) and appends to models/promotions.jsonl, so a
+previous run can be re-promoted to roll back. The running server notices the
+registry change and reloads its inference worker. Calibration is cleared
+because it belongs to the old weights; re-run calibrate.py and
+evaluate_model.py for the new ones.
+"""
+import os
+import sys
+import json
+import time
+import hashlib
+import argparse
+
+from registry import REGISTRY_PATH, load_registry
+
+BASE_DIR = os.path.dirname(os.path.abspath(__file__))
+RUNS_DIR = os.path.join(BASE_DIR, 'runs')
+PROMOTIONS_LOG = os.path.join(BASE_DIR, 'models', 'promotions.jsonl')
+
+
+def now():
+    return time.strftime("%Y-%m-%dT%H:%M:%SZ", time.gmtime())
+
+
+def file_hash(path):
+    digest = hashlib.sha256()
+    with open(path, 'rb') as f:
+        for chunk in iter(lambda: f.read(1 << 20), b''):
+            digest.update(chunk)
+    return digest.hexdigest()
+
+
+def load_run(run_id):
+    record_path = os.path.join(RUNS_DIR, run_id, 'run.json')
+    if not os.path.exists(record_path):
+        raise ValueError(f"No run '{run_id}' in {RUNS_DIR}")
+    with open(record_path) as f:
+        record = json.load(f)
+    if record.get('status') != 'completed':
+        raise ValueError(f"Run '{run_id}' is {record.get('status')}; only completed runs can be promoted")
+
+    artifact = os.path.join(BASE_DIR, record['artifact']['path'])
+    if not os.path.exists(artifact):
+        raise ValueError(f"Artifact '{artifact}' is missing")
+    if file_hash(artifact) != record['artifact']['sha256']:
+        raise ValueError(f"Artifact '{artifact}' does not match the hash in its run record")
+    return record
+
+
+def promote(run_id, make_default=False):
+    record = load_run(run_id)
+    config = record['config']
+    model_id = record['model_id']
+
+    with open(REGISTRY_PATH) as f:
+        registry = json.load(f)
+
+    entry = next((m for m in registry['models'] if m['id'] == model_id), None)
+    previous = dict(entry) if entry else None
+    if entry is None:
+        entry = {"id": model_id, "output": "real_probability", "weight": 1.0}
+        registry['models'].append(entry)
+
+    entry.update({
+        "name": config['model'].get('name', entry.get('name', model_id)),
+        "version": run_id,
+        "path": record['artifact']['path'],
+        "input_size": config['image_size'],
+        "targets": config['model'].get('targets', entry.get('targets', [])),
+        "calibration": None,
+        "run_id": run_id,
+        "promoted_at": now(),
+    })
+    entry.setdefault("decision", {"fake_min": 0.7, "real_max": 0.3})
+    if make_default:
+        registry['default'] = model_id
+
+    # Validate the new registry before it replaces the live one
+    staged = REGISTRY_PATH + '.tmp'
+    with open(staged, 'w') as f:
+        json.dump(registry, f, indent=2)
+        f.write('\n')
+    try:
+        load_registry(staged)
+    except Exception:
+        os.remove(staged)
+        raise
+    os.replace(staged, REGISTRY_PATH)
+
+    with open(PROMOTIONS_LOG, 'a') as f:
+        f.write(json.dumps({
+            "at": entry['promoted_at'],
+            "model_id": model_id,
+            "run_id": run_id,
+            "artifact": record['artifact'],
+            "previous": {"version": previous.get('version'), "path": previous.get('path')} if previous else None,
+            "default": registry['default'] == model_id,
+        }) + "\n")
+
+    print(f"Promoted run {run_id} as '{model_id}' v{run_id} ({record['artifact']['path']})")
+    print("Calibration was reset. Next: python ml_service/calibrate.py "
+          f"--model {model_id} --write && python ml_service/evaluate_model.py --model {model_id}")
+
+
+def list_runs():
+    if not os.path.isdir(RUNS_DIR):
+        print("No training runs yet.")
+        return
+    for run_id in sorted(os.listdir(RUNS_DIR)):
+        record_path = os.path.join(RUNS_DIR, run_id, 'run.json')
+        if not os.path.exists(record_path):
+            continue
+        with open(record_path) as f:
+            record = json.load(f)
+        metrics = record.get('metrics') or {}
+        print(f"{run_id}  {record['model_id']:<20} {record['status']:<12} "
+              f"best val_accuracy {metrics.get('best_val_accuracy', '-')}")
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__, formatter_class=argparse.RawDescriptionHelpFormatter)
+    parser.add_argument('run_id', nargs='?', help='training run to promote')
+    parser.add_argument('--default', action='store_true', help='also make this model the registry default')
+    parser.add_argument('--list', action='store_true', help='list training runs')
+    args = parser.parse_args()
+
+    if args.list or not args.run_id:
+        list_runs()
+        return
+
+    try:
+        promote(args.run_id, args.default)
+    except ValueError as e:
+        print(f"Error: {e}")
+        sys.exit(1)
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,120 @@
+"""
+Detector model registry (ml_service/models/registry.json).
+
+Each entry declares how to load and read one Keras model:
+  id           stable identifier used by the API ("model" request field)
+  version      human version of the weights; the file hash is reported alongside it
+  path         weights file, relative to ml_service/
+  input_size   [height, width] the model was trained on
+  targets      manipulation kinds it was trained to catch: gan-faces, diffusion, face-swap
+  output       "real_probability" (sigmoid of the Real class) or "fake_probability"
+  calibration  Platt parameters fitted by calibrate.py ({"method": "platt", "a", "b", ...}),
+               or null while the model is uncalibrated
+  decision     {"fake_min", "real_max"}: calibrated fake-probability at or above which a
+               file is called fake, and at or below which it is called real; anything
+               in between is reported as inconclusive
+  weight       share of the vote in ensemble mode
+"""
+import os
+import json
+
+from calibration import DEFAULT_DECISION
+
+BASE_DIR = os.path.dirname(os.path.abspath(__file__))
+REGISTRY_PATH = os.path.join(BASE_DIR, 'models', 'registry.json')
+
+ENSEMBLE = 'ensemble'
+TARGETS = {'gan-faces', 'diffusion', 'face-swap'}
+OUTPUTS = {'real_probability', 'fake_probability'}
+
+
+def load_registry(path=REGISTRY_PATH):
+    with open(path) as f:
+        registry = json.load(f)
+
+    specs = {}
+    for entry in registry.get('models', []):
+        spec = {
+            'id': entry['id'],
+            'name': entry.get('name', entry['id']),
+            'version': str(entry['version']),
+            'path': os.path.join(BASE_DIR, entry['path']),
+            'input_size': tuple(entry.get('input_size', (128, 128))),
+            'targets': list(entry.get('targets', [])),
+            'output': entry.get('output', 'real_probability'),
+            'calibration': entry.get('calibration'),
+            'decision': {**DEFAULT_DECISION, **(entry.get('decision') or {})},
+            'weight': float(entry.get('weight', 1.0)),
+            'description': entry.get('description', ''),
+        }
+        unknown = set(spec['targets']) - TARGETS
+        if unknown:
+            raise ValueError(f"Model '{spec['id']}' has unknown targets: {', '.join(sorted(unknown))}")
+        if spec['output'] not in OUTPUTS:
+            raise ValueError(f"Model '{spec['id']}' has unknown output '{spec['output']}'")
+        if not 0 <= spec['decision']['real_max'] <= spec['decision']['fake_min'] <= 1:
+            raise ValueError(f"Model '{spec['id']}' needs 0 <= real_max <= fake_min <= 1 in its decision band")
+        specs[spec['id']] = spec
+
+    default = registry.get('default')
+    if default not in specs:
+        raise ValueError(f"Registry default '{default}' is not a registered model")
+    return default, specs
+
+
+def default_spec(path=REGISTRY_PATH):
+    default, specs = load_registry(path)
+    return specs[default]
+
+
+class Registry:
+    """Registered models, each loaded on first use and then kept in memory."""
+
+    def __init__(self, path=REGISTRY_PATH):
+        self.default, self.specs = load_registry(path)
+        self._detectors = {}
+
+    def detector(self, model_id=None):
+        from detector import Detector
+
+        model_id = model_id or self.default
+        if model_id not in self.specs:
+            raise ValueError(f"Unknown model '{model_id}'")
+        if model_id not in self._detectors:
+            self._detectors[model_id] = Detector(self.specs[model_id])
+        return self._detectors[model_id]
+
+    def resolve(self, model_id=None):
+        """A single detector, or an ensemble of every model whose weights are present."""
+        if model_id != ENSEMBLE:
+            return self.detector(model_id)
+
+        from detector import Ensemble
+
+        available = [m for m in self.specs if os.path.exists(self.specs[m]['path'])]
+        if not available:
+            raise ValueError("No model weights are available for the ensemble")
+        # The default model leads: its faces, heatmap and video report are returned as-is
+        available.sort(key=lambda m: m != self.default)
+        return Ensemble([self.detector(m) for m in available])
+
+    def describe(self):
+        models = []
+        for model_id, spec in self.specs.items():
+            loaded = self._detectors.get(model_id)
+            models.append({
+                'id': model_id,
+                'name': spec['name'],
+                'version': spec['version'],
+                'input_size': list(spec['input_size']),
+                'targets': spec['targets'],
+                'calibrated': bool(spec['calibration']),
+                'decision': spec['decision'],
+                'weight': spec['weight'],
+                'description': spec['description'],
+                'default': model_id == self.default,
+                'available': os.path.exists(spec['path']),
+                'loaded': loaded is not None,
+                'file_hash': loaded.version if loaded else None,
+            })
+        return {'default': self.default, 'models': models}
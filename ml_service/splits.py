@@ -0,0 +1,69 @@
+"""
+Deterministic train / held-out split of ml_service/dataset/{real,fake}.
+
+The held-out share is the first fraction of each class's files in sorted
+order; train_model.py validates on it and trains on the rest, plus every
+reviewer correction curated into ml_service/dataset/curated/{real,fake}
+(server/services/curation.js). Curated files are always training data, so the
+held-out set, and the reports computed on it, stay comparable between runs.
+
+The held-out share is halved again per class: calibrate.py fits on the first
+half and evaluate_model.py reports on the second, so the reported metrics come
+from images neither training nor calibration has seen.
+"""
+import os
+
+BASE_DIR = os.path.dirname(os.path.abspath(__file__))
+DATASET_DIR = os.path.join(BASE_DIR, 'dataset')
+CURATED_DIR = os.path.join(DATASET_DIR, 'curated')  # gitignored: decrypted case evidence
+HELD_OUT_FRACTION = 0.2
+CLASSES = ('fake', 'real')  # alphabetical, as Keras assigns class indices
+IMAGE_EXTENSIONS = ('.png', '.jpg', '.jpeg', '.bmp', '.gif', '.tif', '.tiff', '.webp')
+
+
+def class_files(dataset_dir, label):
+    folder = os.path.join(dataset_dir, label)
+    if not os.path.isdir(folder):
+        return []
+    return sorted(
+        os.path.join(folder, name) for name in os.listdir(folder)
+        if name.lower().endswith(IMAGE_EXTENSIONS)
+    )
+
+
+def held_out(dataset_dir=DATASET_DIR, fraction=HELD_OUT_FRACTION):
+    """[(path, label)] for the held-out share of every class."""
+    samples = []
+    for label in CLASSES:
+        files = class_files(dataset_dir, label)
+        samples += [(path, label) for path in files[:int(fraction * len(files))]]
+    return samples
+
+
+def training(dataset_dir=DATASET_DIR, fraction=HELD_OUT_FRACTION, curated_dir=CURATED_DIR):
+    """[(path, label)] for everything outside the held-out share, plus the curated files."""
+    samples = []
+    for label in CLASSES:
+        files = class_files(dataset_dir, label)
+        samples += [(path, label) for path in files[int(fraction * len(files)):]]
+        samples += [(path, label) for path in class_files(curated_dir, label)]
+    return samples
+
+
+def _halves(samples):
+    calibration, evaluation = [], []
+    for label in CLASSES:
+        files = [sample for sample in samples if sample[1] == label]
+        calibration += files[:len(files) // 2]
+        evaluation += files[len(files) // 2:]
+    return calibration, evaluation
+
+
+def calibration_fold(dataset_dir=DATASET_DIR):
+    """[(path, label)] that calibrate.py fits on."""
+    return _halves(held_out(dataset_dir))[0]
+
+
+def evaluation_fold(dataset_dir=DATASET_DIR):
+    """[(path, label)] that evaluate_model.py reports on."""
+    return _halves(held_out(dataset_dir))[1]
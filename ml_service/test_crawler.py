@@ -0,0 +1,76 @@
+"""
+Runs crawler.py against the fixture site in fixtures/crawl_site, served from a
+local HTTP server, and checks the images it reports (see the fixture's README).
+
+Usage: cd ml_service && python -m unittest test_crawler
+"""
+import os
+import threading
+import unittest
+from functools import partial
+from http.server import SimpleHTTPRequestHandler, ThreadingHTTPServer
+
+from crawler import Crawler
+
+FIXTURE_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'fixtures', 'crawl_site')
+
+# In crawl order, as listed in fixtures/crawl_site/README.md
+DEPTH_0 = [
+    'images/plain.png',
+    'images/large.png',
+    'images/cdn/w_1280,h_960.png',
+    'images/lazy.png',
+    'images/lazy-large.png',
+    'uploads/thumb.png',
+    'images/inline-bg.png',
+    'images/style-bg.png',
+    'uploads/full.png',
+]
+DEPTH_2 = DEPTH_0 + ['gallery/picture-large.png', 'gallery/deep.png']
+
+
+class QuietHandler(SimpleHTTPRequestHandler):
+    def log_message(self, format, *args):
+        pass
+
+
+class CrawlerFixtureTest(unittest.TestCase):
+    @classmethod
+    def setUpClass(cls):
+        cls.server = ThreadingHTTPServer(('127.0.0.1', 0), partial(QuietHandler, directory=FIXTURE_DIR))
+        cls.base_url = f"http://127.0.0.1:{cls.server.server_address[1]}/"
+        threading.Thread(target=cls.server.serve_forever, daemon=True).start()
+
+    @classmethod
+    def tearDownClass(cls):
+        cls.server.shutdown()
+        cls.server.server_close()
+
+    def crawl(self, depth):
+        """Image paths relative to the site root, in the order the crawler found them."""
+        crawler = Crawler(delay=0)
+        return [image_url[len(self.base_url):] for _, image_url in crawler.images(self.base_url, depth)]
+
+    def test_depth_0_reads_only_the_landing_page(self):
+        self.assertEqual(self.crawl(0), DEPTH_0)
+
+    def test_depth_2_follows_links_two_levels_deep(self):
+        self.assertEqual(self.crawl(2), DEPTH_2)
+
+    def test_depth_3_reaches_the_deepest_page(self):
+        self.assertEqual(self.crawl(3), DEPTH_2 + ['gallery/too-deep.png'])
+
+    def test_robots_txt_keeps_the_crawler_out_of_private(self):
+        crawler = Crawler(delay=0)
+        self.assertFalse(crawler.allowed(self.base_url + 'private/'))
+        self.assertFalse(crawler.allowed(self.base_url + 'private/secret.png'))
+        self.assertTrue(crawler.allowed(self.base_url + 'gallery/'))
+        self.assertNotIn('private/secret.png', self.crawl(3))
+
+    def test_robots_txt_raises_the_delay_between_requests(self):
+        crawler = Crawler(delay=0)
+        self.assertEqual(crawler._host_delay(self.base_url), 1.0)
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -1,112 +1,291 @@
+"""
+Config-driven, resumable training.
+
+Usage:
+  python ml_service/train_model.py [--config configs/default.json]   start a new run
+  python ml_service/train_model.py --resume <run_id>                 continue an interrupted run
+
+Every run lives in ml_service/runs/<run_id>/ with a snapshot of its config,
+Keras backup checkpoints (so an interrupted run picks up at the last finished
+epoch), a per-epoch CSV log and run.json (hyperparameters, dataset hash,
+metrics, artifact). The trained weights are written to
+ml_service/models/artifacts/<model_id>-<run_id>.h5; nothing the analyze service
+uses changes until the run is promoted with promote_model.py.
+"""
+import os
+import csv
+import sys
+import json
+import time
+import hashlib
+import argparse
+
+import pandas as pd
 import tensorflow as tf
 from tensorflow.keras.preprocessing.image import ImageDataGenerator
 from tensorflow.keras.models import Sequential
 from tensorflow.keras.layers import Conv2D, MaxPooling2D, Flatten, Dense, Dropout, Input
 from tensorflow.keras.optimizers import Adam
-import os
+import matplotlib
+matplotlib.use('Agg')
 import matplotlib.pyplot as plt
 
+from splits import DATASET_DIR, CURATED_DIR, CLASSES, class_files, held_out, training
+
 # Define constants
 BASE_DIR = os.path.dirname(os.path.abspath(__file__))
-IMAGE_SIZE = (128, 128)
-BATCH_SIZE = 32
-EPOCHS = 80 # Increased from 10
-LEARNING_RATE = 0.0009 # Adjustable learning rate
-DATASET_DIR = os.path.join(BASE_DIR, 'dataset')
-MODEL_PATH = os.path.join(BASE_DIR, 'deepfake_detector.h5')
-
-def train_model():
+DEFAULT_CONFIG = os.path.join(BASE_DIR, 'configs', 'default.json')
+RUNS_DIR = os.path.join(BASE_DIR, 'runs')
+ARTIFACTS_DIR = os.path.join(BASE_DIR, 'models', 'artifacts')
+
+
+def now():
+    return time.strftime("%Y-%m-%dT%H:%M:%SZ", time.gmtime())
+
+
+def file_hash(path):
+    digest = hashlib.sha256()
+    with open(path, 'rb') as f:
+        for chunk in iter(lambda: f.read(1 << 20), b''):
+            digest.update(chunk)
+    return digest.hexdigest()
+
+
+def dataset_fingerprint(dataset_dir=DATASET_DIR):
+    """Hash of every image's relative path and content, curated files included, so a run can be tied to the exact data."""
+    digest = hashlib.sha256()
+    counts = {}
+    for label in CLASSES:
+        files = class_files(dataset_dir, label)
+        curated = class_files(CURATED_DIR, label)
+        counts[label] = len(files)
+        counts[f"curated_{label}"] = len(curated)
+        for path in files + curated:
+            digest.update(os.path.relpath(path, dataset_dir).encode('utf-8'))
+            digest.update(file_hash(path).encode('ascii'))
+    return {"dir": os.path.relpath(dataset_dir, BASE_DIR), "sha256": digest.hexdigest(), "counts": counts}
+
+
+def build_model(config):
+    arch = config['architecture']
+    height, width = config['image_size']
+    layers = [Input(shape=(height, width, 3))]
+    for filters in arch['conv_filters']:
+        layers += [Conv2D(filters, (3, 3), activation='relu'), MaxPooling2D(2, 2)]
+    layers += [
+        Flatten(),
+        Dense(arch['dense_units'], activation='relu'),
+        Dropout(arch['dropout']),
+        Dense(1, activation='sigmoid')  # Binary classification: Real vs Fake
+    ]
+    model = Sequential(layers)
+    model.compile(optimizer=Adam(learning_rate=config['learning_rate']),
+                  loss='binary_crossentropy',
+                  metrics=['accuracy'])
+    return model
+
+
+def write_record(run_dir, record):
+    with open(os.path.join(run_dir, 'run.json'), 'w') as f:
+        json.dump(record, f, indent=2)
+        f.write('\n')
+
+
+def read_history(log_path):
+    if not os.path.exists(log_path):
+        return []
+    with open(log_path) as f:
+        return [{k: float(v) for k, v in row.items()} for row in csv.DictReader(f)]
+
+
+def summarize(history):
+    if not history:
+        return {}
+    best = max(history, key=lambda row: row.get('val_accuracy', 0))
+    final = history[-1]
+    return {
+        "epochs_completed": len(history),
+        "final": {k: round(v, 4) for k, v in final.items() if k != 'epoch'},
+        "best_epoch": int(best['epoch']) + 1,
+        "best_val_accuracy": round(best.get('val_accuracy', 0), 4),
+    }
+
+
+def plot_history(history, path):
+    plt.figure()
+    plt.plot([row['accuracy'] for row in history], label='accuracy')
+    plt.plot([row['val_accuracy'] for row in history], label='val_accuracy')
+    plt.xlabel('Epoch')
+    plt.ylabel('Accuracy')
+    plt.ylim([0, 1])
+    plt.legend(loc='lower right')
+    plt.savefig(path)
+    plt.close()
+
+
+def new_run(config_path):
+    with open(config_path) as f:
+        config = json.load(f)
+
+    run_id = time.strftime("%Y%m%d-%H%M%S", time.gmtime())
+    run_dir = os.path.join(RUNS_DIR, run_id)
+    os.makedirs(run_dir)
+    with open(os.path.join(run_dir, 'config.json'), 'w') as f:
+        json.dump(config, f, indent=2)
+
+    print("Hashing dataset...")
+    record = {
+        "run_id": run_id,
+        "model_id": config['model']['id'],
+        "status": "created",
+        "config_file": os.path.relpath(os.path.abspath(config_path), BASE_DIR),
+        "config": config,
+        "dataset": dataset_fingerprint(),
+        "created_at": now(),
+        "resumed_at": [],
+    }
+    write_record(run_dir, record)
+    return run_dir, record
+
+
+def load_run(run_id):
+    run_dir = os.path.join(RUNS_DIR, run_id)
+    record_path = os.path.join(run_dir, 'run.json')
+    if not os.path.exists(record_path):
+        raise FileNotFoundError(f"No run '{run_id}' in {RUNS_DIR}")
+    with open(record_path) as f:
+        record = json.load(f)
+    if record['status'] == 'completed':
+        raise ValueError(f"Run '{run_id}' already completed; start a new run instead")
+
+    fingerprint = dataset_fingerprint()
+    if fingerprint['sha256'] != record['dataset']['sha256']:
+        raise ValueError("The dataset changed since this run started; resuming would mix data. Start a new run.")
+    record['resumed_at'].append(now())
+    return run_dir, record
+
+
+def frame(samples):
+    return pd.DataFrame(samples, columns=['filename', 'class'])
+
+
+def train_model(run_dir, record):
+    config = record['config']
     print(f"Checking dataset directory: {os.path.abspath(DATASET_DIR)}")
-    
+
     if not os.path.exists(DATASET_DIR):
         print(f"Error: Dataset directory '{DATASET_DIR}' not found.")
         print("Please create 'dataset/real' and 'dataset/fake' folders and add images.")
-        return
+        return False
+
+    if hasattr(tf.keras.utils, 'set_random_seed'):
+        tf.keras.utils.set_random_seed(config['seed'])
 
     # Data Augmentation and Preprocessing
-    train_datagen = ImageDataGenerator(
-        rescale=1./255,
-        rotation_range=20,
-        width_shift_range=0.2,
-        height_shift_range=0.2,
-        shear_range=0.2,
-        zoom_range=0.2,
-        horizontal_flip=True,
-        validation_split=0.2 # Use 20% for validation
-    )
+    train_datagen = ImageDataGenerator(rescale=1./255, **config['augmentation'])
+    # Validation images are only rescaled, so metrics reflect unaltered inputs
+    validation_datagen = ImageDataGenerator(rescale=1./255)
 
+    # File lists come from splits.py so the curated corrections are trained on
+    # and the held-out share matches what calibrate.py and evaluate_model.py use
     print("Loading training data...")
-    try:
-        train_generator = train_datagen.flow_from_directory(
-            DATASET_DIR,
-            target_size=IMAGE_SIZE,
-            batch_size=BATCH_SIZE,
-            class_mode='binary',
-            subset='training'
-        )
-
-        validation_generator = train_datagen.flow_from_directory(
-            DATASET_DIR,
-            target_size=IMAGE_SIZE,
-            batch_size=BATCH_SIZE,
-            class_mode='binary',
-            subset='validation'
-        )
-    except Exception as e:
-        print(f"Error loading data: {e}")
-        return
+    target_size = tuple(config['image_size'])
+    train_generator = train_datagen.flow_from_dataframe(
+        frame(training(fraction=config['validation_split'])),
+        classes=list(CLASSES),
+        target_size=target_size,
+        batch_size=config['batch_size'],
+        class_mode='binary',
+        seed=config['seed']
+    )
+    validation_generator = validation_datagen.flow_from_dataframe(
+        frame(held_out(fraction=config['validation_split'])),
+        classes=list(CLASSES),
+        target_size=target_size,
+        batch_size=config['batch_size'],
+        class_mode='binary',
+        shuffle=False
+    )
 
     if train_generator.samples == 0:
         print("No images found. Please populate 'dataset/real' and 'dataset/fake'.")
-        return
-
-    # Build CNN Model
-    model = Sequential([
-        Input(shape=(IMAGE_SIZE[0], IMAGE_SIZE[1], 3)),
-        Conv2D(32, (3, 3), activation='relu'),
-        MaxPooling2D(2, 2),
-        
-        Conv2D(64, (3, 3), activation='relu'),
-        MaxPooling2D(2, 2),
-        
-        Conv2D(128, (3, 3), activation='relu'),
-        MaxPooling2D(2, 2),
-        
-        Flatten(),
-        Dense(128, activation='relu'),
-        Dropout(0.5),
-        Dense(1, activation='sigmoid') # Binary classification: Real vs Fake
-    ])
-
-    model.compile(optimizer=Adam(learning_rate=LEARNING_RATE),
-                  loss='binary_crossentropy',
-                  metrics=['accuracy'])
+        return False
 
+    model = build_model(config)
     model.summary()
 
+    log_path = os.path.join(run_dir, 'history.csv')
+    callbacks = [
+        # Restores weights, optimizer state and epoch counter after an interruption
+        tf.keras.callbacks.BackupAndRestore(backup_dir=os.path.join(run_dir, 'backup')),
+        tf.keras.callbacks.CSVLogger(log_path, append=True),
+    ]
+
+    record['status'] = 'running'
+    record['started_at'] = record.get('started_at') or now()
+    write_record(run_dir, record)
+
     # Train
-    print("Starting training...")
-    history = model.fit(
+    print(f"Starting run {record['run_id']}...")
+    model.fit(
         train_generator,
-        steps_per_epoch=train_generator.samples // BATCH_SIZE,
+        steps_per_epoch=train_generator.samples // config['batch_size'],
         validation_data=validation_generator,
-        validation_steps=validation_generator.samples // BATCH_SIZE,
-        epochs=EPOCHS
+        validation_steps=max(1, validation_generator.samples // config['batch_size']),
+        epochs=config['epochs'],
+        callbacks=callbacks
     )
 
-    # Save Model
-    model.save(MODEL_PATH)
-    print(f"Model saved to {MODEL_PATH}")
+    # Versioned artifact; the production model is untouched until promotion
+    os.makedirs(ARTIFACTS_DIR, exist_ok=True)
+    artifact = os.path.join(ARTIFACTS_DIR, f"{record['model_id']}-{record['run_id']}.h5")
+    model.save(artifact)
+    print(f"Model saved to {artifact}")
+
+    history = read_history(log_path)
+    plot_history(history, os.path.join(run_dir, 'training_accuracy.png'))
+
+    record.update({
+        "status": "completed",
+        "finished_at": now(),
+        "metrics": summarize(history),
+        "artifact": {
+            "path": os.path.relpath(artifact, BASE_DIR),
+            "sha256": file_hash(artifact),
+        },
+    })
+    write_record(run_dir, record)
+    print(f"Run record written to {os.path.join(run_dir, 'run.json')}")
+    print(f"Promote it with: python ml_service/promote_model.py {record['run_id']}")
+    return True
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__, formatter_class=argparse.RawDescriptionHelpFormatter)
+    group = parser.add_mutually_exclusive_group()
+    group.add_argument('--config', default=DEFAULT_CONFIG, help='training config JSON')
+    group.add_argument('--resume', metavar='RUN_ID', help='continue an interrupted run')
+    args = parser.parse_args()
+
+    try:
+        run_dir, record = load_run(args.resume) if args.resume else new_run(args.config)
+    except (FileNotFoundError, ValueError) as e:
+        print(f"Error: {e}")
+        sys.exit(1)
+
+    try:
+        ok = train_model(run_dir, record)
+    except BaseException:
+        record['status'] = 'interrupted'
+        write_record(run_dir, record)
+        print(f"Run interrupted. Resume with: python ml_service/train_model.py --resume {record['run_id']}")
+        raise
+
+    if not ok:
+        record['status'] = 'failed'
+        write_record(run_dir, record)
+        sys.exit(1)
 
-    # Plot Accuracy
-    plt.plot(history.history['accuracy'], label='accuracy')
-    plt.plot(history.history['val_accuracy'], label = 'val_accuracy')
-    plt.xlabel('Epoch')
-    plt.ylabel('Accuracy')
-    plt.ylim([0, 1])
-    plt.legend(loc='lower right')
-    plt.savefig('training_accuracy.png')
-    print("Training accuracy plot saved to training_accuracy.png")
 
 if __name__ == "__main__":
-    train_model()
+    main()
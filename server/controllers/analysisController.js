@@ -0,0 +1,227 @@
+const Evidence = require('../models/Evidence');
+const evidenceStore = require('../services/evidenceStore');
+const jobQueue = require('../services/jobQueue');
+const inferenceWorker = require('../services/inferenceWorker');
+const modelRegistry = require('../services/modelRegistry');
+const { actorFromRequest } = require('../utils/actor');
+const { canAccessCase } = require('../utils/access');
+
+// Categories a file can be analyzed under
+const CATEGORIES = ['Original', 'Suspect'];
+const MAX_BATCH_FILES = 20;
+
+exports.MAX_BATCH_FILES = MAX_BATCH_FILES;
+
+// Hash an uploaded file into the evidence store and log the upload
+const storeUpload = async (file, { caseId, category, actor }) => {
+    const stored = await evidenceStore.ingest(file.path);
+    await Evidence.recordUpload({
+        sha256: stored.sha256,
+        size: stored.size,
+        mimeType: file.mimetype,
+        originalName: file.originalname,
+        caseId,
+        actor,
+        details: { category }
+    });
+    return stored;
+};
+
+const parseFlag = (value) => value === true || value === 'true' || value === '1';
+
+// Categories arrive either as a JSON array or as one repeated form field per file
+const parseCategories = (raw, count) => {
+    let categories = raw;
+    if (typeof raw === 'string') {
+        try {
+            categories = JSON.parse(raw);
+        } catch {
+            categories = [raw];
+        }
+    }
+    if (!Array.isArray(categories) || categories.length !== count) {
+        return null;
+    }
+    return categories.every(c => CATEGORIES.includes(c)) ? categories : null;
+};
+
+const unknownModel = (res, model) => res.status(400).json({
+    success: false,
+    error: `Unknown model '${model}'. See GET /api/v1/models for the registered models.`
+});
+
+// Uploads are only filed under a case the user can see
+const checkCase = async (req, res, caseId) => {
+    if (!caseId || await canAccessCase(req.user, caseId)) return true;
+    res.status(404).json({ success: false, error: 'Case not found' });
+    return false;
+};
+
+// @desc    Store an image or video and queue it for deepfake analysis
+// @route   POST /api/v1/analyze   (multipart: image, category, caseId, explain, model (ID or "ensemble"))
+exports.analyzeImage = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No image file uploaded' });
+        }
+        if (!modelRegistry.isKnown(req.body.model)) {
+            return unknownModel(res, req.body.model);
+        }
+
+        const { caseId, category } = req.body;
+        if (!CATEGORIES.includes(category)) {
+            return res.status(400).json({
+                success: false,
+                error: `category must be one of ${CATEGORIES.join('/')}`
+            });
+        }
+        if (!await checkCase(req, res, caseId)) return;
+        const actor = actorFromRequest(req);
+
+        const stored = await storeUpload(req.file, { caseId, category, actor });
+
+        const job = await jobQueue.enqueue('analyze', {
+            sha256: stored.sha256,
+            fileName: req.file.originalname,
+            mimeType: req.file.mimetype,
+            explain: parseFlag(req.body.explain),
+            model: req.body.model || undefined,
+            category,
+            caseId,
+            actor
+        });
+
+        res.status(202).json({
+            success: true,
+            data: {
+                jobId: job.jobId,
+                status: job.status,
+                sha256: stored.sha256
+            }
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Store several images and queue them as one atomic analysis job
+// @route   POST /api/v1/analyze/batch   (multipart: images[], categories (JSON array, one per file), caseId, explain, model)
+exports.analyzeBatch = async (req, res) => {
+    try {
+        const files = req.files || [];
+        if (files.length === 0) {
+            return res.status(400).json({ success: false, error: 'No image files uploaded' });
+        }
+
+        if (!modelRegistry.isKnown(req.body.model)) {
+            return unknownModel(res, req.body.model);
+        }
+
+        const categories = parseCategories(req.body.categories, files.length);
+        if (!categories) {
+            return res.status(400).json({
+                success: false,
+                error: `categories must list one of ${CATEGORIES.join('/')} for each uploaded file`
+            });
+        }
+
+        const { caseId } = req.body;
+        if (!await checkCase(req, res, caseId)) return;
+        const actor = actorFromRequest(req);
+
+        const batchFiles = [];
+        for (let i = 0; i < files.length; i++) {
+            const stored = await storeUpload(files[i], { caseId, category: categories[i], actor });
+            batchFiles.push({
+                index: i,
+                sha256: stored.sha256,
+                fileName: files[i].originalname,
+                mimeType: files[i].mimetype,
+                category: categories[i]
+            });
+        }
+
+        const job = await jobQueue.enqueue('analyze-batch', {
+            files: batchFiles,
+            explain: parseFlag(req.body.explain),
+            model: req.body.model || undefined,
+            caseId,
+            actor
+        });
+
+        res.status(202).json({
+            success: true,
+            data: {
+                jobId: job.jobId,
+                status: job.status,
+                files: batchFiles
+            }
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Store an original and a suspect image and queue a similarity comparison
+// @route   POST /api/v1/analyze/compare   (multipart: original, suspect, caseId)
+exports.compareImages = async (req, res) => {
+    try {
+        const original = req.files?.original?.[0];
+        const suspect = req.files?.suspect?.[0];
+        if (!original || !suspect) {
+            return res.status(400).json({ success: false, error: 'Both an original and a suspect image are required' });
+        }
+        if (![original, suspect].every(file => file.mimetype.startsWith('image/'))) {
+            return res.status(400).json({ success: false, error: 'Only images can be compared' });
+        }
+
+        const { caseId } = req.body;
+        if (!await checkCase(req, res, caseId)) return;
+        const actor = actorFromRequest(req);
+
+        const storedOriginal = await storeUpload(original, { caseId, category: 'Original', actor });
+        const storedSuspect = await storeUpload(suspect, { caseId, category: 'Suspect', actor });
+
+        const payload = {
+            original: { sha256: storedOriginal.sha256, fileName: original.originalname },
+            suspect: { sha256: storedSuspect.sha256, fileName: suspect.originalname },
+            caseId,
+            actor
+        };
+        const job = await jobQueue.enqueue('compare', payload);
+
+        res.status(202).json({
+            success: true,
+            data: {
+                jobId: job.jobId,
+                status: job.status,
+                original: payload.original,
+                suspect: payload.suspect
+            }
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Report whether the inference worker is up and responding
+// @route   GET /api/v1/analyze/health
+exports.getInferenceHealth = async (req, res) => {
+    try {
+        const health = await inferenceWorker.request('health', {}, 10000);
+
+        res.status(200).json({
+            success: true,
+            data: { ...inferenceWorker.status(), worker: health }
+        });
+    } catch (err) {
+        res.status(503).json({
+            success: false,
+            error: `Inference worker unavailable: ${err.message}`,
+            data: inferenceWorker.status()
+        });
+    }
+};
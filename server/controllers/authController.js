@@ -0,0 +1,107 @@
+const auth = require('../services/auth');
+const { sessionToken, setSessionCookie, clearSessionCookie } = require('../middleware/auth');
+const { actorFromRequest } = require('../utils/actor');
+
+// Victims can create their own accounts unless ALLOW_SIGNUP=false;
+// advocates and admins are always added by an admin
+const signupAllowed = () => process.env.ALLOW_SIGNUP !== 'false';
+
+const startSession = async (req, res, user, status) => {
+    const { ip, userAgent } = actorFromRequest(req);
+    const session = await auth.createSession(user, { ip, userAgent });
+    setSessionCookie(req, res, session);
+    res.status(status).json({
+        success: true,
+        data: { user: user.toPublic(), expiresAt: session.expiresAt }
+    });
+};
+
+// @desc    Create a victim account and sign in
+// @route   POST /api/v1/auth/register   { email, name, password }
+exports.register = async (req, res) => {
+    try {
+        if (!signupAllowed()) {
+            return res.status(403).json({ success: false, error: 'Sign-up is closed; ask an advocate for an account' });
+        }
+        const { email, name, password } = req.body;
+        const problem = auth.passwordProblem(password);
+        if (problem) {
+            return res.status(400).json({ success: false, error: problem });
+        }
+
+        const user = await auth.createUser({ email, name, role: 'victim', password });
+        await startSession(req, res, user, 201);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        if (err.code === 11000) {
+            return res.status(409).json({ success: false, error: 'An account with this email already exists' });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Sign in with email and password
+// @route   POST /api/v1/auth/login   { email, password }
+exports.login = async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        const user = await auth.checkCredentials(email, password);
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'Wrong email or password' });
+        }
+
+        await startSession(req, res, user, 200);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    End the current session
+// @route   POST /api/v1/auth/logout
+exports.logout = async (req, res) => {
+    try {
+        const token = sessionToken(req);
+        if (token) await auth.endSession(token);
+        clearSessionCookie(res);
+
+        res.status(200).json({ success: true, data: {} });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    The signed-in user
+// @route   GET /api/v1/auth/me
+exports.getMe = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: req.user.toPublic()
+    });
+};
+
+// @desc    Change the signed-in user's password; every other session ends
+// @route   PUT /api/v1/auth/password   { currentPassword, newPassword }
+exports.changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const problem = auth.passwordProblem(newPassword);
+        if (problem) {
+            return res.status(400).json({ success: false, error: problem });
+        }
+        const user = await auth.checkCredentials(req.user.email, currentPassword);
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'Current password is wrong' });
+        }
+
+        await auth.setPassword(user, newPassword);
+        await startSession(req, res, user, 200);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
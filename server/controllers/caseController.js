@@ -0,0 +1,246 @@
+const Case = require('../models/Case');
+const Evidence = require('../models/Evidence');
+const User = require('../models/User');
+const globalScan = require('../services/globalScan');
+const crypto = require('crypto');
+const { actorFromRequest } = require('../utils/actor');
+const { isStaff, caseScope, findCaseFor } = require('../utils/access');
+
+// Fields a client is allowed to set on a case
+const EDITABLE_FIELDS = ['incidentType', 'offender', 'platform', 'countryCode', 'offenderPhone', 'statement', 'scanResults', 'comparisons'];
+// Encrypted at rest (models/Case.js)
+const ENCRYPTED_FIELDS = ['statement', 'offenderPhone'];
+
+// Generate a human readable case ID, e.g. CS-4F9A1C2B7
+const generateCaseId = () => {
+    return 'CS-' + crypto.randomBytes(5).toString('hex').substr(0, 9).toUpperCase();
+};
+
+const pickEditable = (body) => {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(key => {
+        if (body[key] !== undefined) {
+            fields[key] = body[key];
+        }
+    });
+    return fields;
+};
+
+// Victims own the cases they open. Staff may assign a case to a victim by
+// ownerId; returns false if that is not a victim's userId.
+const applyOwner = async (req, fields) => {
+    if (!isStaff(req.user)) {
+        fields.ownerId = req.user.userId;
+        return true;
+    }
+    const { ownerId } = req.body;
+    if (ownerId === undefined) return true;
+    if (ownerId && !await User.exists({ userId: ownerId, role: 'victim' })) return false;
+    fields.ownerId = ownerId || undefined;
+    return true;
+};
+
+// A case whose fields no longer decrypt (a forged or lost key) is listed
+// without them instead of failing the whole list
+const toListEntry = (doc) => {
+    try {
+        return doc.toJSON();
+    } catch (err) {
+        console.error(`[Cases] Could not decrypt case ${doc.caseId}:`, err.message);
+        const entry = doc.toJSON({ getters: false });
+        ENCRYPTED_FIELDS.forEach(field => delete entry[field]);
+        return { ...entry, decryptionFailed: true };
+    }
+};
+
+const unknownOwner = (res) => res.status(400).json({ success: false, error: 'ownerId must be the userId of a victim account' });
+
+// @desc    Create a new case
+// @route   POST /api/v1/cases
+exports.createCase = async (req, res) => {
+    try {
+        const fields = pickEditable(req.body);
+
+        if (fields.incidentType !== 'fakes' && (!fields.offender || !fields.platform)) {
+            return res.status(400).json({ success: false, error: 'Offender and platform are required' });
+        }
+        if (!await applyOwner(req, fields)) {
+            return unknownOwner(res);
+        }
+
+        const newCase = await Case.create({
+            ...fields,
+            caseId: generateCaseId()
+        });
+
+        res.status(201).json({
+            success: true,
+            data: newCase
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    List the cases the user can see, newest first
+// @route   GET /api/v1/cases?status=OPEN|ARCHIVED&ownerId=   (ownerId: staff only)
+exports.listCases = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.status) {
+            filter.status = String(req.query.status).toUpperCase();
+        }
+        if (req.query.ownerId) {
+            filter.ownerId = String(req.query.ownerId);
+        }
+        Object.assign(filter, caseScope(req.user));
+
+        const cases = await Case.find(filter).sort({ createdAt: -1 }).limit(100);
+
+        res.status(200).json({
+            success: true,
+            count: cases.length,
+            data: cases.map(toListEntry)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Get a single case
+// @route   GET /api/v1/cases/:id
+exports.getCase = async (req, res) => {
+    try {
+        const found = await findCaseFor(req.user, req.params.id);
+
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: found
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Update an open case
+// @route   PUT /api/v1/cases/:id
+exports.updateCase = async (req, res) => {
+    try {
+        const found = await findCaseFor(req.user, req.params.id);
+
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+        if (found.status === 'ARCHIVED') {
+            return res.status(409).json({ success: false, error: 'Archived cases cannot be edited' });
+        }
+
+        const fields = pickEditable(req.body);
+        if (isStaff(req.user) && !await applyOwner(req, fields)) {
+            return unknownOwner(res);
+        }
+        found.set(fields);
+        await found.save();
+
+        res.status(200).json({
+            success: true,
+            data: found
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Archive a case (cases are never hard deleted)
+// @route   POST /api/v1/cases/:id/archive
+exports.archiveCase = async (req, res) => {
+    try {
+        const found = await findCaseFor(req.user, req.params.id);
+
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+
+        if (found.status !== 'ARCHIVED') {
+            found.status = 'ARCHIVED';
+            found.archivedAt = Date.now();
+            await found.save();
+        }
+
+        res.status(200).json({
+            success: true,
+            data: found
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Log a case file export against every evidence file in the case
+// @route   POST /api/v1/cases/:id/export
+exports.recordExport = async (req, res) => {
+    try {
+        const found = await findCaseFor(req.user, req.params.id);
+
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+
+        const actor = actorFromRequest(req);
+        const format = req.body.format || 'PDF';
+
+        await Promise.all(found.evidence.map(ref => Evidence.appendCustody(ref.sha256, {
+            action: 'EXPORT',
+            caseId: found.caseId,
+            actor,
+            details: { format, category: ref.category }
+        })));
+
+        res.status(200).json({
+            success: true,
+            data: { caseId: found.caseId, exported: found.evidence.length }
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Images from case scans that resemble the victim and were judged fake,
+//          most similar first (?all=true to include real and inconclusive ones)
+// @route   GET /api/v1/cases/:id/matches
+exports.getCaseMatches = async (req, res) => {
+    try {
+        const found = await Case.exists({ caseId: req.params.id, ...caseScope(req.user) });
+
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+
+        const matches = await globalScan.caseMatches(req.params.id, { all: req.query.all === 'true' });
+
+        res.status(200).json({
+            success: true,
+            count: matches.length,
+            data: matches
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
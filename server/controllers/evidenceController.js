@@ -0,0 +1,139 @@
+const Evidence = require('../models/Evidence');
+const evidenceStore = require('../services/evidenceStore');
+const { actorFromRequest } = require('../utils/actor');
+const { findCaseFor, evidenceFor } = require('../utils/access');
+
+// Multipart field name -> evidence category shown in reports
+const EVIDENCE_FIELDS = {
+    screenshotImage: 'Screenshot',
+    originalImage: 'Original',
+    deepfakeImage: 'Suspect'
+};
+
+exports.EVIDENCE_FIELDS = EVIDENCE_FIELDS;
+
+// @desc    Upload evidence files, hash them into the store and log custody
+// @route   POST /api/v1/evidence   (multipart: screenshotImage[], originalImage[], deepfakeImage[], caseId)
+exports.uploadEvidence = async (req, res) => {
+    try {
+        const { caseId } = req.body;
+        const files = req.files || {};
+
+        if (Object.keys(files).length === 0) {
+            return res.status(400).json({ success: false, error: 'No evidence files uploaded' });
+        }
+
+        let targetCase = null;
+        if (caseId) {
+            targetCase = await findCaseFor(req.user, caseId);
+            if (!targetCase) {
+                return res.status(404).json({ success: false, error: 'Case not found' });
+            }
+        }
+
+        const actor = actorFromRequest(req);
+        const data = {};
+
+        for (const field of Object.keys(EVIDENCE_FIELDS)) {
+            const category = EVIDENCE_FIELDS[field];
+            data[field] = [];
+
+            for (const file of (files[field] || [])) {
+                const stored = await evidenceStore.ingest(file.path);
+                await Evidence.recordUpload({
+                    sha256: stored.sha256,
+                    size: stored.size,
+                    mimeType: file.mimetype,
+                    originalName: file.originalname,
+                    caseId,
+                    actor,
+                    details: { category }
+                });
+
+                const ref = {
+                    sha256: stored.sha256,
+                    category,
+                    fileName: file.originalname,
+                    mimeType: file.mimetype,
+                    size: stored.size
+                };
+                data[field].push(ref);
+
+                if (targetCase && !targetCase.evidence.some(e => e.sha256 === ref.sha256 && e.category === category)) {
+                    targetCase.evidence.push(ref);
+                }
+            }
+        }
+
+        if (targetCase) {
+            await targetCase.save();
+        }
+
+        res.status(201).json({
+            success: true,
+            data
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Get an evidence record with its full custody log
+// @route   GET /api/v1/evidence/:sha256
+exports.getEvidence = async (req, res) => {
+    try {
+        const { sha256 } = req.params;
+        if (!evidenceStore.isValidHash(sha256)) {
+            return res.status(400).json({ success: false, error: 'Invalid SHA-256 hash' });
+        }
+
+        const evidence = await Evidence.findOne({ sha256 });
+        const visible = evidence && await evidenceFor(req.user, evidence);
+        if (!visible) {
+            return res.status(404).json({ success: false, error: 'Evidence not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: visible
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Re-hash the stored file to confirm it has not changed since upload
+// @route   GET /api/v1/evidence/:sha256/verify
+exports.verifyEvidence = async (req, res) => {
+    try {
+        const { sha256 } = req.params;
+        if (!evidenceStore.isValidHash(sha256)) {
+            return res.status(400).json({ success: false, error: 'Invalid SHA-256 hash' });
+        }
+
+        const evidence = await Evidence.findOne({ sha256 });
+        if (!evidence || !await evidenceFor(req.user, evidence)) {
+            return res.status(404).json({ success: false, error: 'Evidence not found' });
+        }
+
+        const result = await evidenceStore.verify(sha256);
+        if (!result.exists) {
+            return res.status(404).json({ success: false, error: 'Evidence file not found in store' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                sha256,
+                intact: result.intact,
+                actual: result.actual,
+                checkedAt: new Date()
+            }
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
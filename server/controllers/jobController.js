@@ -0,0 +1,25 @@
+const jobQueue = require('../services/jobQueue');
+const { isStaff } = require('../utils/access');
+
+// Victims only see the jobs they queued
+const canSeeJob = (user, job) => isStaff(user) || job.payload?.actor?.userId === user.userId;
+
+// @desc    Get the status (and result, once finished) of a background job
+// @route   GET /api/v1/jobs/:id
+exports.getJob = async (req, res) => {
+    try {
+        const job = await jobQueue.getJob(req.params.id);
+
+        if (!job || !canSeeJob(req.user, job)) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: job.toPublic()
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
@@ -0,0 +1,41 @@
+const modelRegistry = require('../services/modelRegistry');
+
+// @desc    List the registered detector models and which ones can run
+// @route   GET /api/v1/models
+exports.listModels = async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: modelRegistry.list()
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Get the latest evaluation report (metrics, confusion matrix, misclassified files) for a model
+// @route   GET /api/v1/models/:id/evaluation
+exports.getEvaluation = async (req, res) => {
+    try {
+        if (!modelRegistry.isKnown(req.params.id) || req.params.id === modelRegistry.ENSEMBLE) {
+            return res.status(404).json({ success: false, error: 'Model not found' });
+        }
+
+        const report = modelRegistry.evaluation(req.params.id);
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                error: `Model '${req.params.id}' has not been evaluated yet. Run: python ml_service/evaluate_model.py --model ${req.params.id}`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: report
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
@@ -0,0 +1,161 @@
+const Review = require('../models/Review');
+const Evidence = require('../models/Evidence');
+const crypto = require('crypto');
+const { isValidHash } = require('../services/evidenceStore');
+const { curateApproved } = require('../services/curation');
+const hashIndex = require('../services/hashIndex');
+const { actorFromRequest } = require('../utils/actor');
+const { canAccessCase, evidenceFor } = require('../utils/access');
+
+const LABELS = ['real', 'fake'];
+const STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'CURATED'];
+
+// Generate a human readable review ID, e.g. RV-3C91F0A2
+const generateReviewId = () => {
+    return 'RV-' + crypto.randomBytes(4).toString('hex').toUpperCase();
+};
+
+// @desc    Flag a detector verdict as wrong and queue the file for review
+// @route   POST /api/v1/reviews   { sha256, correctedLabel, caseId, fileName, prediction, note }
+exports.createReview = async (req, res) => {
+    try {
+        const { sha256, correctedLabel, caseId, fileName, prediction = {}, note } = req.body;
+
+        if (!isValidHash(sha256)) {
+            return res.status(400).json({ success: false, error: 'A valid evidence sha256 is required' });
+        }
+        if (!LABELS.includes(correctedLabel)) {
+            return res.status(400).json({ success: false, error: `correctedLabel must be one of ${LABELS.join('/')}` });
+        }
+
+        const evidence = await Evidence.findOne({ sha256 });
+        if (!evidence || !await evidenceFor(req.user, evidence)) {
+            return res.status(404).json({ success: false, error: 'Evidence not found' });
+        }
+        if (caseId && !await canAccessCase(req.user, caseId)) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+        if (!evidence.mimeType || !evidence.mimeType.startsWith('image/')) {
+            return res.status(400).json({ success: false, error: 'Only images can be added to the training dataset' });
+        }
+
+        const open = await Review.findOne({ sha256, status: { $in: ['PENDING', 'APPROVED'] } });
+        if (open) {
+            return res.status(409).json({
+                success: false,
+                error: `This file is already in the review queue (${open.reviewId})`,
+                data: open
+            });
+        }
+
+        const review = await Review.create({
+            reviewId: generateReviewId(),
+            sha256,
+            fileName: fileName || evidence.originalName,
+            mimeType: evidence.mimeType,
+            caseId,
+            prediction: {
+                label: prediction.label,
+                verdict: prediction.verdict,
+                fakeProbability: prediction.fakeProbability,
+                modelId: prediction.modelId,
+                modelVersion: prediction.modelVersion
+            },
+            correctedLabel,
+            note,
+            submittedBy: actorFromRequest(req)
+        });
+
+        res.status(201).json({
+            success: true,
+            data: review
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    List reviews, oldest first so the queue is worked in order
+// @route   GET /api/v1/reviews?status=PENDING|APPROVED|REJECTED|CURATED
+exports.listReviews = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.status) {
+            filter.status = String(req.query.status).toUpperCase();
+            if (!STATUSES.includes(filter.status)) {
+                return res.status(400).json({ success: false, error: `status must be one of ${STATUSES.join('/')}` });
+            }
+        }
+
+        const reviews = await Review.find(filter).sort({ createdAt: 1 }).limit(200);
+
+        res.status(200).json({
+            success: true,
+            count: reviews.length,
+            data: reviews
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// Approve or reject a pending review
+const decide = (status) => async (req, res) => {
+    try {
+        const review = await Review.findOneAndUpdate(
+            { reviewId: req.params.id, status: 'PENDING' },
+            { $set: { status, decidedAt: new Date(), decidedBy: actorFromRequest(req) } },
+            { new: true }
+        );
+
+        if (!review) {
+            const exists = await Review.exists({ reviewId: req.params.id });
+            return exists
+                ? res.status(409).json({ success: false, error: 'Review has already been decided' })
+                : res.status(404).json({ success: false, error: 'Review not found' });
+        }
+
+        // An approved "fake" confirms the image; its re-uploads are flagged from now on
+        if (status === 'APPROVED') {
+            await hashIndex.recordReview(review.sha256, review.correctedLabel);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: review
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Approve a review so the next curation run adds it to the dataset
+// @route   POST /api/v1/reviews/:id/approve
+exports.approveReview = decide('APPROVED');
+
+// @desc    Reject a review; the file stays out of the dataset
+// @route   POST /api/v1/reviews/:id/reject
+exports.rejectReview = decide('REJECTED');
+
+// @desc    Copy approved reviews into ml_service/dataset with provenance
+// @route   POST /api/v1/reviews/curate
+exports.curateReviews = async (req, res) => {
+    try {
+        const { curated, failed } = await curateApproved({ actor: actorFromRequest(req) });
+
+        res.status(200).json({
+            success: true,
+            count: curated.length,
+            data: { curated, failed }
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
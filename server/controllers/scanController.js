@@ -0,0 +1,239 @@
+const fs = require('fs');
+const Case = require('../models/Case');
+const globalScan = require('../services/globalScan');
+const scanScheduler = require('../services/scanScheduler');
+
+// Summary field names the overlay reads
+const toSummary = (summary) => ({
+    total_scanned: summary.imagesScored + summary.imagesSkipped,
+    deepfakes_found: summary.deepfakesFound,
+    new_deepfakes: summary.newDeepfakes,
+    known_bad: summary.knownBadReuploads,
+    skipped: summary.imagesSkipped,
+    sites_scanned: summary.sitesScanned,
+    sites_total: summary.sitesTotal,
+    unmatched: summary.imagesUnmatched,
+    matches: summary.matches
+});
+
+const HEARTBEAT_MS = 25000;
+
+// @desc    Start a global scan of the monitored websites. With a caseId, only images
+//          resembling that case's original (victim) photos are scored and recorded.
+// @route   POST /api/v1/scans   { caseId }
+exports.startScan = async (req, res) => {
+    try {
+        const { caseId } = req.body || {};
+        let references;
+        if (caseId) {
+            const found = await Case.findOne({ caseId });
+            if (!found) {
+                return res.status(404).json({ success: false, error: 'Case not found' });
+            }
+            references = globalScan.referencePhotos(found);
+            if (references.length === 0) {
+                return res.status(400).json({ success: false, error: 'The case has no original photos to match against' });
+            }
+        }
+
+        const { run, started } = await globalScan.startRun({ trigger: 'manual', caseId, references });
+
+        if (!run) {
+            return res.status(400).json({ success: false, error: 'No enabled sites to scan' });
+        }
+        if (!started) {
+            return res.status(409).json({
+                success: false,
+                error: `Scan ${run.runId} is already running`,
+                data: run
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            data: run
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    List recent scan runs, newest first, with the active schedule
+// @route   GET /api/v1/scans
+exports.listScans = async (req, res) => {
+    try {
+        const runs = await globalScan.listRuns();
+
+        res.status(200).json({
+            success: true,
+            count: runs.length,
+            schedule: scanScheduler.status(),
+            data: runs
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Get one scan run and its progress ('latest' for the most recent run)
+// @route   GET /api/v1/scans/:id
+exports.getScan = async (req, res) => {
+    try {
+        const run = await globalScan.getRun(req.params.id);
+
+        if (!run) {
+            return res.status(404).json({ success: false, error: 'Scan not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: run
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Get the images a run saw
+// @route   GET /api/v1/scans/:id/results
+exports.getScanResults = async (req, res) => {
+    try {
+        const found = await globalScan.getResults(req.params.id);
+
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Scan not found' });
+        }
+
+        const { run, images } = found;
+        res.status(200).json({
+            success: true,
+            run,
+            summary: toSummary(run.summary),
+            all_results: images.map(img => globalScan.toResult(img, run.runId))
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Cancel a running scan; the scanner process is killed
+// @route   POST /api/v1/scans/:id/cancel
+exports.cancelScan = async (req, res) => {
+    try {
+        const run = await globalScan.getRun(req.params.id);
+
+        if (!run) {
+            return res.status(404).json({ success: false, error: 'Scan not found' });
+        }
+        if (run.status !== 'running') {
+            return res.status(409).json({ success: false, error: `Scan is already ${run.status}` });
+        }
+        if (!await globalScan.cancelRun(run.runId)) {
+            return res.status(409).json({ success: false, error: 'Scan is not running on this server' });
+        }
+
+        res.status(202).json({
+            success: true,
+            data: await globalScan.getRun(run.runId)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Download the scanner's stdout/stderr for a run as plain text
+// @route   GET /api/v1/scans/:id/logs
+exports.getScanLogs = async (req, res) => {
+    try {
+        const run = await globalScan.getRun(req.params.id);
+        const logPath = run && globalScan.logPathFor(run.runId);
+
+        if (!run || !fs.existsSync(logPath)) {
+            return res.status(404).json({ success: false, error: 'No logs for this scan' });
+        }
+
+        res.type('text/plain');
+        fs.createReadStream(logPath).pipe(res);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Stream a run's progress as Server-Sent Events.
+//          Opens with a snapshot of everything stored so far, then sends started, site,
+//          image, fake, known_bad, match, site_done and complete events as the scanner
+//          reports them.
+// @route   GET /api/v1/scans/:id/events
+exports.streamScanEvents = async (req, res) => {
+    try {
+        const found = await globalScan.getRun(req.params.id);
+
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Scan not found' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no' // Keep reverse proxies from buffering the stream
+        });
+
+        const send = (type, data) => {
+            res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+        const toClient = (event) => ({ ...event, summary: toSummary(event.summary) });
+
+        // Subscribe before the snapshot is sent so no event falls in between
+        const buffered = [];
+        let live = false;
+        const forward = (event) => {
+            send(event.type, toClient(event));
+            if (event.type === 'complete') res.end();
+        };
+        const unsubscribe = globalScan.isActive(found.runId)
+            ? globalScan.subscribe(found.runId, (event) => (live ? forward(event) : buffered.push(event)))
+            : null;
+        let heartbeat = null;
+        // Registered before anything is awaited so a client that leaves early
+        // never leaves its listener attached to the run
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            if (unsubscribe) unsubscribe();
+        });
+
+        let snapshot;
+        try {
+            snapshot = await globalScan.getResults(found.runId);
+        } catch (err) {
+            if (unsubscribe) unsubscribe();
+            throw err;
+        }
+        const { run, images } = snapshot;
+        send('snapshot', {
+            run,
+            summary: toSummary(run.summary),
+            results: images.map(img => globalScan.toResult(img, run.runId))
+        });
+
+        if (!unsubscribe) {
+            send('complete', { runId: run.runId, status: run.status, error: run.error, summary: toSummary(run.summary) });
+            return res.end();
+        }
+
+        live = true;
+        buffered.forEach(forward);
+
+        heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+    } catch (err) {
+        console.error(err);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
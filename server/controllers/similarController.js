@@ -0,0 +1,78 @@
+const fs = require('fs');
+const hashIndex = require('../services/hashIndex');
+const inferenceWorker = require('../services/inferenceWorker');
+const { isValidHash } = require('../services/evidenceStore');
+
+// ?maxDistance=<bits, default 10, max 20>&knownBad=true
+const parseOptions = (query) => {
+    const maxDistance = query.maxDistance === undefined
+        ? hashIndex.DEFAULT_MAX_DISTANCE
+        : Number(query.maxDistance);
+    if (!Number.isInteger(maxDistance) || maxDistance < 0 || maxDistance > hashIndex.MAX_DISTANCE_LIMIT) {
+        return null;
+    }
+    return { maxDistance, knownBadOnly: query.knownBad === 'true' };
+};
+
+const badDistance = (res) => res.status(400).json({
+    success: false,
+    error: `maxDistance must be a whole number of bits from 0 to ${hashIndex.MAX_DISTANCE_LIMIT}`
+});
+
+// @desc    Find copies and near-copies (resized, recompressed, cropped) of an indexed image
+// @route   GET /api/v1/similar/:sha256?maxDistance=10&knownBad=true
+exports.findSimilarToIndexed = async (req, res) => {
+    try {
+        const options = parseOptions(req.query);
+        if (!options) return badDistance(res);
+
+        const { sha256 } = req.params;
+        const hashes = isValidHash(sha256) ? await hashIndex.getHashes(sha256) : null;
+        if (!hashes) {
+            return res.status(404).json({ success: false, error: 'Image is not in the hash index' });
+        }
+
+        const matches = await hashIndex.findSimilar(hashes, { ...options, exclude: sha256 });
+        const data = await hashIndex.describe(matches);
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Find indexed images that look like an uploaded one; the upload itself is not kept
+// @route   POST /api/v1/similar?maxDistance=10&knownBad=true   (multipart: image)
+exports.findSimilarToUpload = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No image file uploaded' });
+        }
+        if (!req.file.mimetype.startsWith('image/')) {
+            return res.status(400).json({ success: false, error: 'Only images can be searched' });
+        }
+        const options = parseOptions(req.query);
+        if (!options) return badDistance(res);
+
+        const { phash } = await inferenceWorker.request('phash', { path: req.file.path });
+        const matches = await hashIndex.findSimilar(phash, options);
+        const data = await hashIndex.describe(matches);
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            phash,
+            data
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    } finally {
+        if (req.file) fs.promises.unlink(req.file.path).catch(() => {});
+    }
+};
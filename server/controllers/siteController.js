@@ -0,0 +1,179 @@
+const Site = require('../models/Site');
+const siteRegistry = require('../services/siteRegistry');
+
+// Fields a client is allowed to set on a site
+const EDITABLE_FIELDS = ['url', 'category', 'crawlDepth', 'enabled', 'notes'];
+
+const pickEditable = (body) => {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(key => {
+        if (body[key] !== undefined) {
+            fields[key] = body[key];
+        }
+    });
+    return fields;
+};
+
+const isDuplicate = (err) => err.code === 11000;
+
+// @desc    List monitored sites
+// @route   GET /api/v1/sites?enabled=true&category=social
+exports.listSites = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.enabled !== undefined) filter.enabled = req.query.enabled === 'true';
+        if (req.query.category) filter.category = req.query.category;
+
+        const sites = await Site.find(filter).sort({ createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: sites.length,
+            data: sites
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Add a site to the scan list
+// @route   POST /api/v1/sites
+exports.createSite = async (req, res) => {
+    try {
+        const site = await Site.create({
+            ...pickEditable(req.body),
+            siteId: siteRegistry.generateSiteId()
+        });
+
+        res.status(201).json({
+            success: true,
+            data: site
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        if (isDuplicate(err)) {
+            return res.status(409).json({ success: false, error: 'This site is already registered' });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Get a single site
+// @route   GET /api/v1/sites/:id
+exports.getSite = async (req, res) => {
+    try {
+        const site = await Site.findOne({ siteId: req.params.id });
+
+        if (!site) {
+            return res.status(404).json({ success: false, error: 'Site not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: site
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Update a site (URL, category, crawl depth, enabled flag, notes)
+// @route   PUT /api/v1/sites/:id
+exports.updateSite = async (req, res) => {
+    try {
+        const site = await Site.findOneAndUpdate(
+            { siteId: req.params.id },
+            pickEditable(req.body),
+            { new: true, runValidators: true }
+        );
+
+        if (!site) {
+            return res.status(404).json({ success: false, error: 'Site not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: site
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        if (isDuplicate(err)) {
+            return res.status(409).json({ success: false, error: 'This site is already registered' });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Remove a site from the scan list
+// @route   DELETE /api/v1/sites/:id
+exports.deleteSite = async (req, res) => {
+    try {
+        const site = await Site.findOneAndDelete({ siteId: req.params.id });
+
+        if (!site) {
+            return res.status(404).json({ success: false, error: 'Site not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {}
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Import a websites.txt-style list (one URL per line); existing URLs are left as they are
+// @route   POST /api/v1/sites/import   text/plain body, or JSON { text, category }
+exports.importSites = async (req, res) => {
+    try {
+        const body = req.body || {};
+        const text = typeof body === 'string' ? body : body.text;
+        if (!text || siteRegistry.parseList(text).length === 0) {
+            return res.status(400).json({ success: false, error: 'No URLs to import' });
+        }
+
+        const defaults = {};
+        const category = typeof body === 'string' ? req.query.category : body.category;
+        if (category) {
+            if (!Site.CATEGORIES.includes(category)) {
+                return res.status(400).json({ success: false, error: `category must be one of ${Site.CATEGORIES.join(', ')}` });
+            }
+            defaults.category = category;
+        }
+
+        const result = await siteRegistry.importList(text, defaults);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Export the enabled sites (?all=true for every site) in websites.txt format
+// @route   GET /api/v1/sites/export
+exports.exportSites = async (req, res) => {
+    try {
+        const text = await siteRegistry.exportList({ all: req.query.all === 'true' });
+
+        res.type('text/plain');
+        res.attachment('websites.txt');
+        res.send(text);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
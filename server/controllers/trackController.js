@@ -1,6 +1,7 @@
 const Tracker = require('../models/Tracker');
 const axios = require('axios');
 const crypto = require('crypto');
+const { isStaff } = require('../utils/access');
 
 // Generate unique ID
 const generateId = () => {
@@ -20,7 +21,8 @@ exports.generateTracker = async (req, res) => {
         
         const tracker = await Tracker.create({
             trackingId: id,
-            targetPhone: phone
+            targetPhone: phone,
+            ownerId: req.user.userId
         });
 
         const trackingUrl = `${req.protocol}://${req.get('host')}/api/v1/tracker/t/${id}`;
@@ -154,14 +156,14 @@ exports.trackRequest = async (req, res) => {
     }
 };
 
-// @desc    Get captured results for a forensic report
+// @desc    Get captured results for a forensic report (the link's creator and staff only)
 // @route   GET /api/v1/tracker/results/:id
 exports.getResults = async (req, res) => {
     try {
         const { id } = req.params;
         const tracker = await Tracker.findOne({ trackingId: id });
 
-        if (!tracker) {
+        if (!tracker || !(isStaff(req.user) || tracker.ownerId === req.user.userId)) {
             return res.status(404).json({ success: false, error: 'Tracker not found' });
         }
 
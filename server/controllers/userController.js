@@ -0,0 +1,98 @@
+const User = require('../models/User');
+const auth = require('../services/auth');
+
+const isDuplicate = (err) => err.code === 11000;
+
+// @desc    List user accounts (advocates may look up victims to assign cases)
+// @route   GET /api/v1/users?role=victim
+exports.listUsers = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.role) filter.role = req.query.role;
+        if (req.user.role !== 'admin') filter.role = 'victim';
+
+        const users = await User.find(filter).sort({ createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: users.length,
+            data: users.map(user => user.toPublic())
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Create an account with any role
+// @route   POST /api/v1/users   { email, name, role, password }
+exports.createUser = async (req, res) => {
+    try {
+        const { email, name, role, password } = req.body;
+        const problem = auth.passwordProblem(password);
+        if (problem) {
+            return res.status(400).json({ success: false, error: problem });
+        }
+
+        const user = await auth.createUser({ email, name, role, password });
+
+        res.status(201).json({
+            success: true,
+            data: user.toPublic()
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        if (isDuplicate(err)) {
+            return res.status(409).json({ success: false, error: 'An account with this email already exists' });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// @desc    Change a user's name, role, disabled flag or password. Disabling an
+//          account or resetting its password signs it out everywhere.
+// @route   PUT /api/v1/users/:id   { name, role, disabled, password }
+exports.updateUser = async (req, res) => {
+    try {
+        const user = await User.findOne({ userId: req.params.id });
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        const { name, role, disabled, password } = req.body;
+        if (user.userId === req.user.userId && (disabled === true || (role && role !== 'admin'))) {
+            return res.status(400).json({ success: false, error: 'You cannot disable or demote your own account' });
+        }
+        if (password !== undefined) {
+            const problem = auth.passwordProblem(password);
+            if (problem) {
+                return res.status(400).json({ success: false, error: problem });
+            }
+        }
+
+        if (name !== undefined) user.name = name;
+        if (role !== undefined) user.role = role;
+        if (disabled !== undefined) user.disabled = Boolean(disabled);
+        await user.save();
+
+        if (password !== undefined) {
+            await auth.setPassword(user, password);
+        } else if (user.disabled) {
+            await auth.endUserSessions(user.userId);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: user.toPublic()
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
@@ -0,0 +1,67 @@
+const auth = require('../services/auth');
+
+// Sessions travel in an HttpOnly cookie for the React app; scripts and other
+// API clients may send the same token as "Authorization: Bearer <token>".
+const SESSION_COOKIE = 'dg_session';
+
+const cookieValue = (req, name) => {
+    const pair = (req.headers.cookie || '')
+        .split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${name}=`));
+    return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
+const sessionToken = (req) => {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return cookieValue(req, SESSION_COOKIE);
+};
+
+const setSessionCookie = (req, res, { token, expiresAt }) => {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        path: '/api',
+        expires: expiresAt
+    });
+};
+
+const clearSessionCookie = (res) => {
+    res.clearCookie(SESSION_COOKIE, { path: '/api' });
+};
+
+// Reject requests without a valid session; sets req.user
+const authenticate = async (req, res, next) => {
+    try {
+        const user = await auth.resolveSession(sessionToken(req));
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'Please sign in' });
+        }
+        req.user = user;
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, error: 'Server Error' });
+    }
+};
+
+// Only let the given roles through; use after authenticate
+const requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ success: false, error: 'You do not have access to this' });
+    }
+    next();
+};
+
+module.exports = {
+    SESSION_COOKIE,
+    sessionToken,
+    setSessionCookie,
+    clearSessionCookie,
+    authenticate,
+    requireRole,
+    staffOnly: requireRole('advocate', 'admin'),
+    adminOnly: requireRole('admin')
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { TMP_DIR } = require('../services/evidenceStore');
+const { ALLOWED_FORMATS, sniffFile } = require('../utils/fileType');
+
+const MB = 1024 * 1024;
+
+// Size caps, overridable through the environment
+const LIMITS = {
+    imageBytes: (parseInt(process.env.UPLOAD_MAX_IMAGE_MB, 10) || 20) * MB,
+    videoBytes: (parseInt(process.env.UPLOAD_MAX_VIDEO_MB, 10) || 200) * MB,
+    requestBytes: (parseInt(process.env.UPLOAD_MAX_REQUEST_MB, 10) || 300) * MB,
+    files: parseInt(process.env.UPLOAD_MAX_FILES, 10) || 25
+};
+
+const MAX_NAME_LENGTH = 150;
+
+const toMb = (bytes) => `${Math.round(bytes / MB)} MB`;
+
+// Client file names are only kept for display and reports: drop any directory
+// part and characters that are unsafe in paths or headers, and cap the length
+const safeOriginalName = (name) => {
+    const base = path.posix.basename(String(name || '').replace(/\\/g, '/'));
+    const cleaned = [...base]
+        .map(c => (c.charCodeAt(0) < 32 || c.charCodeAt(0) === 127 ? '_' : c))
+        .join('')
+        .replace(/[<>:"|?*]/g, '_')
+        .replace(/^[.\s]+/, '')
+        .trim();
+    if (!cleaned) return 'upload';
+    if (cleaned.length <= MAX_NAME_LENGTH) return cleaned;
+    const ext = path.extname(cleaned).slice(0, 10);
+    return cleaned.slice(0, MAX_NAME_LENGTH - ext.length) + ext;
+};
+
+// Uploads land in a temp dir under a random name; evidenceStore.ingest() moves
+// them into the content-addressed store once they are hashed.
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        cb(null, TMP_DIR);
+    },
+    filename: (req, file, cb) => {
+        cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}.upload`);
+    }
+});
+
+const rejection = (status, message) => Object.assign(new Error(message), { status });
+
+const unsupported = (what) => rejection(415, `Unsupported file type${what ? ` (${what})` : ''}. Allowed formats: ${ALLOWED_FORMATS}`);
+
+// Cheap first pass on the declared type; the content is checked once it is on disk
+const fileFilter = (req, file, cb) => {
+    file.originalname = safeOriginalName(file.originalname);
+    const declared = file.mimetype || '';
+    if (declared.startsWith('image/') || declared.startsWith('video/') || declared === 'application/octet-stream') {
+        return cb(null, true);
+    }
+    cb(unsupported(declared));
+};
+
+const multerUpload = multer({
+    storage,
+    fileFilter,
+    limits: {
+        // Images get their own, lower cap after sniffing
+        fileSize: Math.max(LIMITS.imageBytes, LIMITS.videoBytes),
+        files: LIMITS.files,
+        fields: 50,
+        fieldSize: MB
+    }
+});
+
+const uploadedFiles = (req) => {
+    if (req.file) return [req.file];
+    if (Array.isArray(req.files)) return req.files;
+    return Object.values(req.files || {}).flat();
+};
+
+const removeFiles = (files) => files.forEach(file => {
+    fs.promises.unlink(file.path).catch(() => {});
+});
+
+// Sniff every file, replace the client's Content-Type with the detected one and
+// apply the per-kind and per-request caps
+const checkFiles = async (files) => {
+    const total = files.reduce((sum, file) => sum + file.size, 0);
+    if (total > LIMITS.requestBytes) {
+        throw rejection(413, `Upload is too large; the limit is ${toMb(LIMITS.requestBytes)} per request`);
+    }
+
+    for (const file of files) {
+        const detected = await sniffFile(file.path);
+        if (!detected) {
+            throw unsupported(file.originalname);
+        }
+        const cap = detected.kind === 'image' ? LIMITS.imageBytes : LIMITS.videoBytes;
+        if (file.size > cap) {
+            throw rejection(413, `${file.originalname} is too large; ${detected.kind}s may be up to ${toMb(cap)}`);
+        }
+        file.mimetype = detected.mimeType;
+    }
+};
+
+const multerStatus = (err) => {
+    switch (err.code) {
+        case 'LIMIT_FILE_SIZE':
+            return rejection(413, `File too large; images may be up to ${toMb(LIMITS.imageBytes)} and videos up to ${toMb(LIMITS.videoBytes)}`);
+        case 'LIMIT_FILE_COUNT':
+            return rejection(400, `Too many files; at most ${LIMITS.files} per request`);
+        case 'LIMIT_UNEXPECTED_FILE':
+            return rejection(400, `Unexpected file field '${err.field}', or too many files in it`);
+        default:
+            return rejection(400, err.message);
+    }
+};
+
+// Run a multer handler, then validate what it stored. Rejected requests get a
+// 4xx JSON error, and whatever a request leaves in the temp dir (rejected or
+// never ingested files) is removed once the response is done.
+const guard = (handler) => (req, res, next) => {
+    const declaredLength = parseInt(req.headers['content-length'], 10);
+    if (declaredLength > LIMITS.requestBytes) {
+        return res.status(413).json({
+            success: false,
+            error: `Upload is too large; the limit is ${toMb(LIMITS.requestBytes)} per request`
+        });
+    }
+
+    handler(req, res, async (err) => {
+        const files = uploadedFiles(req);
+        res.once('close', () => removeFiles(files));
+
+        try {
+            if (err) throw err instanceof multer.MulterError ? multerStatus(err) : err;
+            await checkFiles(files);
+        } catch (rejected) {
+            if (!rejected.status) {
+                console.error(rejected);
+                return res.status(500).json({ success: false, error: 'Server Error' });
+            }
+            return res.status(rejected.status).json({ success: false, error: rejected.message });
+        }
+        next();
+    });
+};
+
+module.exports = {
+    LIMITS,
+    single: (name) => guard(multerUpload.single(name)),
+    array: (name, maxCount) => guard(multerUpload.array(name, maxCount)),
+    fields: (fields) => guard(multerUpload.fields(fields))
+};
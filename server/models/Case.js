@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+
+// One entry per file that went through /api/v1/analyze for this case
+const ScanResultSchema = new mongoose.Schema({
+  fileName: String,
+  category: String, // 'Original' or 'Suspect'
+  label: String,
+  verdict: String, // 'fake', 'real' or 'inconclusive'
+  fakeProbability: Number,
+  confidence: Number,
+  isFake: Boolean,
+  error: String
+}, { _id: false, strict: false });
+
+// Original-vs-suspect similarity from /api/v1/analyze/compare
+const ComparisonSchema = new mongoose.Schema({
+  original: { sha256: String, fileName: String },
+  suspect: { sha256: String, fileName: String },
+  ssim: Number,
+  changedRatio: Number,
+  likelyDerived: Boolean
+}, { _id: false, strict: false });
+
+// Reference to a file in the content-addressed evidence store
+const EvidenceRefSchema = new mongoose.Schema({
+  sha256: String,
+  category: String, // 'Screenshot', 'Original' or 'Suspect'
+  fileName: String,
+  mimeType: String,
+  size: Number
+}, { _id: false });
+
+const CaseSchema = new mongoose.Schema({
+  caseId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  incidentType: {
+    type: String,
+    enum: ['extortion', 'fakes', 'trace'],
+    default: 'extortion'
+  },
+  // userId of the victim the case belongs to; cases opened by an advocate may have none
+  ownerId: {
+    type: String,
+    index: true
+  },
+  offender: String,
+  platform: String,
+  countryCode: String,
+  offenderPhone: String,
+  statement: String,
+  scanResults: [ScanResultSchema],
+  comparisons: [ComparisonSchema],
+  evidence: [EvidenceRefSchema],
+  status: {
+    type: String,
+    enum: ['OPEN', 'ARCHIVED'],
+    default: 'OPEN'
+  },
+  archivedAt: Date
+}, { timestamps: true });
+
+// The victim's statement and the offender's number are encrypted at rest
+CaseSchema.plugin(encryptedFields, { fields: ['statement', 'offenderPhone'] });
+
+module.exports = mongoose.model('Case', CaseSchema);
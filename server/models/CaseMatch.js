@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// An image from a case-scoped global scan whose face resembles the victim's
+// reference photos. Kept per case so results from several runs accumulate.
+const CaseMatchSchema = new mongoose.Schema({
+  caseId: {
+    type: String,
+    required: true
+  },
+  imageUrl: {
+    type: String,
+    required: true
+  },
+  sha256: {
+    type: String,
+    required: true
+  },
+  sourceUrl: String,
+  similarity: Number, // Cosine similarity of the best-matching face (SFace)
+  face: { x: Number, y: Number, width: Number, height: Number }, // Fractions of the image size
+  prediction: String, // Fake / Real / Inconclusive
+  verdict: String,
+  fakeProbability: Number,
+  confidence: Number,
+  firstRunId: String,
+  lastRunId: String
+}, { timestamps: true });
+
+CaseMatchSchema.index({ caseId: 1, imageUrl: 1, sha256: 1 }, { unique: true });
+CaseMatchSchema.index({ caseId: 1, verdict: 1, similarity: -1 });
+
+module.exports = mongoose.model('CaseMatch', CaseMatchSchema);
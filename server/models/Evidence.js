@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const CustodyEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['UPLOAD', 'ANALYSIS', 'ATTACH', 'EXPORT', 'CURATION', 'DELETION'],
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  caseId: String,
+  actor: {
+    userId: String,
+    role: String,
+    ip: String,
+    userAgent: String
+  },
+  details: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const EvidenceSchema = new mongoose.Schema({
+  sha256: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+  size: {
+    type: Number,
+    immutable: true
+  },
+  mimeType: String,
+  originalName: String, // Name the file had when first received
+  caseIds: [String],
+  // Append-only: entries are only ever added through Evidence.appendCustody
+  custody: [CustodyEntrySchema]
+}, { timestamps: true });
+
+// Reject any update that would rewrite or remove existing custody entries
+EvidenceSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+  const update = this.getUpdate() || {};
+  const touchesCustody = Object.keys(update).some(op => {
+    if (op === '$push' || op === '$addToSet') return false;
+    if (op === 'custody' || op.startsWith('custody.')) return true;
+    return typeof update[op] === 'object' && update[op] !== null &&
+      Object.keys(update[op]).some(field => field === 'custody' || field.startsWith('custody.'));
+  });
+
+  if (touchesCustody) {
+    return next(new Error('Custody log is append-only'));
+  }
+  next();
+});
+
+EvidenceSchema.pre('save', function (next) {
+  if (!this.isNew && this.isModified('custody')) {
+    return next(new Error('Custody log is append-only; use Evidence.appendCustody'));
+  }
+  next();
+});
+
+EvidenceSchema.statics.appendCustody = function (sha256, entry) {
+  return this.updateOne({ sha256 }, { $push: { custody: entry } });
+};
+
+const sameActor = (a, b) => Boolean(a && b && (a.userId ? a.userId === b.userId : a.ip === b.ip));
+
+// Analyses run before their case was saved are logged without a caseId. Once
+// the same person files the evidence under a case, an ATTACH entry records
+// which of those analyses belong to it (existing entries are never edited).
+EvidenceSchema.statics.attachToCase = async function (sha256, caseId, actor) {
+  const evidence = await this.findOne({ sha256 }, { custody: 1 }).lean();
+  if (!evidence) return;
+
+  const attached = new Set(evidence.custody
+    .filter(entry => entry.action === 'ATTACH' && entry.caseId === caseId)
+    .flatMap(entry => entry.details.analyses.map(at => new Date(at).getTime())));
+  const analyses = evidence.custody
+    .filter(entry => entry.action === 'ANALYSIS' && !entry.caseId && sameActor(actor, entry.actor))
+    .map(entry => entry.at)
+    .filter(at => !attached.has(new Date(at).getTime()));
+  if (analyses.length === 0) return;
+
+  await this.appendCustody(sha256, { action: 'ATTACH', caseId, actor, details: { analyses } });
+};
+
+// Create the record on first receipt and log the upload either way
+EvidenceSchema.statics.recordUpload = async function ({ sha256, size, mimeType, originalName, caseId, actor, details }) {
+  await this.updateOne(
+    { sha256 },
+    {
+      $setOnInsert: { sha256, size, mimeType, originalName },
+      ...(caseId ? { $addToSet: { caseIds: caseId } } : {})
+    },
+    { upsert: true }
+  );
+  await this.appendCustody(sha256, {
+    action: 'UPLOAD',
+    caseId,
+    actor,
+    details: { originalName, mimeType, size, ...details }
+  });
+  if (caseId) {
+    await this.attachToCase(sha256, caseId, actor);
+  }
+};
+
+module.exports = mongoose.model('Evidence', EvidenceSchema);
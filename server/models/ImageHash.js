@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Perceptual hashes of an image that went through /api/v1/analyze or the
+// global scan, used to find copies and near-copies (services/hashIndex.js).
+const ImageHashSchema = new mongoose.Schema({
+  sha256: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // 64-bit pHashes as hex: the full image first, then five crops
+  hashes: {
+    type: [String],
+    required: true
+  },
+  sources: [{
+    type: String,
+    enum: ['analysis', 'scan']
+  }],
+  // Set once any detector verdict for this file was "fake"
+  classifierFake: {
+    type: Boolean,
+    default: false
+  },
+  // Label from an approved reviewer correction
+  reviewedLabel: {
+    type: String,
+    enum: ['real', 'fake']
+  },
+  // Confirmed deepfake (reviewedLabel 'fake'): re-uploads of it are flagged
+  // whatever the classifier says
+  knownBad: {
+    type: Boolean,
+    default: false,
+    index: true
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ImageHash', ImageHashSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const JobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'done', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  startedAt: Date,
+  finishedAt: Date
+}, { timestamps: true });
+
+// Payloads carry internal paths and requester details; only expose the outcome
+JobSchema.methods.toPublic = function () {
+  return {
+    jobId: this.jobId,
+    type: this.type,
+    status: this.status,
+    result: this.result,
+    error: this.error,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt
+  };
+};
+
+module.exports = mongoose.model('Job', JobSchema);
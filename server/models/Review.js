@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A reviewer's correction of a detector verdict, queued until someone approves
+// it for the training dataset (see services/curation.js)
+const ReviewSchema = new mongoose.Schema({
+  reviewId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sha256: {
+    type: String,
+    required: true,
+    index: true
+  },
+  fileName: String,
+  mimeType: String,
+  caseId: String,
+  // What the model said when the reviewer disagreed
+  prediction: {
+    label: String,
+    verdict: String,
+    fakeProbability: Number,
+    modelId: String,
+    modelVersion: String
+  },
+  correctedLabel: {
+    type: String,
+    enum: ['real', 'fake'],
+    required: true
+  },
+  note: String,
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED', 'CURATED'],
+    default: 'PENDING',
+    index: true
+  },
+  submittedBy: {
+    userId: String,
+    role: String,
+    ip: String,
+    userAgent: String
+  },
+  decidedBy: {
+    userId: String,
+    role: String,
+    ip: String,
+    userAgent: String
+  },
+  decidedAt: Date,
+  curatedAt: Date,
+  datasetPath: String // Where the curation step copied the file, relative to ml_service/dataset/curated
+}, { timestamps: true });
+
+module.exports = mongoose.model('Review', ReviewSchema);
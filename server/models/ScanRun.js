@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One execution of the global website scan (ml_service/deepfake_scanner.py)
+const ScanRunSchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed', 'cancelled'],
+    default: 'running',
+    index: true
+  },
+  trigger: {
+    type: String,
+    enum: ['manual', 'schedule'],
+    default: 'manual'
+  },
+  caseId: {
+    type: String,
+    index: true
+  }, // Set when the scan looks for one victim's face (see CaseMatch)
+  modelId: String,
+  modelVersion: String,
+  currentSite: String,
+  summary: {
+    sitesTotal: { type: Number, default: 0 },
+    sitesScanned: { type: Number, default: 0 },
+    siteErrors: { type: Number, default: 0 },
+    imagesScored: { type: Number, default: 0 },
+    imagesSkipped: { type: Number, default: 0 }, // Same URL and content as an image an earlier run scored
+    deepfakesFound: { type: Number, default: 0 },
+    newDeepfakes: { type: Number, default: 0 }, // Fakes first seen in this run
+    knownBadReuploads: { type: Number, default: 0 }, // Copies or near-copies of confirmed deepfakes
+    imagesUnmatched: { type: Number, default: 0 }, // Case scans: no face resembling the victim
+    matches: { type: Number, default: 0 } // Case scans: images resembling the victim
+  },
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  cancelledAt: Date,
+  finishedAt: Date
+}, { timestamps: true });
+
+module.exports = mongoose.model('ScanRun', ScanRunSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// An image found by the global scan, scored once per (URL, content hash).
+// Later runs that see the same pair only move lastSeenRunId forward.
+const ScannedImageSchema = new mongoose.Schema({
+  imageUrl: {
+    type: String,
+    required: true
+  },
+  sha256: {
+    type: String,
+    required: true
+  },
+  sourceUrl: String, // Website the image was last found on
+  pageUrl: String, // Page of that website it was on (the crawler follows links)
+  prediction: String, // Fake / Real / Inconclusive
+  verdict: String,
+  fakeProbability: Number,
+  confidence: Number,
+  modelId: String,
+  modelVersion: String,
+  // Closest confirmed deepfake in the hash index when last seen, if any (services/hashIndex.js)
+  knownBad: new mongoose.Schema({
+    sha256: String,
+    distance: Number
+  }, { _id: false }),
+  firstSeenRunId: String,
+  firstSeenAt: Date,
+  lastSeenRunId: {
+    type: String,
+    index: true
+  },
+  lastSeenAt: Date
+}, { timestamps: true });
+
+ScannedImageSchema.index({ imageUrl: 1, sha256: 1 }, { unique: true });
+ScannedImageSchema.index({ verdict: 1, firstSeenAt: -1 });
+
+module.exports = mongoose.model('ScannedImage', ScannedImageSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A signed-in browser or API client. Only a hash of the session token is
+// stored, so a database dump cannot be replayed as a login.
+const SessionSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  ip: String,
+  userAgent: String,
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0 // Mongo removes the session once it expires
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Session', SessionSchema);
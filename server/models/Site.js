@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const CATEGORIES = ['image-host', 'social', 'art', 'ai-generator', 'adult', 'forum', 'news', 'other'];
+
+// A website the global scan visits
+const SiteSchema = new mongoose.Schema({
+  siteId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    validate: {
+      validator: (value) => /^https?:\/\/[^\s/]+/i.test(value),
+      message: 'url must be an http(s) address'
+    }
+  },
+  category: {
+    type: String,
+    enum: CATEGORIES,
+    default: 'other'
+  },
+  // 0 scans only the listed page; each level follows same-site links one step further
+  crawlDepth: {
+    type: Number,
+    min: 0,
+    max: 3,
+    default: 0
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  notes: String,
+  // Outcome the last time a scan visited this site
+  lastScan: {
+    runId: String,
+    at: Date,
+    status: { type: String, enum: ['ok', 'error'] },
+    pages: Number,
+    images: Number,
+    error: String
+  }
+}, { timestamps: true });
+
+SiteSchema.statics.CATEGORIES = CATEGORIES;
+
+module.exports = mongoose.model('Site', SiteSchema);
@@ -10,6 +10,8 @@ const TrackerSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // userId of whoever generated the link; only they and staff see the results
+  ownerId: String,
   createdAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Roles: a victim sees only the cases they own; advocates (counsellors) work
+// on every case and run scans and reviews; admins also manage users and sites.
+const ROLES = ['victim', 'advocate', 'admin'];
+
+const UserSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'A valid email address is required']
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'victim'
+  },
+  // scrypt$<N>$<salt>$<hash>, see services/auth.js; never selected by default
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+  lastLoginAt: Date
+}, { timestamps: true });
+
+UserSchema.statics.ROLES = ROLES;
+
+UserSchema.methods.toPublic = function () {
+  return {
+    userId: this.userId,
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    disabled: this.disabled,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('User', UserSchema);
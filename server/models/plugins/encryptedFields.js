@@ -0,0 +1,19 @@
+const { encrypt, decrypt } = require('../../utils/fieldCrypto');
+
+// Keep the given String paths encrypted in Mongo. Documents read and write
+// plaintext as usual; toJSON/toObject apply the decrypting getters. Setters
+// run on assignment only, not when a document is loaded, so every value set
+// from outside is encrypted and only stored values are taken as ciphertext. Lean
+// queries and raw driver access see ciphertext. Encrypted fields cannot be
+// queried by value.
+module.exports = function encryptedFields(schema, { fields }) {
+  fields.forEach(field => {
+    schema.path(field)
+      .set(value => encrypt(value, field))
+      .get(value => decrypt(value, field));
+  });
+
+  ['toJSON', 'toObject'].forEach(option => {
+    schema.set(option, { ...schema.get(option), getters: true, virtuals: false });
+  });
+};
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const upload = require('../middleware/upload');
+const { analyzeImage, analyzeBatch, compareImages, getInferenceHealth, MAX_BATCH_FILES } = require('../controllers/analysisController');
+
+router.post('/', upload.single('image'), analyzeImage);
+router.post('/batch', upload.array('images', MAX_BATCH_FILES), analyzeBatch);
+router.post('/compare', upload.fields([{ name: 'original', maxCount: 1 }, { name: 'suspect', maxCount: 1 }]), compareImages);
+router.get('/health', getInferenceHealth);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { register, login, logout, getMe, changePassword } = require('../controllers/authController');
+const { authenticate } = require('../middleware/auth');
+
+router.post('/register', register);
+router.post('/login', login);
+router.post('/logout', logout);
+router.get('/me', authenticate, getMe);
+router.put('/password', authenticate, changePassword);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { createCase, listCases, getCase, updateCase, archiveCase, recordExport, getCaseMatches } = require('../controllers/caseController');
+
+router.route('/')
+    .get(listCases)
+    .post(createCase);
+
+router.route('/:id')
+    .get(getCase)
+    .put(updateCase);
+
+router.post('/:id/archive', archiveCase);
+router.post('/:id/export', recordExport);
+router.get('/:id/matches', getCaseMatches);
+
+module.exports = router;
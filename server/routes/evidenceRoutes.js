@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const upload = require('../middleware/upload');
+const { uploadEvidence, getEvidence, verifyEvidence, EVIDENCE_FIELDS } = require('../controllers/evidenceController');
+
+const evidenceUpload = upload.fields(Object.keys(EVIDENCE_FIELDS).map(name => ({ name })));
+
+router.post('/', evidenceUpload, uploadEvidence);
+router.get('/:sha256', getEvidence);
+router.get('/:sha256/verify', verifyEvidence);
+
+module.exports = router;
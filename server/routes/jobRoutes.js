@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+const { getJob } = require('../controllers/jobController');
+
+router.get('/:id', getJob);
+
+module.exports = router;
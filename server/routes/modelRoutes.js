@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { listModels, getEvaluation } = require('../controllers/modelController');
+
+router.get('/', listModels);
+router.get('/:id/evaluation', getEvaluation);
+
+module.exports = router;
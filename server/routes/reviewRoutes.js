@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { createReview, listReviews, approveReview, rejectReview, curateReviews } = require('../controllers/reviewController');
+const { staffOnly } = require('../middleware/auth');
+
+// Anyone can flag a verdict on evidence they can see; staff work the queue
+router.route('/')
+    .get(staffOnly, listReviews)
+    .post(createReview);
+
+router.post('/curate', staffOnly, curateReviews);
+router.post('/:id/approve', staffOnly, approveReview);
+router.post('/:id/reject', staffOnly, rejectReview);
+
+module.exports = router;
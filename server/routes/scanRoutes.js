@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { startScan, listScans, getScan, getScanResults, cancelScan, getScanLogs, streamScanEvents } = require('../controllers/scanController');
+
+router.route('/')
+    .get(listScans)
+    .post(startScan);
+
+router.get('/:id', getScan);
+router.get('/:id/results', getScanResults);
+router.get('/:id/logs', getScanLogs);
+router.get('/:id/events', streamScanEvents);
+router.post('/:id/cancel', cancelScan);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const upload = require('../middleware/upload');
+const { findSimilarToIndexed, findSimilarToUpload } = require('../controllers/similarController');
+
+router.post('/', upload.single('image'), findSimilarToUpload);
+router.get('/:sha256', findSimilarToIndexed);
+
+module.exports = router;
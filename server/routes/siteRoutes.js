@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { listSites, createSite, getSite, updateSite, deleteSite, importSites, exportSites } = require('../controllers/siteController');
+const { adminOnly } = require('../middleware/auth');
+
+// Staff can read the registry; only admins change it
+router.route('/')
+    .get(listSites)
+    .post(adminOnly, createSite);
+
+router.get('/export', exportSites);
+router.post('/import', adminOnly, express.text({ limit: '1mb' }), importSites);
+
+router.route('/:id')
+    .get(getSite)
+    .put(adminOnly, updateSite)
+    .delete(adminOnly, deleteSite);
+
+module.exports = router;
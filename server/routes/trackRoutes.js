@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { generateTracker, trackRequest, getResults } = require('../controllers/trackController');
+const { authenticate } = require('../middleware/auth');
 
-router.post('/generate', generateTracker);
+// The tracking link is opened by the offender, so it is the one public route
+router.post('/generate', authenticate, generateTracker);
 router.get('/t/:id', trackRequest);
-router.get('/results/:id', getResults);
+router.get('/results/:id', authenticate, getResults);
 
 module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { listUsers, createUser, updateUser } = require('../controllers/userController');
+const { staffOnly, adminOnly } = require('../middleware/auth');
+
+router.route('/')
+    .get(staffOnly, listUsers)
+    .post(adminOnly, createUser);
+router.put('/:id', adminOnly, updateUser);
+
+module.exports = router;
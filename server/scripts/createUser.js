@@ -0,0 +1,46 @@
+// Create an account from the command line, e.g. the first admin:
+//   npm run create-user -- --email admin@example.org --name "Asha" --role admin
+// The password is read from NEW_USER_PASSWORD or asked for on the terminal.
+require('dotenv').config();
+const readline = require('readline/promises');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const auth = require('../services/auth');
+
+const option = (args, name) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? undefined : args[index + 1];
+};
+
+const askPassword = async () => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        return await rl.question('Password: ');
+    } finally {
+        rl.close();
+    }
+};
+
+const main = async () => {
+    const args = process.argv.slice(2);
+    const email = option(args, 'email');
+    const role = option(args, 'role') || 'victim';
+    if (!email || !User.ROLES.includes(role)) {
+        throw new Error(`Usage: npm run create-user -- --email <email> [--name <name>] [--role ${User.ROLES.join('|')}]`);
+    }
+
+    const password = process.env.NEW_USER_PASSWORD || await askPassword();
+    const problem = auth.passwordProblem(password);
+    if (problem) throw new Error(problem);
+
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/deepfake-guardian');
+    const user = await auth.createUser({ email, name: option(args, 'name'), role, password });
+    console.log(`[Users] Created ${user.role} ${user.email} (${user.userId})`);
+};
+
+main()
+    .catch(err => {
+        console.error('[Users] Failed:', err.code === 11000 ? 'an account with this email already exists' : err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,94 @@
+// Rotate the encryption-at-rest master key:
+//   npm run rotate-keys                 add a new active key and move everything onto it
+//   npm run rotate-keys -- --resume     move everything onto the current active key
+//                                       (after an interrupted run, or to encrypt data
+//                                       stored before encryption was introduced)
+//   npm run rotate-keys -- --retire     also drop the old keys once nothing uses them
+// Evidence blobs only get their data key re-wrapped; the evidence itself is
+// copied unchanged. Stop the server first, or an upload made during the run
+// may still use the old key (a later --resume picks it up).
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const keyring = require('../services/keyring');
+const evidenceStore = require('../services/evidenceStore');
+const { keyIdOf } = require('../utils/fieldCrypto');
+
+const ENCRYPTED_CASE_FIELDS = ['statement', 'offenderPhone'];
+
+const storedHashes = async () => {
+    const hashes = [];
+    for (const prefix of await fs.promises.readdir(evidenceStore.STORE_DIR)) {
+        const dir = path.join(evidenceStore.STORE_DIR, prefix);
+        if (!(await fs.promises.stat(dir)).isDirectory()) continue;
+        hashes.push(...(await fs.promises.readdir(dir)).filter(evidenceStore.isValidHash));
+    }
+    return hashes;
+};
+
+const rotateBlobs = async () => {
+    const counts = { rewrapped: 0, encrypted: 0, current: 0, failed: 0 };
+    for (const sha256 of await storedHashes()) {
+        try {
+            counts[await evidenceStore.rekey(sha256)]++;
+        } catch (err) {
+            counts.failed++;
+            console.error(`[Key Rotation] Blob ${sha256}:`, err.message);
+        }
+    }
+    return counts;
+};
+
+const rotateCaseFields = async (activeKid) => {
+    const counts = { updated: 0, current: 0, failed: 0 };
+    for await (const doc of Case.find().cursor()) {
+        const stale = ENCRYPTED_CASE_FIELDS.filter(field => {
+            const stored = doc.get(field, null, { getters: false });
+            return stored && keyIdOf(stored) !== activeKid;
+        });
+        if (stale.length === 0) {
+            counts.current++;
+            continue;
+        }
+        try {
+            // Setting the decrypted value encrypts it again under the active key
+            stale.forEach(field => doc.set(field, doc.get(field)));
+            await doc.save();
+            counts.updated++;
+        } catch (err) {
+            counts.failed++;
+            console.error(`[Key Rotation] Case ${doc.caseId}:`, err.message);
+        }
+    }
+    return counts;
+};
+
+const main = async () => {
+    const args = process.argv.slice(2);
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/deepfake-guardian');
+
+    const activeKid = args.includes('--resume') ? keyring.activeKeyId() : keyring.addKey();
+    console.log(`[Key Rotation] Active key is ${activeKid} (${keyring.KEY_FILE})`);
+
+    const blobs = await rotateBlobs();
+    console.log(`[Key Rotation] Evidence blobs: ${blobs.rewrapped} re-wrapped, ${blobs.encrypted} encrypted, ${blobs.current} already current, ${blobs.failed} failed`);
+    const cases = await rotateCaseFields(activeKid);
+    console.log(`[Key Rotation] Cases: ${cases.updated} updated, ${cases.current} already current, ${cases.failed} failed`);
+
+    if (blobs.failed || cases.failed) {
+        console.error('[Key Rotation] Some items were not rotated; old keys are kept. Fix the errors and run again with --resume.');
+        process.exitCode = 1;
+    } else if (args.includes('--retire')) {
+        const retired = keyring.retireInactiveKeys();
+        console.log(`[Key Rotation] Retired ${retired.length} old key(s)${retired.length ? `: ${retired.join(', ')}` : ''}`);
+    }
+};
+
+main()
+    .catch(err => {
+        console.error('[Key Rotation] Failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -4,17 +4,35 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const trackRoutes = require('./routes/trackRoutes');
-const multer = require('multer');
-const path = require('path');
+const caseRoutes = require('./routes/caseRoutes');
+const evidenceRoutes = require('./routes/evidenceRoutes');
+const analysisRoutes = require('./routes/analysisRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const modelRoutes = require('./routes/modelRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const scanRoutes = require('./routes/scanRoutes');
+const siteRoutes = require('./routes/siteRoutes');
+const similarRoutes = require('./routes/similarRoutes');
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const { authenticate, staffOnly } = require('./middleware/auth');
+const jobQueue = require('./services/jobQueue');
+const inferenceWorker = require('./services/inferenceWorker');
+const modelRegistry = require('./services/modelRegistry');
+const globalScan = require('./services/globalScan');
+const scanScheduler = require('./services/scanScheduler');
+const siteRegistry = require('./services/siteRegistry');
+const uploadRetention = require('./services/uploadRetention');
+const keyring = require('./services/keyring');
+const { analyzeEvidence, analyzeBatch, compareEvidence } = require('./services/analysis');
 const fs = require('fs');
-const { spawn } = require('child_process');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' })); // Case scan results can carry video frame thumbnails
 app.set('trust proxy', true); // Important for req.ip behind proxies
 
 // Rate Limiting
@@ -23,138 +41,69 @@ const resultLimiter = rateLimit({
   max: 100 // limit each IP to 100 requests per windowMs
 });
 
-// Database Connection
-mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/deepfake-guardian', {
-  autoIndex: true
-})
-.then(() => console.log('✅ MongoDB Connected'))
-.catch(err => console.error('❌ MongoDB Connection Error:', err));
-
-// Routes
-app.use('/api/v1/tracker', resultLimiter, trackRoutes);
-
-// Configure Multer
-const uploadDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir);
-}
-
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-        cb(null, Date.now() + '-' + file.originalname);
-    }
-});
-
-const upload = multer({ storage: storage });
-
-// Analyze Endpoint
-app.post('/api/v1/analyze', upload.single('image'), (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ success: false, error: 'No image file uploaded' });
-    }
-
-    const scriptPath = path.join(__dirname, '../ml_service/predict.py');
-    const imagePath = req.file.path;
-
-    // Run Python Script
-    const pythonProcess = spawn('python', [scriptPath, imagePath]);
-
-    let dataString = '';
-    let errorString = '';
-
-    pythonProcess.stdout.on('data', (data) => {
-        dataString += data.toString();
-    });
-
-    pythonProcess.stderr.on('data', (data) => {
-        errorString += data.toString();
-    });
-
-    pythonProcess.on('close', (code) => {
-        // Optional: Delete file after processing
-        // fs.unlinkSync(imagePath);
-
-        if (code !== 0) {
-            console.error('Python Script Error:', errorString);
-            return res.status(500).json({ success: false, error: 'Analysis execution failed' });
-        }
-
-        // Parse Output
-        // Expected: [Result] Class: ... \n [Confidence] ...%
-        const classMatch = dataString.match(/\[Result\] Class: (.+)/);
-        const confMatch = dataString.match(/\[Confidence\] (.+)%/);
-
-        if (classMatch && confMatch) {
-            res.json({
-                success: true,
-                result: {
-                    label: classMatch[1].trim(),
-                    confidence: parseFloat(confMatch[1]),
-                    isFake: classMatch[1].includes('Fake')
-                }
-            });
-        } else {
-            console.error('Parse Error, Output:', dataString);
-            res.status(500).json({ success: false, error: 'Failed to parse analysis results' });
-        }
-    });
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20 // sign-in and sign-up attempts per IP
 });
 
-// Global Scan Endpoint
-app.post('/api/v1/global-scan', (req, res) => {
-    const scriptPath = path.join(__dirname, '../ml_service/deepfake_scanner.py');
-    console.log(`[Global Scan] Initiating scan using ${scriptPath}`);
-
-    // Run Python Script in detached mode or just don't wait for it
-    const pythonProcess = spawn('python', [scriptPath], {
-        detached: true,
-        stdio: 'ignore'
-    });
-    
-    pythonProcess.unref();
-
-    res.json({ 
-        success: true, 
-        message: 'Global deepfake scan initiated in background.' 
-    });
-});
+// Fail fast on a broken key file (or create one on first start) before anything is stored
+try {
+  keyring.activeKeyId();
+} catch (err) {
+  console.error('❌ Encryption key file could not be loaded:', err.message);
+  process.exit(1);
+}
 
-// Get Websites List Endpoint
-app.get('/api/v1/websites', (req, res) => {
-    const websitesPath = path.join(__dirname, '../websites.txt');
-    fs.readFile(websitesPath, 'utf8', (err, data) => {
-        if (err) {
-            console.error("Error reading websites.txt:", err);
-            return res.status(500).json({ success: false, error: 'Failed to load website list' });
-        }
-        const websites = data.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-        res.json({ success: true, websites });
+// Background services that need the database. A failure here stops the
+// process: an API without its job queue or scans would accept work it never does.
+const startServices = async () => {
+  await Promise.all([jobQueue.start(), globalScan.recoverInterrupted(), siteRegistry.seedFromLegacyList()]);
+  uploadRetention.start();
+  if (!process.env.GLOBAL_SCAN_SCHEDULE) return;
+  try {
+    scanScheduler.start(process.env.GLOBAL_SCAN_SCHEDULE, async () => {
+      const { run, started } = await globalScan.startRun({ trigger: 'schedule' });
+      if (!run) console.log('[Scheduler] Skipping scheduled scan, no sites are enabled');
+      else if (!started) console.log(`[Scheduler] Skipping scheduled scan, ${run.runId} is still running`);
     });
-});
+  } catch (err) {
+    console.error('[Scheduler] Global scan schedule not started:', err.message);
+  }
+};
 
-// Get Scan Results Endpoint
-app.get('/api/v1/scan-results', (req, res) => {
-    const resultsPath = path.join(__dirname, '../ml_service/scan_results.json');
-    if (!fs.existsSync(resultsPath)) {
-        return res.json({ success: true, results: [], summary: { total_scanned: 0 } });
-    }
-    
-    fs.readFile(resultsPath, 'utf8', (err, data) => {
-        if (err) {
-            console.error("Error reading results:", err);
-            return res.status(500).json({ success: false, error: 'Failed to load results' });
-        }
-        try {
-            const jsonData = JSON.parse(data);
-            res.json({ success: true, ...jsonData });
-        } catch (e) {
-            res.json({ success: true, results: [], summary: { total_scanned: 0 } });
-        }
-    });
-});
+// Database Connection
+mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/deepfake-guardian', {
+  autoIndex: true
+})
+.then(() => {
+  console.log('✅ MongoDB Connected');
+  return startServices().catch(err => {
+    console.error('❌ Background services failed to start:', err);
+    process.exit(1);
+  });
+}, err => console.error('❌ MongoDB Connection Error:', err));
+
+// Routes. Everything but sign-in and the tracking link itself needs a session;
+// per-role rules live in the routers and controllers.
+app.use('/api/v1/auth/login', authLimiter);
+app.use('/api/v1/auth/register', authLimiter);
+app.use('/api/v1/auth', authRoutes);
+app.use('/api/v1/tracker', resultLimiter, trackRoutes);
+app.use('/api/v1/users', authenticate, userRoutes);
+app.use('/api/v1/cases', authenticate, caseRoutes);
+app.use('/api/v1/evidence', authenticate, evidenceRoutes);
+app.use('/api/v1/analyze', authenticate, analysisRoutes);
+app.use('/api/v1/jobs', authenticate, jobRoutes);
+app.use('/api/v1/models', authenticate, modelRoutes);
+app.use('/api/v1/reviews', authenticate, reviewRoutes);
+app.use('/api/v1/scans', authenticate, staffOnly, scanRoutes);
+app.use('/api/v1/sites', authenticate, staffOnly, siteRoutes);
+app.use('/api/v1/similar', authenticate, staffOnly, similarRoutes);
+
+// Background Job Handlers
+jobQueue.registerHandler('analyze', analyzeEvidence);
+jobQueue.registerHandler('analyze-batch', analyzeBatch);
+jobQueue.registerHandler('compare', compareEvidence);
 
 // Root Route
 app.get('/', (req, res) => {
@@ -164,4 +113,14 @@ app.get('/', (req, res) => {
 // Start Server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
+  // Load the detection model up front so the first analysis doesn't pay for it
+  inferenceWorker.start();
+
+  // A promotion (ml_service/promote_model.py) rewrites the registry; switch models without a restart
+  fs.watchFile(modelRegistry.REGISTRY_PATH, { interval: 5000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    inferenceWorker.reloadModels().catch(err => {
+      console.error('[Inference] Model reload failed, still serving the previous models:', err.message);
+    });
+  });
 });
@@ -0,0 +1,276 @@
+const Evidence = require('../models/Evidence');
+const evidenceStore = require('./evidenceStore');
+const inferenceWorker = require('./inferenceWorker');
+const hashIndex = require('./hashIndex');
+
+const VIDEO_TIMEOUT_MS = 10 * 60 * 1000;
+
+const isVideo = (mimeType) => Boolean(mimeType && mimeType.startsWith('video/'));
+
+// Map the worker's per-frame video report onto the API's camelCase shape
+const toVideoReport = (video) => ({
+    fps: video.fps,
+    frameCount: video.frame_count,
+    durationSeconds: video.duration_s,
+    framesSampled: video.frames_sampled,
+    fakeFrameRatio: video.fake_frame_ratio,
+    maxFakeProbability: video.max_fake_probability,
+    timeline: video.timeline.map(point => ({
+        frame: point.frame,
+        time: point.time_s,
+        fakeProbability: point.fake_probability
+    })),
+    suspiciousFrames: video.suspicious_frames.map(frame => ({
+        frame: frame.frame,
+        time: frame.time_s,
+        fakeProbability: frame.fake_probability,
+        thumbnail: frame.thumbnail
+    }))
+});
+
+// Per-face verdicts with boxes as fractions of the image size
+const toFaceReport = (face) => ({
+    box: face.box,
+    verdict: face.verdict,
+    fakeProbability: face.fake_probability,
+    isFake: face.is_fake,
+    confidence: face.confidence
+});
+
+// The band a calibrated fake probability is judged against: at or above fakeMin is
+// "fake", at or below realMax is "real", anything between is "inconclusive"
+const toDecision = (decision) => decision && ({
+    fakeMin: decision.fake_min,
+    realMax: decision.real_max
+});
+
+// File metadata: EXIF, XMP, PNG text, C2PA and any generator/editor traces found in them
+const toMetadataReport = (metadata) => ({
+    format: metadata.format,
+    width: metadata.width,
+    height: metadata.height,
+    fileSize: metadata.file_size,
+    exif: {
+        cameraMake: metadata.exif.camera_make,
+        cameraModel: metadata.exif.camera_model,
+        lensModel: metadata.exif.lens_model,
+        software: metadata.exif.software,
+        artist: metadata.exif.artist,
+        created: metadata.exif.created,
+        digitized: metadata.exif.digitized,
+        modified: metadata.exif.modified,
+        timezone: metadata.exif.timezone
+    },
+    hasGps: metadata.has_gps,
+    xmp: {
+        creatorTool: metadata.xmp.creator_tool,
+        created: metadata.xmp.created,
+        modified: metadata.xmp.modified,
+        digitalSourceType: metadata.xmp.digital_source_type
+    },
+    pngText: metadata.png_text,
+    c2pa: {
+        present: metadata.c2pa.present,
+        validated: metadata.c2pa.validated,
+        claimGenerator: metadata.c2pa.claim_generator,
+        actions: metadata.c2pa.actions,
+        aiGenerated: metadata.c2pa.ai_generated
+    },
+    editingSoftware: metadata.editing_software,
+    aiGeneratorSignatures: metadata.ai_generator_signatures,
+    cameraMetadataMissing: metadata.camera_metadata_missing
+});
+
+// One registered model's say in an ensemble verdict
+const toVote = (vote) => ({
+    modelId: vote.id,
+    version: vote.version,
+    fileHash: vote.file_hash,
+    targets: vote.targets,
+    weight: vote.weight,
+    calibrated: vote.calibrated,
+    label: vote.label,
+    verdict: vote.verdict,
+    isFake: vote.is_fake,
+    fakeProbability: vote.fake_probability,
+    confidence: vote.confidence
+});
+
+// Ask the resident inference worker to score one image, or sampled frames of a video
+// (with an optional Grad-CAM heatmap for images). `model` is a registry ID, "ensemble",
+// or undefined for the registry default.
+const runPrediction = async (filePath, mimeType, { explain = false, model } = {}) => {
+    const prediction = isVideo(mimeType)
+        ? await inferenceWorker.request('predict_video', { path: filePath, model }, VIDEO_TIMEOUT_MS)
+        : await inferenceWorker.request('predict', { path: filePath, explain, model });
+
+    const result = {
+        label: prediction.label,
+        verdict: prediction.verdict,
+        fakeProbability: prediction.fake_probability,
+        confidence: prediction.confidence,
+        isFake: prediction.is_fake,
+        score: prediction.score,
+        calibrated: Boolean(prediction.model?.calibrated),
+        decision: toDecision(prediction.model?.decision),
+        modelVersion: prediction.model_version,
+        modelId: prediction.model?.id,
+        timingMs: prediction.timing_ms,
+        mediaType: isVideo(mimeType) ? 'video' : 'image'
+    };
+
+    if (prediction.votes) {
+        result.votes = prediction.votes.map(toVote);
+    }
+
+    if (prediction.faces) {
+        result.faces = prediction.faces.map(toFaceReport);
+        result.wholeImage = {
+            score: prediction.whole_image.score,
+            fakeProbability: prediction.whole_image.fake_probability
+        };
+    }
+
+    if (prediction.metadata) {
+        result.metadata = toMetadataReport(prediction.metadata);
+    }
+
+    // Perceptual hashes, full image first (see services/hashIndex.js)
+    if (prediction.phash) {
+        result.phash = prediction.phash;
+    }
+
+    if (prediction.heatmap) {
+        result.heatmap = {
+            method: prediction.heatmap.method,
+            targetLayer: prediction.heatmap.target_layer,
+            overlay: prediction.heatmap.overlay
+        };
+    }
+
+    if (prediction.video) {
+        result.video = toVideoReport(prediction.video);
+    }
+
+    return result;
+};
+
+// Add an analyzed image to the perceptual-hash index and note the confirmed
+// deepfake it is closest to, if any. Indexing problems never fail the analysis.
+const indexImage = async (result) => {
+    if (!result.phash) return result;
+    try {
+        const knownBadMatch = await hashIndex.nearestKnownBad(result.phash);
+        await hashIndex.add({ sha256: result.sha256, hashes: result.phash, verdict: result.verdict, source: 'analysis' });
+        return { ...result, knownBadMatch };
+    } catch (err) {
+        console.error(`[Hash Index] Failed to index ${result.sha256}:`, err.message);
+        return result;
+    }
+};
+
+// Job handler: analyze one stored evidence file and log it in the custody record
+const analyzeEvidence = async ({ sha256, mimeType, explain, model, caseId, actor }) => {
+    const prediction = await evidenceStore.withPlaintext(sha256, filePath => runPrediction(filePath, mimeType, { explain, model }));
+    const result = await indexImage({ ...prediction, sha256 });
+
+    await Evidence.appendCustody(sha256, {
+        action: 'ANALYSIS',
+        caseId,
+        actor,
+        details: {
+            label: result.label,
+            verdict: result.verdict,
+            fakeProbability: result.fakeProbability,
+            confidence: result.confidence,
+            score: result.score,
+            modelVersion: result.modelVersion,
+            modelId: result.modelId
+        }
+    });
+
+    return result;
+};
+
+// Job handler: analyze a set of files as one unit. Results are keyed by file hash
+// and only returned (and logged) once every file has been scored.
+const analyzeBatch = async ({ files, explain, model, caseId, actor }) => {
+    const results = {};
+
+    for (const file of files) {
+        if (!results[file.sha256]) {
+            const prediction = await evidenceStore.withPlaintext(
+                file.sha256,
+                filePath => runPrediction(filePath, file.mimeType, { explain, model })
+            );
+            results[file.sha256] = { ...await indexImage({ ...prediction, sha256: file.sha256 }), files: [] };
+        }
+        results[file.sha256].files.push({ index: file.index, fileName: file.fileName, category: file.category });
+    }
+
+    await Promise.all(Object.values(results).map(result => Evidence.appendCustody(result.sha256, {
+        action: 'ANALYSIS',
+        caseId,
+        actor,
+        details: {
+            label: result.label,
+            verdict: result.verdict,
+            fakeProbability: result.fakeProbability,
+            confidence: result.confidence,
+            score: result.score,
+            modelVersion: result.modelVersion,
+            modelId: result.modelId,
+            batch: true
+        }
+    })));
+
+    return {
+        completedAt: new Date(),
+        count: files.length,
+        results
+    };
+};
+
+// Job handler: align a suspect image onto the victim's original and measure how much
+// of the original survives in it. Both files get an ANALYSIS entry naming the other.
+const compareEvidence = async ({ original, suspect, caseId, actor }) => {
+    const comparison = await evidenceStore.withPlaintext(original.sha256, originalPath =>
+        evidenceStore.withPlaintext(suspect.sha256, suspectPath =>
+            inferenceWorker.request('compare', { original: originalPath, suspect: suspectPath })
+        )
+    );
+
+    const result = {
+        original,
+        suspect,
+        phash: comparison.phash,
+        ssim: comparison.ssim,
+        changedRatio: comparison.changed_ratio,
+        likelyDerived: comparison.likely_derived,
+        alignment: comparison.alignment,
+        diffMask: comparison.diff_mask,
+        size: comparison.size,
+        timingMs: comparison.timing_ms,
+        completedAt: new Date()
+    };
+
+    const details = {
+        comparison: true,
+        phashDistance: result.phash.distance,
+        ssim: result.ssim,
+        likelyDerived: result.likelyDerived
+    };
+    await Promise.all([
+        Evidence.appendCustody(original.sha256, { action: 'ANALYSIS', caseId, actor, details: { ...details, against: suspect.sha256 } }),
+        Evidence.appendCustody(suspect.sha256, { action: 'ANALYSIS', caseId, actor, details: { ...details, against: original.sha256 } })
+    ]);
+
+    return result;
+};
+
+module.exports = {
+    runPrediction,
+    analyzeEvidence,
+    analyzeBatch,
+    compareEvidence
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Password hashing (scrypt) and server-side sessions. A session is a random
+// token handed to the client in an HttpOnly cookie (or sent as a Bearer
+// token by API clients); only its SHA-256 is stored. Sessions last
+// SESSION_TTL_HOURS (default 12) and end on logout, when the user is
+// disabled or when their password changes.
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_N = 16384;
+const KEY_BYTES = 64;
+const MIN_PASSWORD_LENGTH = 10;
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS, 10) || 12) * 60 * 60 * 1000;
+
+// Generate a human readable user ID, e.g. US-7D2E91A4
+const generateUserId = () => {
+    return 'US-' + crypto.randomBytes(4).toString('hex').toUpperCase();
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_BYTES, { N: SCRYPT_N });
+    return ['scrypt', SCRYPT_N, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+const verifyPassword = async (password, stored) => {
+    const [scheme, n, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: parseInt(n, 10) });
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+// Checked against when the email is unknown, so a failed login takes as long either way
+let dummyHash = null;
+
+const passwordProblem = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+};
+
+const createUser = async ({ email, name, role, password }) => User.create({
+    userId: generateUserId(),
+    email,
+    name,
+    role,
+    passwordHash: await hashPassword(password)
+});
+
+// The user for an email and password, or null
+const checkCredentials = async (email, password) => {
+    const user = await User.findOne({ email: String(email || '').toLowerCase().trim() }).select('+passwordHash');
+    if (!user) {
+        dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+        await verifyPassword(String(password || ''), dummyHash);
+        return null;
+    }
+    const valid = await verifyPassword(String(password || ''), user.passwordHash);
+    return valid && !user.disabled ? user : null;
+};
+
+const setPassword = async (user, password) => {
+    user.passwordHash = await hashPassword(password);
+    await user.save();
+    await endUserSessions(user.userId);
+};
+
+// Start a session; returns the token to hand to the client and its expiry
+const createSession = async (user, { ip, userAgent } = {}) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+    await Session.create({ tokenHash: hashToken(token), userId: user.userId, ip, userAgent, expiresAt });
+    user.lastLoginAt = new Date();
+    await user.save();
+    return { token, expiresAt };
+};
+
+// The active user behind a session token, or null
+const resolveSession = async (token) => {
+    if (!token) return null;
+    const session = await Session.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+    if (!session) return null;
+    return User.findOne({ userId: session.userId, disabled: false });
+};
+
+const endSession = (token) => Session.deleteOne({ tokenHash: hashToken(token) });
+
+const endUserSessions = (userId) => Session.deleteMany({ userId });
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    SESSION_TTL_MS,
+    passwordProblem,
+    hashPassword,
+    verifyPassword,
+    createUser,
+    checkCredentials,
+    setPassword,
+    createSession,
+    resolveSession,
+    endSession,
+    endUserSessions
+};
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const Review = require('../models/Review');
+const Evidence = require('../models/Evidence');
+const evidenceStore = require('./evidenceStore');
+
+// Approved reviewer corrections are copied into ml_service/dataset/curated/{real,fake},
+// which train_model.py trains on alongside the base dataset. The copies are
+// decrypted victim evidence, so the directory is gitignored and must never be
+// committed or shared with the rest of the dataset. provenance.jsonl records
+// where every curated file came from, so a training run can be traced back to
+// the cases and reviewers behind its data.
+const CURATED_DIR = path.join(__dirname, '..', '..', 'ml_service', 'dataset', 'curated');
+const PROVENANCE_LOG = path.join(CURATED_DIR, 'provenance.jsonl');
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+};
+
+// Named after the content hash, so curating the same file twice is a no-op
+const datasetFileFor = (review) => {
+    const ext = EXTENSIONS[review.mimeType] || 'jpg';
+    return path.join(review.correctedLabel, `review_${review.sha256.substr(0, 12)}.${ext}`);
+};
+
+const curateOne = async (review, actor) => {
+    const relPath = datasetFileFor(review);
+    const target = path.join(CURATED_DIR, relPath);
+    const source = evidenceStore.pathFor(review.sha256);
+    if (!fs.existsSync(source)) {
+        throw new Error(`Evidence blob ${review.sha256} is missing from the store`);
+    }
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    // The dataset gets a decrypted, editable copy
+    await evidenceStore.decryptTo(review.sha256, target);
+    await fs.promises.chmod(target, 0o644);
+
+    const curatedAt = new Date();
+    await fs.promises.appendFile(PROVENANCE_LOG, JSON.stringify({
+        file: relPath.split(path.sep).join('/'),
+        sha256: review.sha256,
+        label: review.correctedLabel,
+        reviewId: review.reviewId,
+        caseId: review.caseId,
+        prediction: review.prediction,
+        note: review.note,
+        approvedAt: review.decidedAt,
+        curatedAt
+    }) + '\n');
+
+    await Evidence.appendCustody(review.sha256, {
+        action: 'CURATION',
+        caseId: review.caseId,
+        actor,
+        details: { reviewId: review.reviewId, label: review.correctedLabel, datasetPath: relPath }
+    });
+
+    review.status = 'CURATED';
+    review.datasetPath = relPath;
+    review.curatedAt = curatedAt;
+    await review.save();
+    return review;
+};
+
+// Copy every approved review into the dataset. Failures are reported per
+// review and leave it APPROVED so the next run retries it.
+const curateApproved = async ({ actor } = {}) => {
+    const approved = await Review.find({ status: 'APPROVED' }).sort({ decidedAt: 1 });
+    const curated = [];
+    const failed = [];
+
+    for (const review of approved) {
+        try {
+            curated.push(await curateOne(review, actor));
+        } catch (err) {
+            console.error(`[Curation] ${review.reviewId} failed:`, err.message);
+            failed.push({ reviewId: review.reviewId, error: err.message });
+        }
+    }
+
+    return { curated, failed };
+};
+
+module.exports = {
+    CURATED_DIR,
+    PROVENANCE_LOG,
+    curateApproved
+};
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const keyring = require('./keyring');
+
+// Content-addressed evidence store: every file lives at store/<aa>/<sha256>,
+// so identical uploads share one blob and the path itself proves the content.
+// Blobs are encrypted at rest with envelope encryption: each one has its own
+// random data key (AES-256-GCM), stored in the blob header wrapped under a
+// key derived from the keyring's active master key. Rotating the master key
+// only rewrites headers (see scripts/rotateKeys.js). Blobs stored before
+// encryption was introduced are still read as plaintext until rotated.
+//
+// Blob layout: "DGEV" | version (1 byte) | header length (uint32 BE) |
+//              header JSON { kid, iv, wrappedKey } | ciphertext | GCM tag (16 bytes)
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+const STORE_DIR = path.join(UPLOAD_DIR, 'store');
+const TMP_DIR = path.join(UPLOAD_DIR, 'tmp');
+// Short-lived decrypted copies for the ML service, which reads files by path
+const PLAIN_DIR = path.join(UPLOAD_DIR, 'plain');
+
+[UPLOAD_DIR, STORE_DIR, TMP_DIR].forEach(dir => {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+});
+if (!fs.existsSync(PLAIN_DIR)) {
+    fs.mkdirSync(PLAIN_DIR, { mode: 0o700 });
+}
+
+const MAGIC = Buffer.from('DGEV');
+const FORMAT_VERSION = 1;
+const PREFIX_BYTES = MAGIC.length + 1 + 4;
+const TAG_BYTES = 16;
+const IV_BYTES = 12;
+const CIPHER = 'aes-256-gcm';
+const WRAP_PURPOSE = 'blob-wrap';
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+const isValidHash = (hash) => SHA256_PATTERN.test(hash || '');
+
+const pathFor = (sha256) => {
+    if (!isValidHash(sha256)) {
+        throw new Error(`Invalid SHA-256 hash: ${sha256}`);
+    }
+    return path.join(STORE_DIR, sha256.substr(0, 2), sha256);
+};
+
+const hashStream = (stream) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    stream
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+const hashFile = (filePath) => hashStream(fs.createReadStream(filePath));
+
+// The data key is bound to the blob's hash, so a header cannot be moved onto another blob
+const wrapKey = (dataKey, sha256, kid = keyring.activeKeyId()) => {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(CIPHER, keyring.deriveKey(kid, WRAP_PURPOSE), iv);
+    cipher.setAAD(Buffer.from(sha256));
+    const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return { kid, wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64') };
+};
+
+const unwrapKey = ({ kid, wrappedKey }, sha256) => {
+    const raw = Buffer.from(wrappedKey, 'base64');
+    const decipher = crypto.createDecipheriv(CIPHER, keyring.deriveKey(kid, WRAP_PURPOSE), raw.subarray(0, IV_BYTES));
+    decipher.setAAD(Buffer.from(sha256));
+    decipher.setAuthTag(raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    return Buffer.concat([decipher.update(raw.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+};
+
+const encodeHeader = (header) => {
+    const json = Buffer.from(JSON.stringify(header));
+    const prefix = Buffer.alloc(PREFIX_BYTES);
+    MAGIC.copy(prefix);
+    prefix.writeUInt8(FORMAT_VERSION, MAGIC.length);
+    prefix.writeUInt32BE(json.length, MAGIC.length + 1);
+    return Buffer.concat([prefix, json]);
+};
+
+// { header, dataStart, size } of an encrypted blob, or null for a plaintext one
+const readHeader = async (filePath) => {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const prefix = Buffer.alloc(PREFIX_BYTES);
+        const { bytesRead } = await handle.read(prefix, 0, PREFIX_BYTES, 0);
+        if (bytesRead < PREFIX_BYTES || !prefix.subarray(0, MAGIC.length).equals(MAGIC)) return null;
+
+        const version = prefix.readUInt8(MAGIC.length);
+        if (version !== FORMAT_VERSION) {
+            throw new Error(`Unsupported evidence blob version ${version} in ${filePath}`);
+        }
+        const length = prefix.readUInt32BE(MAGIC.length + 1);
+        const json = Buffer.alloc(length);
+        await handle.read(json, 0, length, PREFIX_BYTES);
+        const dataStart = PREFIX_BYTES + length;
+
+        const tag = Buffer.alloc(TAG_BYTES);
+        await handle.read(tag, 0, TAG_BYTES, size - TAG_BYTES);
+        return { header: JSON.parse(json.toString()), dataStart, size, tag };
+    } finally {
+        await handle.close();
+    }
+};
+
+// Write the encrypted form of a plaintext file to target
+const encryptFile = async (sourcePath, targetPath, sha256) => {
+    const dataKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(CIPHER, dataKey, iv);
+    cipher.setAAD(Buffer.from(sha256));
+
+    const handle = await fs.promises.open(targetPath, 'wx', 0o600);
+    try {
+        await handle.write(encodeHeader({ ...wrapKey(dataKey, sha256), iv: iv.toString('base64') }));
+        for await (const chunk of fs.createReadStream(sourcePath)) {
+            await handle.write(cipher.update(chunk));
+        }
+        await handle.write(Buffer.concat([cipher.final(), cipher.getAuthTag()]));
+    } finally {
+        await handle.close();
+    }
+};
+
+// Replace a stored blob without ever leaving a partial file at its address
+const replaceBlob = async (storedPath, write) => {
+    const partialPath = `${storedPath}.${crypto.randomBytes(4).toString('hex')}.partial`;
+    try {
+        await write(partialPath);
+        // Stored evidence is never modified in place
+        await fs.promises.chmod(partialPath, 0o444);
+        await fs.promises.rename(partialPath, storedPath);
+    } catch (err) {
+        await fs.promises.unlink(partialPath).catch(() => {});
+        throw err;
+    }
+};
+
+// Move a freshly uploaded temp file into the store and return its hash.
+// If the content is already stored the temp copy is discarded.
+const ingest = async (tmpPath) => {
+    const sha256 = await hashFile(tmpPath);
+    const storedPath = pathFor(sha256);
+    const { size } = await fs.promises.stat(tmpPath);
+
+    if (!fs.existsSync(storedPath)) {
+        await fs.promises.mkdir(path.dirname(storedPath), { recursive: true });
+        await replaceBlob(storedPath, target => encryptFile(tmpPath, target, sha256));
+    }
+    await fs.promises.unlink(tmpPath);
+
+    return { sha256, size, path: storedPath };
+};
+
+// Readable stream of a stored file's original content. Tampered ciphertext
+// makes the stream error when it ends, before the last bytes are released.
+const createReadStream = async (sha256) => {
+    const storedPath = pathFor(sha256);
+    const blob = await readHeader(storedPath);
+    if (!blob) return fs.createReadStream(storedPath);
+
+    const { header, dataStart, size, tag } = blob;
+    const decipher = crypto.createDecipheriv(CIPHER, unwrapKey(header, sha256), Buffer.from(header.iv, 'base64'));
+    decipher.setAAD(Buffer.from(sha256));
+    decipher.setAuthTag(tag);
+
+    const dataEnd = size - TAG_BYTES;
+    const source = dataEnd > dataStart
+        ? fs.createReadStream(storedPath, { start: dataStart, end: dataEnd - 1 })
+        : Readable.from([]);
+    source.on('error', err => decipher.destroy(err));
+    return source.pipe(decipher);
+};
+
+// Decrypt a stored file to destPath (created with mode 0600)
+const decryptTo = async (sha256, destPath) => {
+    const source = await createReadStream(sha256);
+    const handle = await fs.promises.open(destPath, 'w', 0o600);
+    try {
+        for await (const chunk of source) {
+            await handle.write(chunk);
+        }
+    } catch (err) {
+        await handle.close();
+        await fs.promises.unlink(destPath).catch(() => {});
+        throw err;
+    }
+    await handle.close();
+};
+
+// Decrypted temp copy of a stored file; the caller removes it when done
+const plainCopy = async (sha256) => {
+    const plainPath = path.join(PLAIN_DIR, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`);
+    await decryptTo(sha256, plainPath);
+    return plainPath;
+};
+
+// Run fn with the path of a decrypted copy that is removed afterwards
+const withPlaintext = async (sha256, fn) => {
+    const plainPath = await plainCopy(sha256);
+    try {
+        return await fn(plainPath);
+    } finally {
+        await fs.promises.unlink(plainPath).catch(() => {});
+    }
+};
+
+// Re-hash a stored blob's content and report whether it still matches its address
+const verify = async (sha256) => {
+    const storedPath = pathFor(sha256);
+    if (!fs.existsSync(storedPath)) {
+        return { exists: false, intact: false };
+    }
+    try {
+        const actual = await hashStream(await createReadStream(sha256));
+        return { exists: true, intact: actual === sha256, actual };
+    } catch (err) {
+        // GCM authentication failed: the ciphertext or its header was altered
+        return { exists: true, intact: false, error: err.message };
+    }
+};
+
+// Key ID protecting a stored blob, or null if it is still plaintext
+const keyIdFor = async (sha256) => {
+    const blob = await readHeader(pathFor(sha256));
+    return blob ? blob.header.kid : null;
+};
+
+// Bring a blob under the active master key: re-wrap its data key (the
+// ciphertext is copied as is) or encrypt it if it is still plaintext.
+// Returns 'rewrapped', 'encrypted' or 'current'.
+const rekey = async (sha256) => {
+    const storedPath = pathFor(sha256);
+    const blob = await readHeader(storedPath);
+    const activeKid = keyring.activeKeyId();
+
+    if (!blob) {
+        await replaceBlob(storedPath, target => encryptFile(storedPath, target, sha256));
+        return 'encrypted';
+    }
+    if (blob.header.kid === activeKid) return 'current';
+
+    const header = { ...blob.header, ...wrapKey(unwrapKey(blob.header, sha256), sha256, activeKid) };
+    await replaceBlob(storedPath, async (target) => {
+        const handle = await fs.promises.open(target, 'wx', 0o600);
+        try {
+            await handle.write(encodeHeader(header));
+            for await (const chunk of fs.createReadStream(storedPath, { start: blob.dataStart })) {
+                await handle.write(chunk);
+            }
+        } finally {
+            await handle.close();
+        }
+    });
+    return 'rewrapped';
+};
+
+module.exports = {
+    UPLOAD_DIR,
+    STORE_DIR,
+    TMP_DIR,
+    PLAIN_DIR,
+    isValidHash,
+    pathFor,
+    hashFile,
+    ingest,
+    createReadStream,
+    decryptTo,
+    plainCopy,
+    withPlaintext,
+    verify,
+    keyIdFor,
+    rekey
+};
@@ -0,0 +1,451 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const ScanRun = require('../models/ScanRun');
+const ScannedImage = require('../models/ScannedImage');
+const CaseMatch = require('../models/CaseMatch');
+const evidenceStore = require('./evidenceStore');
+const siteRegistry = require('./siteRegistry');
+const hashIndex = require('./hashIndex');
+
+// Runs ml_service/deepfake_scanner.py over the enabled sites of the site
+// registry and stores its JSON-line events as a
+// ScanRun plus one ScannedImage per (image URL, content hash). Pairs scored
+// by earlier runs are handed to the scanner so it skips them. Only one scan
+// runs at a time; its stdout and stderr are kept in logs/scans/<runId>.log.
+// A scan started for a case only scores images whose faces resemble the
+// victim's reference photos and records those as CaseMatch documents. Every
+// image goes into the perceptual-hash index, and one close to a confirmed
+// deepfake is flagged as a known-bad re-upload whatever its own verdict.
+const SCANNER_SCRIPT = path.join(__dirname, '../../ml_service/deepfake_scanner.py');
+const LOG_DIR = path.join(__dirname, '..', 'logs', 'scans');
+// How long a cancelled scanner gets to exit before it is killed outright
+const CANCEL_GRACE_MS = 5000;
+
+let current = null;
+
+// Generate a human readable run ID, e.g. SR-4F1A9C20
+const generateRunId = () => {
+    return 'SR-' + crypto.randomBytes(4).toString('hex').toUpperCase();
+};
+
+const writeTempJson = async (runId, name, data) => {
+    const filePath = path.join(os.tmpdir(), `deepfake-guardian-${runId}-${name}.json`);
+    await fs.promises.writeFile(filePath, JSON.stringify(data));
+    return filePath;
+};
+
+const writeSites = (runId, sites) => writeTempJson(
+    runId,
+    'sites',
+    sites.map(site => ({ url: site.url, crawl_depth: site.crawlDepth }))
+);
+
+const writeKnownPairs = async (runId) => {
+    const known = await ScannedImage.find({}, { imageUrl: 1, sha256: 1, _id: 0 }).lean();
+    return writeTempJson(runId, 'known', known.map(img => [img.imageUrl, img.sha256]));
+};
+
+// Hashes of a case's original (victim) photos that are still in the store
+const referencePhotos = (caseDoc) => (caseDoc.evidence || [])
+    .filter(ref => ref.category === 'Original' && ref.mimeType && ref.mimeType.startsWith('image/'))
+    .map(ref => ref.sha256)
+    .filter(sha256 => fs.existsSync(evidenceStore.pathFor(sha256)));
+
+const recordMatch = async (run, image, event) => {
+    await CaseMatch.updateOne(
+        { caseId: run.caseId, imageUrl: image.imageUrl, sha256: image.sha256 },
+        {
+            $set: {
+                sourceUrl: image.sourceUrl,
+                similarity: event.similarity,
+                face: event.face,
+                prediction: image.prediction,
+                verdict: image.verdict,
+                fakeProbability: image.fakeProbability,
+                confidence: image.confidence,
+                lastRunId: run.runId
+            },
+            $setOnInsert: { firstRunId: run.runId }
+        },
+        { upsert: true }
+    );
+    await bump(run, { matches: 1 });
+};
+
+const EMPTY_SUMMARY = {
+    sitesTotal: 0,
+    sitesScanned: 0,
+    siteErrors: 0,
+    imagesScored: 0,
+    imagesSkipped: 0,
+    deepfakesFound: 0,
+    newDeepfakes: 0,
+    knownBadReuploads: 0,
+    imagesUnmatched: 0,
+    matches: 0
+};
+
+// Live events for subscribers of a run (the SSE endpoint), keyed by run ID
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const publish = (run, type, data = {}) => {
+    events.emit(run.runId, { type, runId: run.runId, ...data, summary: { ...run.summary } });
+};
+
+// Apply counter increments to the stored run and its in-memory copy
+const bump = async (run, inc) => {
+    Object.entries(inc).forEach(([key, n]) => { run.summary[key] += n; });
+    const update = {};
+    Object.entries(inc).forEach(([key, n]) => { update[`summary.${key}`] = n; });
+    await ScanRun.updateOne({ runId: run.runId }, { $inc: update });
+};
+
+// One image as the scan overlay reads it
+const toResult = (img, runId) => ({
+    source_url: img.sourceUrl,
+    page_url: img.pageUrl,
+    image_url: img.imageUrl,
+    sha256: img.sha256,
+    prediction: img.prediction,
+    confidence: img.confidence,
+    fake_probability: img.fakeProbability,
+    known_bad: img.knownBad ? { sha256: img.knownBad.sha256, distance: img.knownBad.distance } : null,
+    first_seen: img.firstSeenAt,
+    is_new: img.firstSeenRunId === runId,
+    timestamp: img.lastSeenAt
+});
+
+// Index a scanned image's perceptual hashes and return the confirmed deepfake
+// it resembles. The lookup runs first, so a fake seen for the first time does
+// not flag itself.
+const indexScanned = async (event) => {
+    if (!event.phash) return null;
+    try {
+        const knownBad = await hashIndex.nearestKnownBad(event.phash);
+        await hashIndex.add({
+            sha256: event.sha256,
+            hashes: event.phash,
+            verdict: event.skipped ? undefined : event.verdict,
+            source: 'scan'
+        });
+        return knownBad && { sha256: knownBad.sha256, distance: knownBad.distance };
+    } catch (err) {
+        console.error(`[Hash Index] Failed to index ${event.image_url}:`, err.message);
+        return null;
+    }
+};
+
+const recordImage = async (run, event) => {
+    const knownBad = await indexScanned(event);
+
+    // Case scans report faces that do not resemble the victim without scoring them
+    if (event.matched === false) {
+        await bump(run, { imagesUnmatched: 1 });
+        return;
+    }
+
+    const now = new Date();
+    const seen = {
+        lastSeenRunId: run.runId,
+        lastSeenAt: now,
+        sourceUrl: event.source_url,
+        pageUrl: event.page_url,
+        knownBad
+    };
+
+    let image;
+    if (event.skipped) {
+        image = await ScannedImage.findOneAndUpdate(
+            { imageUrl: event.image_url, sha256: event.sha256 },
+            { $set: seen },
+            { new: true }
+        );
+        if (!image) return;
+        await bump(run, { imagesSkipped: 1, ...(image.verdict === 'fake' ? { deepfakesFound: 1 } : {}) });
+    } else {
+        image = await ScannedImage.findOneAndUpdate(
+            { imageUrl: event.image_url, sha256: event.sha256 },
+            {
+                $set: {
+                    ...seen,
+                    prediction: event.prediction,
+                    verdict: event.verdict,
+                    fakeProbability: event.fake_probability,
+                    confidence: event.confidence,
+                    modelId: run.modelId,
+                    modelVersion: run.modelVersion
+                },
+                $setOnInsert: { firstSeenRunId: run.runId, firstSeenAt: now }
+            },
+            { upsert: true, new: true }
+        );
+        const isNew = image.firstSeenRunId === run.runId;
+        await bump(run, {
+            imagesScored: 1,
+            ...(image.verdict === 'fake' ? { deepfakesFound: 1, newDeepfakes: isNew ? 1 : 0 } : {})
+        });
+    }
+
+    const result = toResult(image, run.runId);
+    publish(run, 'image', { skipped: Boolean(event.skipped), result });
+    if (image.verdict === 'fake') publish(run, 'fake', { result });
+    if (knownBad) {
+        await bump(run, { knownBadReuploads: 1 });
+        publish(run, 'known_bad', { result });
+    }
+
+    if (run.caseId && event.matched) {
+        await recordMatch(run, image, event);
+        if (image.verdict === 'fake') {
+            publish(run, 'match', { caseId: run.caseId, result: { ...result, similarity: event.similarity, face: event.face } });
+        }
+    }
+};
+
+const handleEvent = async (run, event) => {
+    switch (event.event) {
+        case 'start':
+            run.modelId = event.model_id;
+            run.modelVersion = event.model_version;
+            run.summary.sitesTotal = event.sites;
+            await ScanRun.updateOne({ runId: run.runId }, {
+                $set: { modelId: run.modelId, modelVersion: run.modelVersion, 'summary.sitesTotal': event.sites }
+            });
+            publish(run, 'started', { modelId: run.modelId });
+            break;
+        case 'site':
+            await ScanRun.updateOne({ runId: run.runId }, { $set: { currentSite: event.url } });
+            publish(run, 'site', { url: event.url });
+            break;
+        case 'image':
+            await recordImage(run, event);
+            break;
+        case 'site_done':
+            await bump(run, { sitesScanned: 1, ...(event.error ? { siteErrors: 1 } : {}) });
+            await siteRegistry.recordScan(event.url, {
+                runId: run.runId,
+                at: new Date(),
+                status: event.error ? 'error' : 'ok',
+                pages: event.pages,
+                images: event.images,
+                error: event.error
+            });
+            publish(run, 'site_done', { url: event.url, pages: event.pages, images: event.images, error: event.error });
+            break;
+        case 'fatal':
+            run.error = event.error;
+            break;
+        default:
+            break;
+    }
+};
+
+const logPathFor = (runId) => path.join(LOG_DIR, `${runId}.log`);
+
+const openLog = async (runId) => {
+    await fs.promises.mkdir(LOG_DIR, { recursive: true });
+    const stream = fs.createWriteStream(logPathFor(runId), { flags: 'a' });
+    const log = (source, text) => {
+        text.split('\n').filter(line => line.length > 0).forEach(line => {
+            stream.write(`${new Date().toISOString()} [${source}] ${line}\n`);
+        });
+    };
+    log.end = () => stream.end();
+    return log;
+};
+
+const finish = async (run, status, error) => {
+    await ScanRun.updateOne({ runId: run.runId }, {
+        $set: { status, finishedAt: new Date(), ...(error ? { error } : {}) },
+        $unset: { currentSite: '' }
+    });
+    console.log(`[Global Scan] ${run.runId} ${status}${error ? `: ${error}` : ''}`);
+    publish(run, 'complete', { status, error });
+};
+
+const activeRun = async () => {
+    if (current) return ScanRun.findOne({ runId: current.runId });
+    return ScanRun.findOne({ status: 'running' });
+};
+
+// Start a scan. If one is already running nothing is started and that run is
+// returned with started: false; with no enabled sites nothing is started
+// either and run is null. Pass caseId and the hashes of the case's reference
+// photos to look for that victim only; the scanner gets decrypted copies of
+// them for the length of the run.
+const startRun = async ({ trigger = 'manual', caseId, references } = {}) => {
+    // Claimed synchronously so two requests in the same tick cannot both start
+    if (current) return { run: await activeRun(), started: false };
+    const runId = generateRunId();
+    current = { runId };
+
+    const tempFiles = [];
+    const args = [SCANNER_SCRIPT];
+    let log;
+    try {
+        const running = await ScanRun.findOne({ status: 'running' });
+        if (running) {
+            current = null;
+            return { run: running, started: false };
+        }
+        const sites = await siteRegistry.enabledSites();
+        if (sites.length === 0) {
+            current = null;
+            return { run: null, started: false };
+        }
+        const addFile = (flag, filePath) => {
+            tempFiles.push(filePath);
+            args.push(flag, filePath);
+        };
+        addFile('--sites', await writeSites(runId, sites));
+        addFile('--known', await writeKnownPairs(runId));
+        if (caseId) {
+            const referencePaths = [];
+            for (const sha256 of references) {
+                const plainPath = await evidenceStore.plainCopy(sha256);
+                tempFiles.push(plainPath);
+                referencePaths.push(plainPath);
+            }
+            addFile('--references', await writeTempJson(runId, 'references', referencePaths));
+        }
+        log = await openLog(runId);
+        await ScanRun.create({ runId, trigger, caseId });
+    } catch (err) {
+        current = null;
+        tempFiles.forEach(filePath => fs.promises.unlink(filePath).catch(() => {}));
+        throw err;
+    }
+
+    const run = current;
+    run.caseId = caseId;
+    run.summary = { ...EMPTY_SUMMARY };
+    console.log(`[Global Scan] Starting ${runId} (${trigger}${caseId ? `, case ${caseId}` : ''})`);
+    const child = spawn('python', args, {
+        cwd: path.dirname(SCANNER_SCRIPT),
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    run.child = child;
+    log('server', `Started ${trigger} scan (pid ${child.pid})`);
+
+    // Events are applied in order, one at a time, so counters stay consistent
+    let applied = Promise.resolve();
+    readline.createInterface({ input: child.stdout }).on('line', (line) => {
+        log('stdout', line);
+        let event;
+        try {
+            event = JSON.parse(line);
+        } catch {
+            return;
+        }
+        applied = applied
+            .then(() => handleEvent(run, event))
+            .catch(err => console.error(`[Global Scan] Failed to store event for ${runId}:`, err.message));
+    });
+    child.stderr.on('data', (data) => {
+        log('stderr', data.toString());
+    });
+
+    let spawnError = null;
+    child.on('error', (err) => {
+        spawnError = err;
+        log('server', `Failed to spawn scanner: ${err.message}`);
+        console.error('[Global Scan] Failed to spawn scanner:', err.message);
+    });
+
+    child.on('close', async (code, signal) => {
+        clearTimeout(run.killTimer);
+        await applied;
+        tempFiles.forEach(filePath => fs.promises.unlink(filePath).catch(() => {}));
+
+        let status = 'completed';
+        let error;
+        if (run.cancelled) {
+            status = 'cancelled';
+        } else if (spawnError || code !== 0) {
+            status = 'failed';
+            error = spawnError ? spawnError.message : run.error || `Scanner exited (code ${code}, signal ${signal})`;
+        }
+        log('server', `Scanner exited (code ${code}, signal ${signal}); run ${status}`);
+        log.end();
+        try {
+            await finish(run, status, error);
+        } catch (err) {
+            console.error(`[Global Scan] Failed to finish ${runId}:`, err.message);
+        }
+        current = null;
+    });
+
+    return { run: await ScanRun.findOne({ runId }), started: true };
+};
+
+// Stop the running scan: SIGTERM first, SIGKILL if it has not exited after
+// the grace period. Returns false if the run is not running in this process.
+const cancelRun = async (runId) => {
+    if (!current || current.runId !== runId || !current.child) return false;
+    if (current.cancelled) return true;
+
+    const run = current;
+    run.cancelled = true;
+    await ScanRun.updateOne({ runId }, { $set: { cancelledAt: new Date() } });
+    run.child.kill('SIGTERM');
+    run.killTimer = setTimeout(() => run.child.kill('SIGKILL'), CANCEL_GRACE_MS);
+    run.killTimer.unref();
+    return true;
+};
+
+const listRuns = (limit = 50) => ScanRun.find().sort({ startedAt: -1 }).limit(limit);
+
+// 'latest' resolves to the most recent run
+const getRun = (runId) => (runId === 'latest'
+    ? ScanRun.findOne().sort({ startedAt: -1 })
+    : ScanRun.findOne({ runId }));
+
+const isActive = (runId) => Boolean(current && current.runId === runId);
+
+// Receive a running scan's events as they are stored; returns an unsubscribe function
+const subscribe = (runId, listener) => {
+    events.on(runId, listener);
+    return () => events.off(runId, listener);
+};
+
+// Fakes that resemble a case's victim, most similar first
+const caseMatches = (caseId, { all = false } = {}) => CaseMatch
+    .find({ caseId, ...(all ? {} : { verdict: 'fake' }) })
+    .sort({ similarity: -1 });
+
+// A run still marked running after a restart lost its scanner process
+const recoverInterrupted = () => ScanRun.updateMany(
+    { status: 'running' },
+    { $set: { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() }, $unset: { currentSite: '' } }
+);
+
+// A run and the images it saw
+const getResults = async (runId) => {
+    const run = await getRun(runId);
+    if (!run) return null;
+
+    const images = await ScannedImage.find({ lastSeenRunId: run.runId }).sort({ lastSeenAt: 1 });
+    return { run, images };
+};
+
+module.exports = {
+    startRun,
+    cancelRun,
+    activeRun,
+    listRuns,
+    getRun,
+    getResults,
+    toResult,
+    referencePhotos,
+    caseMatches,
+    isActive,
+    subscribe,
+    logPathFor,
+    recoverInterrupted
+};
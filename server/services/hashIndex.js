@@ -0,0 +1,143 @@
+const ImageHash = require('../models/ImageHash');
+const ScannedImage = require('../models/ScannedImage');
+const Evidence = require('../models/Evidence');
+const CaseMatch = require('../models/CaseMatch');
+
+// Perceptual-hash index over every image analyzed or seen by the global scan.
+// Each image has the 64-bit pHash of the full frame plus five crop hashes
+// (ml_service/compare.py hash_variants); two images are as far apart as the
+// closest of one's full hash to any hash of the other, so a cropped copy
+// still lands near its source. Lookups scan an in-memory copy of the index,
+// loaded on first use and kept current as images are added.
+const DEFAULT_MAX_DISTANCE = 10;
+const MAX_DISTANCE_LIMIT = 20;
+const MAX_RESULTS = 50;
+
+// Resolves to a Map of sha256 -> { hashes: [BigInt], knownBad }
+let loading = null;
+
+const isHashList = (hashes) => Array.isArray(hashes) && hashes.length > 0 &&
+    hashes.every(hash => typeof hash === 'string' && /^[0-9a-f]{16}$/.test(hash));
+
+const toEntry = (doc) => ({ hashes: doc.hashes.map(hash => BigInt('0x' + hash)), knownBad: doc.knownBad });
+
+const popcount = (n) => {
+    let count = 0;
+    while (n) {
+        n &= n - 1n;
+        count++;
+    }
+    return count;
+};
+
+const distance = (a, b) => Math.min(
+    ...b.map(hash => popcount(a[0] ^ hash)),
+    ...a.map(hash => popcount(hash ^ b[0]))
+);
+
+const load = () => {
+    if (!loading) {
+        loading = ImageHash.find({}, { sha256: 1, hashes: 1, knownBad: 1 }).lean()
+            .then(docs => new Map(docs.map(doc => [doc.sha256, toEntry(doc)])))
+            .catch(err => {
+                loading = null;
+                throw err;
+            });
+    }
+    return loading;
+};
+
+// Only an approved review confirms a deepfake; a classifier verdict alone can
+// be a false positive and would flag every re-upload of a genuine photo
+const refreshKnownBad = async (doc) => {
+    const knownBad = doc.reviewedLabel === 'fake';
+    if (doc.knownBad !== knownBad) {
+        doc.knownBad = knownBad;
+        await doc.save();
+    }
+    (await load()).set(doc.sha256, toEntry(doc));
+    return doc;
+};
+
+// Index an image's hashes; source is 'analysis' or 'scan'
+const add = async ({ sha256, hashes, verdict, source }) => {
+    if (!isHashList(hashes)) return null;
+
+    const doc = await ImageHash.findOneAndUpdate(
+        { sha256 },
+        {
+            $set: { hashes, ...(verdict === 'fake' ? { classifierFake: true } : {}) },
+            $addToSet: { sources: source }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    return refreshKnownBad(doc);
+};
+
+// An approved review confirms (or clears) an image as a deepfake
+const recordReview = async (sha256, label) => {
+    const doc = await ImageHash.findOneAndUpdate({ sha256 }, { $set: { reviewedLabel: label } }, { new: true });
+    return doc && refreshKnownBad(doc);
+};
+
+// Indexed images within maxDistance bits of the given hashes, closest first
+const findSimilar = async (hashes, { maxDistance = DEFAULT_MAX_DISTANCE, knownBadOnly = false, exclude } = {}) => {
+    if (!isHashList(hashes)) return [];
+    const query = hashes.map(hash => BigInt('0x' + hash));
+    const limit = Math.min(maxDistance, MAX_DISTANCE_LIMIT);
+
+    const matches = [];
+    (await load()).forEach((entry, sha256) => {
+        if (sha256 === exclude || (knownBadOnly && !entry.knownBad)) return;
+        const d = distance(query, entry.hashes);
+        if (d <= limit) matches.push({ sha256, distance: d, knownBad: entry.knownBad });
+    });
+    return matches.sort((a, b) => a.distance - b.distance).slice(0, MAX_RESULTS);
+};
+
+// Closest confirmed deepfake, or null
+const nearestKnownBad = async (hashes) => {
+    const [match] = await findSimilar(hashes, { knownBadOnly: true });
+    return match || null;
+};
+
+const getHashes = async (sha256) => {
+    const doc = await ImageHash.findOne({ sha256 }, { hashes: 1 }).lean();
+    return doc ? doc.hashes : null;
+};
+
+// Where each match was seen: scanned URLs and the cases it belongs to
+const describe = async (matches) => {
+    const hashes = matches.map(match => match.sha256);
+    const [scanned, evidence, caseMatches] = await Promise.all([
+        ScannedImage.find({ sha256: { $in: hashes } }).sort({ lastSeenAt: -1 }).lean(),
+        Evidence.find({ sha256: { $in: hashes } }, { sha256: 1, caseIds: 1 }).lean(),
+        CaseMatch.find({ sha256: { $in: hashes } }, { sha256: 1, caseId: 1 }).lean()
+    ]);
+
+    return matches.map(match => ({
+        ...match,
+        urls: scanned.filter(img => img.sha256 === match.sha256).map(img => ({
+            imageUrl: img.imageUrl,
+            pageUrl: img.pageUrl,
+            sourceUrl: img.sourceUrl,
+            lastSeenAt: img.lastSeenAt
+        })),
+        caseIds: [...new Set([
+            ...evidence.filter(doc => doc.sha256 === match.sha256).flatMap(doc => doc.caseIds || []),
+            ...caseMatches.filter(doc => doc.sha256 === match.sha256).map(doc => doc.caseId)
+        ])]
+    }));
+};
+
+module.exports = {
+    DEFAULT_MAX_DISTANCE,
+    MAX_DISTANCE_LIMIT,
+    isHashList,
+    add,
+    recordReview,
+    findSimilar,
+    nearestKnownBad,
+    getHashes,
+    describe
+};
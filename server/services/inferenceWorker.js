@@ -0,0 +1,191 @@
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { spawn } = require('child_process');
+
+// Manages one resident ml_service/inference_worker.py process. Requests and
+// responses are single JSON lines matched up by request id; the worker is
+// health-checked periodically and restarted with backoff if it dies or hangs.
+const WORKER_SCRIPT = path.join(__dirname, '../../ml_service/inference_worker.py');
+const REQUEST_TIMEOUT_MS = parseInt(process.env.INFERENCE_TIMEOUT_MS, 10) || 120000;
+const HEALTH_INTERVAL_MS = 30000;
+const HEALTH_TIMEOUT_MS = 10000;
+const MAX_BACKOFF_MS = 30000;
+
+let child = null;
+let ready = false;
+let modelVersion = null;
+let backoffMs = 1000;
+let restartTimer = null;
+let healthTimer = null;
+let stopping = false;
+const pending = new Map();
+const readyWaiters = [];
+
+const rejectAll = (err) => {
+    pending.forEach(({ reject, timer }) => {
+        clearTimeout(timer);
+        reject(err);
+    });
+    pending.clear();
+};
+
+const scheduleRestart = () => {
+    if (stopping || restartTimer) return;
+    console.log(`[Inference] Restarting worker in ${backoffMs}ms`);
+    restartTimer = setTimeout(() => {
+        restartTimer = null;
+        start();
+    }, backoffMs);
+    backoffMs = Math.min(backoffMs * 2, MAX_BACKOFF_MS);
+};
+
+const handleLine = (line) => {
+    let message;
+    try {
+        message = JSON.parse(line);
+    } catch {
+        console.error('[Inference] Ignoring non-JSON output:', line);
+        return;
+    }
+
+    if (message.event === 'ready') {
+        ready = true;
+        modelVersion = message.model_version;
+        backoffMs = 1000;
+        console.log(`[Inference] Worker ready (pid ${message.pid}, model ${modelVersion})`);
+        readyWaiters.splice(0).forEach(({ resolve }) => resolve());
+        return;
+    }
+
+    if (message.event === 'fatal') {
+        console.error('[Inference] Worker failed to start:', message.error);
+        readyWaiters.splice(0).forEach(({ reject }) => reject(new Error(message.error)));
+        return;
+    }
+
+    const entry = pending.get(message.id);
+    if (!entry) return;
+    pending.delete(message.id);
+    clearTimeout(entry.timer);
+
+    if (message.ok) {
+        entry.resolve(message.result);
+    } else {
+        entry.reject(new Error(message.error || 'Inference failed'));
+    }
+};
+
+const start = () => {
+    if (child) return;
+
+    ready = false;
+    child = spawn('python', [WORKER_SCRIPT], {
+        cwd: path.dirname(WORKER_SCRIPT),
+        stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    readline.createInterface({ input: child.stdout }).on('line', handleLine);
+    // A write after the worker died fails with EPIPE; without a listener that
+    // would crash the server. The exit handler takes care of the restart.
+    child.stdin.on('error', (err) => {
+        console.error('[Inference] Could not write to worker:', err.message);
+        rejectAll(new Error('Inference worker is not accepting requests'));
+    });
+    child.stderr.on('data', (data) => {
+        process.stderr.write(`[Inference] ${data}`);
+    });
+
+    child.on('error', (err) => {
+        console.error('[Inference] Failed to spawn worker:', err.message);
+        if (child && !child.pid) {
+            child = null;
+            readyWaiters.splice(0).forEach(({ reject }) => reject(err));
+            scheduleRestart();
+        }
+    });
+
+    child.on('exit', (code, signal) => {
+        console.error(`[Inference] Worker exited (code ${code}, signal ${signal})`);
+        child = null;
+        ready = false;
+        rejectAll(new Error('Inference worker exited'));
+        readyWaiters.splice(0).forEach(({ reject }) => reject(new Error('Inference worker exited')));
+        scheduleRestart();
+    });
+
+    if (!healthTimer) {
+        healthTimer = setInterval(checkHealth, HEALTH_INTERVAL_MS);
+        healthTimer.unref();
+    }
+};
+
+const waitUntilReady = () => {
+    if (ready) return Promise.resolve();
+    start();
+    return new Promise((resolve, reject) => readyWaiters.push({ resolve, reject }));
+};
+
+const send = (op, params = {}, timeoutMs = REQUEST_TIMEOUT_MS) => new Promise((resolve, reject) => {
+    // The worker may have exited between becoming ready and this request
+    if (!child || !child.stdin.writable) {
+        return reject(new Error('Inference worker is not running'));
+    }
+    const id = crypto.randomBytes(6).toString('hex');
+    const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`Inference request '${op}' timed out`));
+    }, timeoutMs);
+
+    pending.set(id, { resolve, reject, timer });
+    child.stdin.write(JSON.stringify({ id, op, ...params }) + '\n');
+});
+
+// Send a request to the worker, starting it first if needed
+const request = async (op, params, timeoutMs) => {
+    await waitUntilReady();
+    return send(op, params, timeoutMs);
+};
+
+// Kill an idle worker that stops answering; the exit handler restarts it.
+// Busy workers are skipped since requests are answered strictly in order.
+const checkHealth = async () => {
+    if (!child || !ready || pending.size > 0) return;
+    try {
+        await send('health', {}, HEALTH_TIMEOUT_MS);
+    } catch (err) {
+        console.error('[Inference] Health check failed:', err.message);
+        if (child) child.kill('SIGKILL');
+    }
+};
+
+// Have the worker re-read the model registry (e.g. after promote_model.py).
+// Queued predictions finish on the old weights first since requests run in order.
+const reloadModels = async () => {
+    const result = await request('reload', {});
+    modelVersion = result.model_version;
+    console.log(`[Inference] Models reloaded (model ${modelVersion})`);
+    return result;
+};
+
+const status = () => ({
+    running: Boolean(child),
+    ready,
+    modelVersion,
+    pending: pending.size
+});
+
+const stop = () => {
+    stopping = true;
+    clearInterval(healthTimer);
+    clearTimeout(restartTimer);
+    if (child) child.kill();
+};
+
+module.exports = {
+    start,
+    request,
+    reloadModels,
+    status,
+    stop
+};
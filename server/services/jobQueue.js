@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const Job = require('../models/Job');
+
+// Jobs are persisted in MongoDB and claimed one at a time by a bounded pool of
+// in-process workers, so a restart never loses queued work.
+const CONCURRENCY = parseInt(process.env.ANALYSIS_CONCURRENCY, 10) || 2;
+const MAX_ATTEMPTS = 3;
+// Workers wake on every enqueue and completion; this poll picks up jobs left
+// queued when a claim failed (e.g. MongoDB was briefly unreachable)
+const POLL_INTERVAL_MS = 30000;
+
+const handlers = {};
+let active = 0;
+let started = false;
+let pollTimer = null;
+
+const registerHandler = (type, handler) => {
+    handlers[type] = handler;
+};
+
+const claimNext = () => Job.findOneAndUpdate(
+    { status: 'queued', type: { $in: Object.keys(handlers) } },
+    { status: 'running', startedAt: Date.now(), $inc: { attempts: 1 } },
+    { sort: { createdAt: 1 }, new: true }
+);
+
+const runJob = async (job) => {
+    try {
+        const result = await handlers[job.type](job.payload, job);
+        job.status = 'done';
+        job.result = result;
+        job.error = undefined;
+    } catch (err) {
+        console.error(`[Jobs] ${job.type} ${job.jobId} failed:`, err.message);
+        job.status = 'failed';
+        job.error = err.message;
+    }
+    job.finishedAt = Date.now();
+    await job.save();
+};
+
+// Fill every free worker slot with the oldest queued job
+const drain = async () => {
+    if (!started) return;
+
+    while (active < CONCURRENCY) {
+        active++;
+        let job;
+        try {
+            job = await claimNext();
+        } catch (err) {
+            console.error('[Jobs] Failed to claim job:', err.message);
+        }
+
+        if (!job) {
+            active--;
+            return;
+        }
+
+        runJob(job)
+            .catch(err => console.error('[Jobs] Failed to save job:', err.message))
+            .finally(() => {
+                active--;
+                drain();
+            });
+    }
+};
+
+const enqueue = async (type, payload) => {
+    if (!handlers[type]) {
+        throw new Error(`No handler registered for job type '${type}'`);
+    }
+
+    const job = await Job.create({
+        jobId: crypto.randomBytes(8).toString('hex'),
+        type,
+        payload
+    });
+
+    drain();
+    return job;
+};
+
+const getJob = (jobId) => Job.findOne({ jobId });
+
+// Requeue jobs that were running when the server last stopped, then start working
+const start = async () => {
+    const interrupted = await Job.updateMany(
+        { status: 'running', attempts: { $lt: MAX_ATTEMPTS } },
+        { status: 'queued' }
+    );
+    await Job.updateMany(
+        { status: 'running' },
+        { status: 'failed', error: 'Interrupted too many times', finishedAt: Date.now() }
+    );
+
+    if (interrupted.modifiedCount > 0) {
+        console.log(`[Jobs] Requeued ${interrupted.modifiedCount} interrupted job(s)`);
+    }
+
+    started = true;
+    drain();
+
+    if (!pollTimer) {
+        pollTimer = setInterval(drain, POLL_INTERVAL_MS);
+        pollTimer.unref();
+    }
+};
+
+module.exports = {
+    registerHandler,
+    enqueue,
+    getJob,
+    start
+};
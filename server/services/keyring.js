@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Master keys for encryption at rest, kept in a local JSON key file:
+//   { "active": "K-20261019-1A2B", "keys": { "K-20261019-1A2B": "<base64, 32 bytes>", ... } }
+// The file lives outside the repo's tracked files (EVIDENCE_KEY_FILE, default
+// server/keys/keyring.json) and is created on first start. Without it nothing
+// stored can be read again, so back it up separately from the database and
+// uploads. Every ciphertext records the ID of the key that protects it, so
+// older keys stay usable until `npm run rotate-keys -- --retire` drops them.
+const KEY_FILE = process.env.EVIDENCE_KEY_FILE || path.join(__dirname, '..', 'keys', 'keyring.json');
+const KEY_BYTES = 32;
+
+let keyring = null;
+
+const generateKeyId = () => {
+    const day = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return `K-${day}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+};
+
+const save = (ring) => {
+    fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true, mode: 0o700 });
+    const tmpPath = `${KEY_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(ring, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(tmpPath, KEY_FILE);
+};
+
+const parse = (ring) => {
+    const keys = new Map(Object.entries(ring.keys || {}).map(([kid, b64]) => [kid, Buffer.from(b64, 'base64')]));
+    if (!keys.has(ring.active)) {
+        throw new Error(`Key file ${KEY_FILE} has no key for its active ID '${ring.active}'`);
+    }
+    keys.forEach((key, kid) => {
+        if (key.length !== KEY_BYTES) throw new Error(`Key ${kid} in ${KEY_FILE} is not ${KEY_BYTES} bytes`);
+    });
+    return { active: ring.active, keys };
+};
+
+const load = () => {
+    if (keyring) return keyring;
+    if (!fs.existsSync(KEY_FILE)) {
+        const kid = generateKeyId();
+        save({ active: kid, keys: { [kid]: crypto.randomBytes(KEY_BYTES).toString('base64') } });
+        console.warn(`[Keyring] Created a new key file at ${KEY_FILE}. Back it up: encrypted evidence cannot be read without it.`);
+    }
+    keyring = parse(JSON.parse(fs.readFileSync(KEY_FILE, 'utf8')));
+    return keyring;
+};
+
+const serialize = (ring) => ({
+    active: ring.active,
+    keys: Object.fromEntries([...ring.keys].map(([kid, key]) => [kid, key.toString('base64')]))
+});
+
+// Separate keys per purpose, derived from a master key
+const deriveKey = (kid, purpose) => {
+    const master = load().keys.get(kid);
+    if (!master) {
+        throw new Error(`Unknown encryption key '${kid}'; is ${KEY_FILE} the right key file?`);
+    }
+    return Buffer.from(crypto.hkdfSync('sha256', master, Buffer.alloc(0), `deepfake-guardian/${purpose}`, KEY_BYTES));
+};
+
+const activeKeyId = () => load().active;
+
+// Add a fresh master key and make it the active one; older keys are kept
+const addKey = () => {
+    const ring = load();
+    const kid = generateKeyId();
+    ring.keys.set(kid, crypto.randomBytes(KEY_BYTES));
+    ring.active = kid;
+    save(serialize(ring));
+    return kid;
+};
+
+// Drop every key but the active one, once nothing is encrypted under them
+const retireInactiveKeys = () => {
+    const ring = load();
+    const retired = [...ring.keys.keys()].filter(kid => kid !== ring.active);
+    retired.forEach(kid => ring.keys.delete(kid));
+    save(serialize(ring));
+    return retired;
+};
+
+module.exports = {
+    KEY_FILE,
+    activeKeyId,
+    deriveKey,
+    addKey,
+    retireInactiveKeys
+};
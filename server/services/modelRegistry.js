@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// The detector registry shared with the Python worker (ml_service/models/registry.json).
+// The worker loads the weights; the server only needs to list and validate model IDs.
+const ML_DIR = path.join(__dirname, '..', '..', 'ml_service');
+const REGISTRY_PATH = path.join(ML_DIR, 'models', 'registry.json');
+// Latest evaluate_model.py report per model: reports/<id>.json
+const REPORTS_DIR = path.join(ML_DIR, 'models', 'reports');
+
+const ENSEMBLE = 'ensemble';
+// Mirrors calibration.DEFAULT_DECISION in the worker
+const DEFAULT_DECISION = { fakeMin: 0.7, realMax: 0.3 };
+
+const load = () => JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+
+// Same short content hash the worker reports as model_version, cached per file mtime
+const hashCache = new Map();
+const fileHash = (filePath) => {
+    if (!fs.existsSync(filePath)) return null;
+    const { mtimeMs } = fs.statSync(filePath);
+    const cached = hashCache.get(filePath);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.hash;
+
+    const hash = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex').slice(0, 12);
+    hashCache.set(filePath, { mtimeMs, hash });
+    return hash;
+};
+
+// Full evaluation report for a model, or null if it has never been evaluated
+const evaluation = (modelId) => {
+    const reportPath = path.join(REPORTS_DIR, `${path.basename(modelId)}.json`);
+    if (!fs.existsSync(reportPath)) return null;
+    return JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+};
+
+// Headline numbers for the model list. `stale` means the weights changed after the evaluation.
+const evaluationSummary = (model) => {
+    const report = evaluation(model.id);
+    if (!report) return null;
+    return {
+        evaluatedAt: report.evaluated_at,
+        samples: report.samples,
+        precision: report.metrics.precision,
+        recall: report.metrics.recall,
+        f1: report.metrics.f1,
+        rocAuc: report.metrics.roc_auc,
+        coverage: report.metrics.coverage,
+        stale: report.model.file_hash !== fileHash(path.join(ML_DIR, model.path))
+    };
+};
+
+const list = () => {
+    const registry = load();
+    const models = registry.models.map(model => ({
+        id: model.id,
+        name: model.name || model.id,
+        version: model.version,
+        inputSize: model.input_size,
+        targets: model.targets || [],
+        calibrated: Boolean(model.calibration),
+        decision: {
+            fakeMin: model.decision?.fake_min ?? DEFAULT_DECISION.fakeMin,
+            realMax: model.decision?.real_max ?? DEFAULT_DECISION.realMax
+        },
+        weight: model.weight ?? 1,
+        description: model.description || '',
+        default: model.id === registry.default,
+        available: fs.existsSync(path.join(ML_DIR, model.path)),
+        evaluation: evaluationSummary(model)
+    }));
+
+    return {
+        default: registry.default,
+        ensemble: {
+            id: ENSEMBLE,
+            members: models.filter(model => model.available).map(model => model.id)
+        },
+        models
+    };
+};
+
+// True for a registered model ID or "ensemble"; an empty value means the default model
+const isKnown = (modelId) => {
+    if (!modelId || modelId === ENSEMBLE) return true;
+    return load().models.some(model => model.id === modelId);
+};
+
+module.exports = {
+    ENSEMBLE,
+    REGISTRY_PATH,
+    list,
+    isKnown,
+    evaluation
+};
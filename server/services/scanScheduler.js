@@ -0,0 +1,116 @@
+// Cron-style schedule for the global scan, set with GLOBAL_SCAN_SCHEDULE
+// ("minute hour day-of-month month day-of-week", server local time), e.g.
+// "0 3 * * *" for every night at 03:00 or "0 */6 * * 1-5" for every six
+// hours on weekdays. Fields accept *, lists (1,15), ranges (1-5) and steps
+// (*/10, 0-30/5); day-of-week runs 0-6 from Sunday, with 7 also Sunday.
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+const parseField = (text, { name, min, max }) => {
+    const values = new Set();
+    text.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+        if (to === undefined) to = stepText === undefined ? from : max;
+
+        if (![from, to, step].every(Number.isInteger) || step < 1 || from < min || to > max || from > to) {
+            throw new Error(`Invalid ${name} '${part}' in scan schedule`);
+        }
+        for (let v = from; v <= to; v += step) values.add(v);
+    });
+    return values;
+};
+
+const parseSchedule = (expression) => {
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Scan schedule '${expression}' needs 5 fields: minute hour day-of-month month day-of-week`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (weekdays.has(7)) weekdays.add(0);
+    return {
+        expression,
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // As in cron, a restricted day-of-month and day-of-week match if either does
+        anyDay: parts[2] === '*' || parts[4] === '*'
+    };
+};
+
+const matches = (schedule, date) => {
+    const dayOfMonth = schedule.days.has(date.getDate());
+    const dayOfWeek = schedule.weekdays.has(date.getDay());
+    return schedule.minutes.has(date.getMinutes()) &&
+        schedule.hours.has(date.getHours()) &&
+        schedule.months.has(date.getMonth() + 1) &&
+        (schedule.anyDay ? dayOfMonth && dayOfWeek : dayOfMonth || dayOfWeek);
+};
+
+// Next matching minute after `from`, looking at most a year ahead
+const nextRun = (schedule, from = new Date()) => {
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    for (let i = 0; i < 366 * 24 * 60; i++) {
+        date.setMinutes(date.getMinutes() + 1);
+        if (matches(schedule, date)) return new Date(date);
+    }
+    return null;
+};
+
+let timer = null;
+let active = null;
+
+// Check once a minute, just after the minute turns over
+const start = (expression, onTick) => {
+    stop();
+    const schedule = parseSchedule(expression);
+    const next = nextRun(schedule);
+    if (!next) {
+        throw new Error(`Scan schedule '${expression}' never matches`);
+    }
+    active = schedule;
+
+    const tick = () => {
+        const now = new Date();
+        if (matches(active, now)) {
+            Promise.resolve()
+                .then(onTick)
+                .catch(err => console.error('[Scheduler] Scheduled scan failed to start:', err.message));
+        }
+        timer = setTimeout(tick, 60000 - (Date.now() % 60000) + 1000);
+        timer.unref();
+    };
+    timer = setTimeout(tick, 60000 - (Date.now() % 60000) + 1000);
+    timer.unref();
+
+    console.log(`[Scheduler] Global scan scheduled '${expression}', next at ${next.toLocaleString()}`);
+    return active;
+};
+
+const stop = () => {
+    clearTimeout(timer);
+    timer = null;
+    active = null;
+};
+
+const status = () => (active
+    ? { expression: active.expression, nextRunAt: nextRun(active) }
+    : null);
+
+module.exports = {
+    parseSchedule,
+    nextRun,
+    start,
+    stop,
+    status
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Site = require('../models/Site');
+
+// The list of websites the global scan visits. It used to be websites.txt at
+// the repo root; that file is now only imported once into an empty database
+// and the same one-URL-per-line format is kept for import and export.
+const LEGACY_LIST = path.join(__dirname, '..', '..', 'websites.txt');
+
+// Generate a human readable site ID, e.g. ST-9B04E1D7
+const generateSiteId = () => {
+    return 'ST-' + crypto.randomBytes(4).toString('hex').toUpperCase();
+};
+
+// One URL per line; blank lines and # comments are ignored
+const parseList = (text) => String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('#'));
+
+// Add every URL in a txt list that is not registered yet
+const importList = async (text, defaults = {}) => {
+    const urls = [...new Set(parseList(text))];
+    const existing = new Set((await Site.find({ url: { $in: urls } }, { url: 1 })).map(site => site.url));
+
+    const created = [];
+    const invalid = [];
+    for (const url of urls.filter(u => !existing.has(u))) {
+        try {
+            created.push(await Site.create({ ...defaults, siteId: generateSiteId(), url }));
+        } catch (err) {
+            if (err.name !== 'ValidationError') throw err;
+            invalid.push(url);
+        }
+    }
+
+    return { created: created.length, existing: existing.size, invalid };
+};
+
+const exportList = async ({ all = false } = {}) => {
+    const sites = await Site.find(all ? {} : { enabled: true }).sort({ createdAt: 1 });
+    return sites.map(site => site.url).join('\n') + (sites.length ? '\n' : '');
+};
+
+// First start after the upgrade: bring over the old websites.txt
+const seedFromLegacyList = async () => {
+    if (await Site.estimatedDocumentCount() > 0 || !fs.existsSync(LEGACY_LIST)) return null;
+    const result = await importList(await fs.promises.readFile(LEGACY_LIST, 'utf8'));
+    console.log(`[Sites] Imported ${result.created} site(s) from websites.txt`);
+    return result;
+};
+
+const enabledSites = () => Site.find({ enabled: true }).sort({ createdAt: 1 });
+
+const recordScan = (url, lastScan) => Site.updateOne({ url }, { $set: { lastScan } });
+
+module.exports = {
+    generateSiteId,
+    parseList,
+    importList,
+    exportList,
+    seedFromLegacyList,
+    enabledSites,
+    recordScan
+};
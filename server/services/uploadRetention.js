@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const Evidence = require('../models/Evidence');
+const Case = require('../models/Case');
+const Review = require('../models/Review');
+const evidenceStore = require('./evidenceStore');
+
+// Cleanup policy for server/uploads, set through the environment:
+//   UPLOAD_TMP_MAX_AGE_HOURS       temp files left behind by interrupted uploads (default 24)
+//   UPLOAD_RETENTION_DAYS          stored files no case references and no open review
+//                                  still needs, and loose files from before the evidence
+//                                  store; unset or 0 keeps them forever
+//   UPLOAD_CLEANUP_INTERVAL_HOURS  how often the cleanup runs (default 6)
+// A deleted stored file keeps its Evidence record; its custody log gets a DELETION entry.
+// Decrypted copies made for the ML service are removed by their users; any
+// older than an hour were left by a crash and are removed here.
+const HOUR_MS = 60 * 60 * 1000;
+const PLAIN_MAX_AGE_MS = HOUR_MS;
+
+const policy = () => ({
+    tmpMaxAgeMs: (parseFloat(process.env.UPLOAD_TMP_MAX_AGE_HOURS) || 24) * HOUR_MS,
+    retentionDays: parseFloat(process.env.UPLOAD_RETENTION_DAYS) || 0,
+    intervalMs: (parseFloat(process.env.UPLOAD_CLEANUP_INTERVAL_HOURS) || 6) * HOUR_MS
+});
+
+let timer = null;
+
+// Plain files directly inside dir whose last modification is older than cutoff
+const staleFiles = async (dir, cutoff) => {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    const stale = [];
+    for (const entry of entries.filter(e => e.isFile())) {
+        const filePath = path.join(dir, entry.name);
+        const { mtimeMs } = await fs.promises.stat(filePath);
+        if (mtimeMs < cutoff) stale.push(filePath);
+    }
+    return stale;
+};
+
+const removeAll = async (filePaths) => {
+    let removed = 0;
+    for (const filePath of filePaths) {
+        try {
+            await fs.promises.unlink(filePath);
+            removed++;
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error(`[Retention] Could not remove ${filePath}:`, err.message);
+        }
+    }
+    return removed;
+};
+
+// Stored blobs not touched since the cutoff that no case and no open review points at
+const expiredEvidence = async (cutoff) => {
+    const candidates = await Evidence.find({
+        updatedAt: { $lt: cutoff },
+        $or: [{ caseIds: { $size: 0 } }, { caseIds: { $exists: false } }]
+    }, { sha256: 1 }).lean();
+    const hashes = candidates.map(doc => doc.sha256);
+    if (hashes.length === 0) return [];
+
+    const [inCases, inReview] = await Promise.all([
+        Case.distinct('evidence.sha256', { 'evidence.sha256': { $in: hashes } }),
+        Review.distinct('sha256', { sha256: { $in: hashes }, status: { $in: ['PENDING', 'APPROVED'] } })
+    ]);
+    const keep = new Set([...inCases, ...inReview]);
+    return hashes.filter(sha256 => !keep.has(sha256) && fs.existsSync(evidenceStore.pathFor(sha256)));
+};
+
+const purgeEvidence = async (hashes, retentionDays) => {
+    let removed = 0;
+    for (const sha256 of hashes) {
+        if (await removeAll([evidenceStore.pathFor(sha256)]) === 0) continue;
+        await Evidence.appendCustody(sha256, {
+            action: 'DELETION',
+            details: { reason: 'retention', retentionDays }
+        });
+        removed++;
+    }
+    return removed;
+};
+
+// One cleanup pass; returns how many files of each kind were removed
+const runCleanup = async () => {
+    const { tmpMaxAgeMs, retentionDays } = policy();
+    const now = Date.now();
+    const result = { tmp: 0, legacy: 0, evidence: 0 };
+
+    result.tmp = await removeAll([
+        ...await staleFiles(evidenceStore.TMP_DIR, now - tmpMaxAgeMs),
+        ...await staleFiles(evidenceStore.PLAIN_DIR, now - PLAIN_MAX_AGE_MS)
+    ]);
+
+    if (retentionDays > 0) {
+        const cutoff = now - retentionDays * 24 * HOUR_MS;
+        result.legacy = await removeAll(await staleFiles(evidenceStore.UPLOAD_DIR, cutoff));
+        result.evidence = await purgeEvidence(await expiredEvidence(new Date(cutoff)), retentionDays);
+    }
+
+    if (result.tmp || result.legacy || result.evidence) {
+        console.log(`[Retention] Removed ${result.tmp} temp, ${result.legacy} legacy and ${result.evidence} stored file(s)`);
+    }
+    return result;
+};
+
+// Run a pass now and then on the configured interval
+const start = () => {
+    if (timer) return;
+    const run = () => runCleanup().catch(err => console.error('[Retention] Cleanup failed:', err.message));
+    run();
+    timer = setInterval(run, policy().intervalMs);
+    timer.unref();
+};
+
+const stop = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    policy,
+    runCleanup,
+    start,
+    stop
+};
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+
+// A throwaway key file, so the test never touches server/keys
+const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dg-keys-'));
+process.env.EVIDENCE_KEY_FILE = path.join(keyDir, 'keyring.json');
+
+const Case = require('../models/Case');
+const { encrypt } = require('../utils/fieldCrypto');
+
+const FORGED = 'enc:v1:K-FAKE:AAAA:AAAA:AAAA';
+
+test.after(() => fs.rmSync(keyDir, { recursive: true, force: true }));
+
+test('a client value shaped like a ciphertext is encrypted like any other', () => {
+    const doc = new Case({ caseId: 'CS-TEST', statement: FORGED });
+    const stored = doc.get('statement', null, { getters: false });
+
+    assert.notStrictEqual(stored, FORGED);
+    assert.match(stored, /^enc:v1:K-\d{8}-[0-9A-F]{4}:/);
+    assert.strictEqual(doc.toJSON().statement, FORGED);
+});
+
+test('a value set on a loaded case is encrypted too', () => {
+    const doc = Case.hydrate({ caseId: 'CS-TEST', statement: encrypt('original', 'statement') });
+    doc.set({ statement: FORGED });
+
+    assert.strictEqual(doc.toJSON().statement, FORGED);
+});
+
+test('a ciphertext loaded from the database is decrypted, not encrypted again', () => {
+    const doc = Case.hydrate({ caseId: 'CS-TEST', statement: encrypt('what happened', 'statement') });
+
+    assert.strictEqual(doc.statement, 'what happened');
+    assert.strictEqual(doc.toJSON().statement, 'what happened');
+});
@@ -0,0 +1,37 @@
+const Case = require('../models/Case');
+
+// What a signed-in user may see. Advocates and admins see every case; a
+// victim sees the cases they own, and evidence that is in one of those cases
+// or that they uploaded themselves.
+const STAFF_ROLES = ['advocate', 'admin'];
+
+const isStaff = (user) => STAFF_ROLES.includes(user.role);
+
+// Query filter limiting Case lookups to the user's cases
+const caseScope = (user) => (isStaff(user) ? {} : { ownerId: user.userId });
+
+const findCaseFor = (user, caseId) => Case.findOne({ caseId, ...caseScope(user) });
+
+const canAccessCase = async (user, caseId) => Boolean(await Case.exists({ caseId, ...caseScope(user) }));
+
+const ownsEntry = (user, caseIds, entry) => (entry.actor && entry.actor.userId === user.userId) ||
+    (entry.caseId && caseIds.includes(entry.caseId));
+
+// The evidence record as the user may see it, or null. Victims only get their
+// own cases and custody entries, since one file can be shared between cases.
+const evidenceFor = async (user, evidence) => {
+    if (isStaff(user)) return evidence.toJSON();
+
+    const caseIds = await Case.distinct('caseId', { ownerId: user.userId, caseId: { $in: evidence.caseIds } });
+    const custody = evidence.custody.filter(entry => ownsEntry(user, caseIds, entry));
+    if (caseIds.length === 0 && custody.length === 0) return null;
+    return { ...evidence.toJSON(), caseIds, custody: custody.map(entry => entry.toJSON()) };
+};
+
+module.exports = {
+    isStaff,
+    caseScope,
+    findCaseFor,
+    canAccessCase,
+    evidenceFor
+};
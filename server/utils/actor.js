@@ -0,0 +1,15 @@
+// Who performed an action, as recorded in custody logs
+const actorFromRequest = (req) => {
+    let ip = req.ip || (req.connection && req.connection.remoteAddress) || 'unknown';
+    if (ip.substr(0, 7) === '::ffff:') {
+        ip = ip.substr(7);
+    }
+
+    return {
+        ...(req.user ? { userId: req.user.userId, role: req.user.role } : {}),
+        ip,
+        userAgent: req.get('User-Agent') || 'Unknown'
+    };
+};
+
+module.exports = { actorFromRequest };
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const keyring = require('../services/keyring');
+
+// Field-level encryption for sensitive strings stored in Mongo. A value is
+// stored as enc:v1:<key id>:<iv>:<tag>:<ciphertext> (AES-256-GCM, base64
+// parts) and bound to its field name, so a ciphertext copied into another
+// field does not decrypt. Values written before encryption was introduced
+// are returned as they are until they are saved again. encrypt() always
+// encrypts, even input that already looks like a ciphertext: a client could
+// otherwise store a forged one that no key decrypts.
+const PREFIX = 'enc:v1:';
+const PURPOSE = 'case-fields';
+const CIPHER = 'aes-256-gcm';
+const ENCRYPTED_PATTERN = /^enc:v1:([\w-]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]*)$/;
+
+const isEncrypted = (value) => typeof value === 'string' && ENCRYPTED_PATTERN.test(value);
+
+const encrypt = (value, field) => {
+    if (value === null || value === undefined || value === '') return value;
+    const kid = keyring.activeKeyId();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, keyring.deriveKey(kid, PURPOSE), iv);
+    cipher.setAAD(Buffer.from(field));
+    const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return PREFIX + [kid, iv, cipher.getAuthTag(), encrypted]
+        .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+        .join(':');
+};
+
+const decrypt = (value, field) => {
+    if (!isEncrypted(value)) return value;
+    const [, kid, iv, tag, encrypted] = value.match(ENCRYPTED_PATTERN);
+    const decipher = crypto.createDecipheriv(CIPHER, keyring.deriveKey(kid, PURPOSE), Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(field));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Key ID of an encrypted value, or null for plaintext
+const keyIdOf = (value) => (isEncrypted(value) ? value.match(ENCRYPTED_PATTERN)[1] : null);
+
+module.exports = {
+    isEncrypted,
+    encrypt,
+    decrypt,
+    keyIdOf
+};
@@ -0,0 +1,64 @@
+const fs = require('fs');
+
+// Identify an upload from its leading bytes instead of trusting the name or
+// Content-Type the client sent. Only formats the ML service can decode pass.
+const HEADER_BYTES = 64;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const EBML_SIGNATURE = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+
+const ascii = (buf, start, end) => buf.toString('latin1', start, end);
+
+// ISO base media files (MP4, MOV, 3GP) name their brand after "ftyp"
+const ftypType = (buf) => {
+    if (ascii(buf, 4, 8) !== 'ftyp') return null;
+    const brand = ascii(buf, 8, 12);
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (brand.startsWith('3g')) return 'video/3gpp';
+    // HEIC/AVIF stills share the container but are not supported
+    if (['heic', 'heix', 'mif1', 'msf1', 'avif'].includes(brand)) return null;
+    return 'video/mp4';
+};
+
+const SIGNATURES = [
+    { mimeType: 'image/jpeg', test: buf => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+    { mimeType: 'image/png', test: buf => buf.subarray(0, 8).equals(PNG_SIGNATURE) },
+    { mimeType: 'image/gif', test: buf => ['GIF87a', 'GIF89a'].includes(ascii(buf, 0, 6)) },
+    { mimeType: 'image/webp', test: buf => ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 12) === 'WEBP' },
+    { mimeType: 'image/bmp', test: buf => ascii(buf, 0, 2) === 'BM' && buf.length >= 26 },
+    { mimeType: 'video/x-msvideo', test: buf => ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 12) === 'AVI ' },
+    {
+        // Matroska and WebM share the EBML header; WebM names itself in the DocType
+        mimeType: buf => (buf.includes('webm', 0, 'latin1') ? 'video/webm' : 'video/x-matroska'),
+        test: buf => buf.subarray(0, 4).equals(EBML_SIGNATURE)
+    },
+    { mimeType: ftypType, test: buf => ftypType(buf) !== null }
+];
+
+// Human-readable list for error messages
+const ALLOWED_FORMATS = 'JPEG, PNG, GIF, WebP, BMP, MP4, MOV, 3GP, WebM, MKV, AVI';
+
+const sniffBuffer = (buf) => {
+    const match = SIGNATURES.find(signature => signature.test(buf));
+    if (!match) return null;
+    const mimeType = typeof match.mimeType === 'function' ? match.mimeType(buf) : match.mimeType;
+    return { mimeType, kind: mimeType.split('/')[0] };
+};
+
+// { mimeType, kind: 'image' | 'video' } of a file on disk, or null if it is not a supported format
+const sniffFile = async (filePath) => {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buf = Buffer.alloc(HEADER_BYTES);
+        const { bytesRead } = await handle.read(buf, 0, HEADER_BYTES, 0);
+        return sniffBuffer(buf.subarray(0, bytesRead));
+    } finally {
+        await handle.close();
+    }
+};
+
+module.exports = {
+    ALLOWED_FORMATS,
+    sniffBuffer,
+    sniffFile
+};
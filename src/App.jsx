@@ -1,30 +1,60 @@
 import React, { useState, useEffect } from 'react';
 import { Routes, Route, useNavigate, useLocation } from 'react-router-dom';
-import { ShieldAlert } from 'lucide-react';
+import { ShieldAlert, LogOut } from 'lucide-react';
 import EvidenceForm from './components/EvidenceForm';
 import LegalOptions from './components/LegalOptions';
 import ForensicResults from './components/ForensicResults';
+import LoginScreen from './components/LoginScreen';
+import { createCase, updateCase, uploadEvidence, fetchCase, withLocalPreviews } from './utils/caseApi';
+import { fetchCurrentUser, logout } from './utils/authApi';
 import './App.css';
 
 function App() {
-  const [step, setStep] = useState(1);
   const [caseData, setCaseData] = useState(null);
+  // undefined while the session is being checked, null when signed out
+  const [user, setUser] = useState(undefined);
   const navigate = useNavigate();
   const location = useLocation();
 
   useEffect(() => {
-    const handlePopState = (event) => {
-      setStep(1);
-    };
-
-    window.addEventListener('popstate', handlePopState);
-    return () => window.removeEventListener('popstate', handlePopState);
+    fetchCurrentUser()
+      .then(setUser)
+      .catch(err => {
+        console.error("Session check failed:", err);
+        setUser(null);
+      });
   }, []);
 
-  const handleEvidenceSubmit = (data) => {
-    setCaseData(data);
-    setStep(2);
-    window.history.pushState({ step: 2 }, '', '#action');
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (error) {
+      console.error("Logout failed:", error);
+    }
+    setUser(null);
+    setCaseData(null);
+    navigate('/');
+  };
+
+  const step = location.pathname.startsWith('/cases/') ? 2 : 1;
+
+  const handleEvidenceSubmit = async (data) => {
+    try {
+      const saved = data.id ? await updateCase(data.id, data) : await createCase(data);
+      const withHashes = await uploadEvidence(saved.id, data);
+      const stored = await fetchCase(saved.id);
+      // Keep the in-memory evidence files and previews alongside the stored case details
+      setCaseData(withLocalPreviews({ ...withHashes, ...stored }, data));
+      navigate(`/cases/${saved.id}`);
+    } catch (error) {
+      console.error("Case Save Failed:", error);
+      alert("Failed to save the case file. Please check that the server is running.\nError: " + error.message);
+    }
+  };
+
+  const handleBack = (loadedCase) => {
+    setCaseData(loadedCase);
+    navigate('/');
   };
 
   const isVerifyPage = location.pathname === '/verify';
@@ -53,33 +83,51 @@ function App() {
             </div>
           </div>
           
-          {!isVerifyPage && (
+          {user && !isVerifyPage && (
             <div className="steps-container mono-text">
               <span className={`step ${step === 1 ? 'active' : ''}`}>01 // EVIDENCE</span>
               <div className="step-divider"></div>
               <span className={`step ${step === 2 ? 'active' : ''}`}>02 // ACTION</span>
             </div>
           )}
+
+          {user && (
+            <div className="mono-text" style={{ display: 'flex', alignItems: 'center', gap: '12px', fontSize: '0.85rem' }}>
+              <span style={{ color: 'var(--text-muted)' }}>
+                {user.name || user.email} // {user.role.toUpperCase()}
+              </span>
+              <button
+                onClick={handleLogout}
+                className="btn-back"
+                style={{ padding: '6px 12px', marginBottom: 0 }}
+              >
+                <LogOut size={16} /> Logout
+              </button>
+            </div>
+          )}
         </div>
       </nav>
 
       {/* Main Content */}
       <main className="main-content">
         <div className="animate-fade-in">
-          <Routes>
-            <Route path="/" element={
-              <>
-                {step === 1 && (
-                  <EvidenceForm onSubmit={handleEvidenceSubmit} initialData={caseData} />
-                )}
-                
-                {step === 2 && caseData && (
-                  <LegalOptions caseData={caseData} onBack={() => setStep(1)} />
-                )}
-              </>
-            } />
-            <Route path="/verify" element={<ForensicResults />} />
-          </Routes>
+          {isVerifyPage ? (
+            // Public: whoever receives an exported report can verify it without an account
+            <ForensicResults />
+          ) : user === undefined ? (
+            <div className="loading-screen">Checking your session...</div>
+          ) : user === null ? (
+            <LoginScreen onLogin={setUser} />
+          ) : (
+            <Routes>
+              <Route path="/" element={
+                <EvidenceForm onSubmit={handleEvidenceSubmit} initialData={caseData} />
+              } />
+              <Route path="/cases/:caseId" element={
+                <LegalOptions caseData={caseData} onBack={handleBack} user={user} />
+              } />
+            </Routes>
+          )}
         </div>
       </main>
 
@@ -1,6 +1,9 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Upload, User, Monitor, FileText, ArrowRight, Shield, RefreshCw, X, PlayCircle, Instagram, Facebook, Twitter, MessageCircle, Youtube, Globe, Ghost, Cat, ChevronDown, Phone, Scan } from 'lucide-react';
 import DigitalTrace from './DigitalTrace';
+import { submitBatch, submitComparison, submitReview, waitForJob, fetchModels } from '../utils/analysisApi';
+import { metadataRows } from '../utils/metadataReport';
+import { verdictOf, scoreVerdict } from '../utils/verdicts';
 
 const PlatformIcon = ({ name }) => {
   switch(name) {
@@ -89,6 +92,231 @@ const CustomSelect = ({ value, onChange, options }) => {
   );
 };
 
+// Red for fake, amber for inconclusive, green for real
+const VERDICT_COLORS = { fake: '#EF4444', inconclusive: '#F59E0B', real: '#10B981' };
+const verdictColor = (res) => VERDICT_COLORS[verdictOf(res)];
+
+const fakePercent = (res) => ((res.fakeProbability ?? (res.isFake ? res.confidence / 100 : 1 - res.confidence / 100)) * 100).toFixed(1);
+
+// Evidence thumbnail with a box drawn around every face the detector scored,
+// optionally under the Grad-CAM heatmap of the regions that drove the score
+const EvidencePreview = ({ src, faces = [], heatmap, showHeatmap }) => (
+  <div style={{ position: 'relative', marginTop: '10px', maxWidth: '260px', borderRadius: '6px', overflow: 'hidden' }}>
+    <img src={src} alt="Analyzed evidence" style={{ width: '100%', display: 'block' }} />
+    {showHeatmap && heatmap && (
+      <img src={heatmap.overlay} alt="Explainability heatmap" style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', mixBlendMode: 'multiply', opacity: 0.85 }} />
+    )}
+    {faces.map((face, i) => {
+      const color = verdictColor(face);
+      return (
+        <div
+          key={i}
+          title={`Face ${i + 1}: ${verdictOf(face)} (${fakePercent(face)}% estimated probability of manipulation)`}
+          style={{
+            position: 'absolute',
+            left: `${face.box.x * 100}%`,
+            top: `${face.box.y * 100}%`,
+            width: `${face.box.width * 100}%`,
+            height: `${face.box.height * 100}%`,
+            border: `2px solid ${color}`,
+            borderRadius: '3px',
+            boxShadow: '0 0 0 1px rgba(0,0,0,0.4)'
+          }}
+        >
+          <span style={{ position: 'absolute', top: '-1px', left: '-1px', transform: 'translateY(-100%)', background: color, color: 'white', fontSize: '0.65rem', padding: '1px 4px', borderRadius: '3px 3px 0 0', whiteSpace: 'nowrap' }}>
+            {(face.fakeProbability * 100).toFixed(0)}% fake
+          </span>
+        </div>
+      );
+    })}
+  </div>
+);
+
+// Per-frame fake probability bars, colored by the model's decision band, plus
+// the most suspicious frames of an analyzed video
+const VideoTimeline = ({ video, decision }) => (
+  <div style={{ marginTop: '10px' }}>
+    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '4px' }}>
+      <span>Frame timeline ({video.framesSampled} frames sampled)</span>
+      <span>{Math.round(video.fakeFrameRatio * 100)}% of frames flagged</span>
+    </div>
+    <div style={{ display: 'flex', alignItems: 'flex-end', gap: '1px', height: '40px', background: 'rgba(255,255,255,0.05)', borderRadius: '4px', padding: '2px' }}>
+      {video.timeline.map((point) => (
+        <div
+          key={point.frame}
+          title={`${point.time.toFixed(1)}s: ${(point.fakeProbability * 100).toFixed(0)}% fake`}
+          style={{
+            flex: 1,
+            height: `${Math.max(point.fakeProbability * 100, 4)}%`,
+            background: VERDICT_COLORS[scoreVerdict(point.fakeProbability, decision)],
+            borderRadius: '1px'
+          }}
+        />
+      ))}
+    </div>
+    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.7rem', color: 'var(--text-muted)', marginTop: '2px' }}>
+      <span>0s</span>
+      <span>{video.durationSeconds.toFixed(1)}s</span>
+    </div>
+    {video.suspiciousFrames.length > 0 && (
+      <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+        {video.suspiciousFrames.map((frame) => (
+          <div key={frame.frame} style={{ flex: 1, maxWidth: '120px', fontSize: '0.7rem', color: 'var(--text-muted)', textAlign: 'center' }}>
+            <img src={frame.thumbnail} alt={`Frame at ${frame.time}s`} style={{ width: '100%', borderRadius: '4px', border: '1px solid rgba(239, 68, 68, 0.5)' }} />
+            {frame.time.toFixed(1)}s · {(frame.fakeProbability * 100).toFixed(0)}%
+          </div>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+// EXIF / C2PA / PNG-text findings for one evidence file, collapsed by default
+const MetadataReport = ({ metadata }) => {
+  const rows = metadataRows(metadata);
+  const flagged = rows.filter(row => row.flag).length;
+  return (
+    <details style={{ marginTop: '8px', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+      <summary style={{ cursor: 'pointer' }}>
+        File metadata{flagged > 0 && <span style={{ color: '#EF4444' }}> ({flagged} finding{flagged === 1 ? '' : 's'})</span>}
+      </summary>
+      <div style={{ display: 'grid', gridTemplateColumns: 'max-content 1fr', gap: '2px 12px', marginTop: '6px' }}>
+        {rows.map(row => (
+          <React.Fragment key={row.label}>
+            <span>{row.label}</span>
+            <span style={{ color: row.flag ? '#EF4444' : 'var(--text-main)', wordBreak: 'break-word' }}>{row.value}</span>
+          </React.Fragment>
+        ))}
+      </div>
+    </details>
+  );
+};
+
+// Held-out metrics of the model behind a verdict, from its latest evaluation report
+const ModelQuality = ({ model }) => {
+  const evaluation = model.evaluation;
+  const pct = (value) => (value == null ? 'n/a' : `${(value * 100).toFixed(0)}%`);
+  return (
+    <div style={{ marginTop: '6px', fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+      {model.name} v{model.version}:{' '}
+      {evaluation ? (
+        <>
+          precision {pct(evaluation.precision)}, recall {pct(evaluation.recall)}, ROC-AUC {evaluation.rocAuc?.toFixed(2) ?? 'n/a'}
+          {' '}on {evaluation.samples} held-out images
+          {evaluation.stale && <span style={{ color: '#F59E0B' }}> (evaluated on older weights)</span>}
+        </>
+      ) : (
+        <span style={{ color: '#F59E0B' }}>not yet evaluated</span>
+      )}
+    </div>
+  );
+};
+
+// How each registered model voted when the scan ran in ensemble mode
+const EnsembleVotes = ({ votes }) => (
+  <div style={{ marginTop: '8px', display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+    {votes.map(vote => (
+      <div key={vote.modelId} style={{ display: 'flex', justifyContent: 'space-between' }}>
+        <span>{vote.modelId} v{vote.version}{vote.targets?.length > 0 && ` (${vote.targets.join(', ')})`}</span>
+        <span style={{ color: verdictColor(vote) }}>
+          {vote.label} - {(vote.fakeProbability * 100).toFixed(1)}% fake{!vote.calibrated && ' (uncalibrated)'}
+        </span>
+      </div>
+    ))}
+  </div>
+);
+
+// Original-vs-suspect similarity, with the changed regions drawn over the original
+const ComparisonResult = ({ comparison }) => (
+  <div style={{ padding: '12px', background: 'rgba(255,255,255,0.05)', borderRadius: '8px', fontSize: '0.85rem' }}>
+    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+      <span style={{ color: 'var(--text-main)', fontWeight: 500 }}>
+        {comparison.original.fileName} vs {comparison.suspect.fileName}
+      </span>
+      {comparison.loading ? (
+        <span style={{ display: 'flex', alignItems: 'center', gap: '6px', color: 'var(--text-muted)' }}>
+          <RefreshCw className="spin" size={14} /> Comparing...
+        </span>
+      ) : comparison.error ? (
+        <span style={{ color: '#EF4444' }}>Error</span>
+      ) : (
+        <span style={{ color: comparison.likelyDerived ? '#EF4444' : '#10B981', fontWeight: 600 }}>
+          {comparison.likelyDerived ? 'Derived from original' : 'No clear match'}
+        </span>
+      )}
+    </div>
+    {comparison.error && <div style={{ fontSize: '0.8rem', color: '#EF4444' }}>{comparison.error}</div>}
+    {!comparison.loading && !comparison.error && (
+      <>
+        <div style={{ display: 'flex', gap: '16px', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+          <span>Structural similarity: {(comparison.ssim * 100).toFixed(1)}%</span>
+          <span>Hash distance: {comparison.phash.distance}/64</span>
+          <span>Changed area: {(comparison.changedRatio * 100).toFixed(1)}%</span>
+        </div>
+        {comparison.preview && (
+          <div style={{ position: 'relative', marginTop: '10px', maxWidth: '260px', borderRadius: '6px', overflow: 'hidden' }}>
+            <img src={comparison.preview} alt="Original evidence" style={{ width: '100%', display: 'block' }} />
+            <img src={comparison.diffMask} alt="Regions changed in the suspect" style={{ position: 'absolute', inset: 0, width: '100%', height: '100%' }} />
+          </div>
+        )}
+      </>
+    )}
+  </div>
+);
+
+// Lets a reviewer flag a wrong verdict; the file and corrected label go to the review queue
+const MisclassifiedReport = ({ result, caseId }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [label, setLabel] = useState(result.verdict === 'fake' ? 'real' : 'fake');
+  const [note, setNote] = useState('');
+  const [state, setState] = useState({});
+
+  const send = async () => {
+    setState({ sending: true });
+    try {
+      const review = await submitReview(result, label, caseId, note || undefined);
+      setState({ reviewId: review.reviewId });
+    } catch (error) {
+      setState({ error: error.message || 'Connection Error' });
+    }
+  };
+
+  const linkStyle = { background: 'transparent', border: 'none', padding: 0, color: 'var(--text-muted)', cursor: 'pointer', fontSize: '0.75rem', textDecoration: 'underline' };
+
+  if (state.reviewId) {
+    return <div style={{ marginTop: '6px', fontSize: '0.75rem', color: '#10B981' }}>Sent for review ({state.reviewId})</div>;
+  }
+  if (!isOpen) {
+    return (
+      <div style={{ marginTop: '6px' }}>
+        <button type="button" onClick={() => setIsOpen(true)} style={linkStyle}>Mark as misclassified</button>
+      </div>
+    );
+  }
+  return (
+    <div style={{ marginTop: '8px', display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+      <span>Actually</span>
+      <select className="glass-input" value={label} onChange={e => setLabel(e.target.value)} style={{ padding: '2px 8px' }}>
+        <option value="real">Real</option>
+        <option value="fake">Fake</option>
+      </select>
+      <input
+        type="text"
+        className="glass-input"
+        placeholder="Note for the reviewer (optional)"
+        value={note}
+        onChange={e => setNote(e.target.value)}
+        style={{ flex: 1, minWidth: '160px', padding: '2px 8px' }}
+      />
+      <button type="button" onClick={send} disabled={state.sending} className="btn-secondary" style={{ padding: '2px 10px' }}>
+        {state.sending ? 'Sending...' : 'Submit'}
+      </button>
+      <button type="button" onClick={() => setIsOpen(false)} style={linkStyle}>Cancel</button>
+      {state.error && <span style={{ color: '#EF4444', width: '100%' }}>{state.error}</span>}
+    </div>
+  );
+};
+
 const EvidenceForm = ({ onSubmit, initialData }) => {
   const [formData, setFormData] = useState(initialData || {
     offender: '',
@@ -102,8 +330,26 @@ const EvidenceForm = ({ onSubmit, initialData }) => {
     incidentType: 'extortion' // 'extortion', 'fakes', or 'trace'
   });
 
-  const [scanResults, setScanResults] = useState([]);
+  const [scanResults, setScanResults] = useState(initialData?.scanResults || []);
   const [isScanning, setIsScanning] = useState(false);
+  const [explain, setExplain] = useState(true);
+  const [heatmapsShown, setHeatmapsShown] = useState({});
+  const [models, setModels] = useState(null);
+  const [model, setModel] = useState('');
+
+  const modelFor = (res) => models?.models.find(m => m.id === (res.modelId || models.default));
+
+  useEffect(() => {
+    fetchModels().then(setModels).catch(err => console.error('Could not load detector models:', err));
+  }, []);
+
+  const [comparisons, setComparisons] = useState(initialData?.comparisons || []);
+  const [comparePair, setComparePair] = useState({ original: 0, suspect: 0 });
+  const [isComparing, setIsComparing] = useState(false);
+
+  const toggleHeatmap = (idx) => {
+    setHeatmapsShown(prev => ({ ...prev, [idx]: !prev[idx] }));
+  };
 
   const handleScan = async () => {
     const allImages = [
@@ -122,62 +368,59 @@ const EvidenceForm = ({ onSubmit, initialData }) => {
     const initialResults = allImages.map(img => ({
         fileName: img.name,
         category: img.category,
+        preview: img.type?.startsWith('image') ? img.url : undefined,
         loading: true
     }));
     setScanResults(initialResults);
+    setHeatmapsShown({});
 
     try {
-        const promises = allImages.map(async (fileObj, index) => {
-            const uploadData = new FormData();
-            uploadData.append('image', fileObj.file);
-
-            try {
-                const response = await fetch('/api/v1/analyze', {
-                    method: 'POST',
-                    body: uploadData
-                });
-                const data = await response.json();
-                
-                setScanResults(prev => {
-                    const newResults = [...prev];
-                    if (data.success) {
-                        newResults[index] = { 
-                            ...newResults[index], 
-                            ...data.result, 
-                            loading: false 
-                        };
-                    } else {
-                        newResults[index] = { 
-                            ...newResults[index], 
-                            error: data.error, 
-                            loading: false 
-                        };
-                    }
-                    return newResults;
-                });
-            } catch (err) {
-                 setScanResults(prev => {
-                    const newResults = [...prev];
-                    newResults[index] = { 
-                        ...newResults[index], 
-                        error: 'Connection Error', 
-                        loading: false 
-                    };
-                    return newResults;
-                });
-            }
+        // One request for the whole set; the server answers with a single result document keyed by file hash
+        const { jobId, files } = await submitBatch(allImages, formData.id, { explain, model });
+        const batch = await waitForJob(jobId, status => {
+            setScanResults(prev => prev.map(res => ({ ...res, status })));
         });
 
-        await Promise.all(promises);
-
+        setScanResults(initialResults.map((res, index) => {
+            const sha256 = files[index].sha256;
+            const { files: _files, ...result } = batch.results[sha256];
+            return { ...res, ...result, loading: false };
+        }));
     } catch (error) {
         console.error(error);
-        alert("Error initiating scan sequence.");
+        setScanResults(initialResults.map(res => ({ ...res, error: error.message || 'Connection Error', loading: false })));
     } finally {
         setIsScanning(false);
     }
   };
 
+  const handleCompare = async () => {
+    const original = formData.originalImage?.[comparePair.original];
+    const suspect = formData.deepfakeImage?.[comparePair.suspect];
+    if (!original?.file || !suspect?.file) return;
+
+    const pending = {
+        original: { fileName: original.name },
+        suspect: { fileName: suspect.name },
+        preview: original.url,
+        loading: true
+    };
+    setIsComparing(true);
+    setComparisons(prev => [pending, ...prev]);
+
+    const settle = (entry) => setComparisons(prev => prev.map(c => (c === pending ? entry : c)));
+    try {
+        const { jobId } = await submitComparison(original, suspect, formData.id);
+        const result = await waitForJob(jobId);
+        settle({ ...result, preview: original.url });
+    } catch (error) {
+        console.error(error);
+        settle({ ...pending, loading: false, error: error.message || 'Connection Error' });
+    } finally {
+        setIsComparing(false);
+    }
+  };
+
   const handleReset = () => {
     setScanResults([]);
     setIsScanning(false);
@@ -242,6 +485,7 @@ const EvidenceForm = ({ onSubmit, initialData }) => {
       ...prev,
       [field]: prev[field].filter((_, i) => i !== index)
     }));
+    setComparePair({ original: 0, suspect: 0 });
   };
 
   const handleSubmit = (e) => {
@@ -253,14 +497,11 @@ const EvidenceForm = ({ onSubmit, initialData }) => {
       return;
     }
     
-    // Create a unique ID
-    const caseId = 'CS-' + Math.random().toString(36).substr(2, 9).toUpperCase();
-    
+    // The case ID is assigned by the server when the case is first saved
     const submissionData = {
       ...formData,
       scanResults,
-      id: caseId,
-      timestamp: new Date().toISOString()
+      comparisons: comparisons.filter(c => !c.loading && !c.error)
     };
     onSubmit(submissionData);
   };
@@ -501,6 +742,48 @@ const EvidenceForm = ({ onSubmit, initialData }) => {
                 </div>
               </div>
             </div>
+
+            {/* Similarity check: was the suspect made from the victim's genuine photo? */}
+            {formData.originalImage?.some(f => f.type.startsWith('image')) && formData.deepfakeImage?.some(f => f.type.startsWith('image')) && (
+              <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginTop: '12px', flexWrap: 'wrap' }}>
+                {formData.originalImage.length > 1 && (
+                  <select
+                    className="glass-input"
+                    value={comparePair.original}
+                    onChange={e => setComparePair({ ...comparePair, original: Number(e.target.value) })}
+                    style={{ flex: 1, padding: '6px 10px' }}
+                  >
+                    {formData.originalImage.map((f, i) => <option key={i} value={i} disabled={!f.type.startsWith('image')}>{f.name}</option>)}
+                  </select>
+                )}
+                {formData.deepfakeImage.length > 1 && (
+                  <select
+                    className="glass-input"
+                    value={comparePair.suspect}
+                    onChange={e => setComparePair({ ...comparePair, suspect: Number(e.target.value) })}
+                    style={{ flex: 1, padding: '6px 10px' }}
+                  >
+                    {formData.deepfakeImage.map((f, i) => <option key={i} value={i} disabled={!f.type.startsWith('image')}>{f.name}</option>)}
+                  </select>
+                )}
+                <button
+                  type="button"
+                  onClick={handleCompare}
+                  disabled={isComparing || !formData.originalImage[comparePair.original]?.file || !formData.deepfakeImage[comparePair.suspect]?.file}
+                  className="btn-secondary"
+                  style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '6px 14px' }}
+                >
+                  {isComparing ? <RefreshCw className="spin" size={16} /> : <Scan size={16} />}
+                  Compare Original vs Suspect
+                </button>
+              </div>
+            )}
+
+            {comparisons.length > 0 && (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', marginTop: '12px' }}>
+                {comparisons.map((comparison, idx) => <ComparisonResult key={idx} comparison={comparison} />)}
+              </div>
+            )}
           </div>
           </div>
           
@@ -525,6 +808,35 @@ const EvidenceForm = ({ onSubmit, initialData }) => {
                     {isScanning ? 'Analyzing Evidence...' : 'Scan All Evidence'}
                 </button>
 
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.85rem', color: 'var(--text-muted)', cursor: 'pointer', whiteSpace: 'nowrap' }}>
+                    <input
+                        type="checkbox"
+                        checked={explain}
+                        onChange={e => setExplain(e.target.checked)}
+                        disabled={isScanning}
+                    />
+                    Explain results
+                </label>
+
+                {models && (models.models.length > 1 || models.ensemble.members.length > 1) && (
+                    <select
+                        className="glass-input"
+                        value={model}
+                        onChange={e => setModel(e.target.value)}
+                        disabled={isScanning}
+                        style={{ padding: '0 10px', maxWidth: '200px' }}
+                    >
+                        {models.models.map(m => (
+                            <option key={m.id} value={m.default ? '' : m.id} disabled={!m.available}>
+                                {m.name} v{m.version}{m.default ? ' (default)' : ''}
+                            </option>
+                        ))}
+                        {models.ensemble.members.length > 1 && (
+                            <option value="ensemble">Ensemble ({models.ensemble.members.length} models)</option>
+                        )}
+                    </select>
+                )}
+
                 {scanResults.length > 0 && (
                     <button
                         type="button"
@@ -551,17 +863,21 @@ const EvidenceForm = ({ onSubmit, initialData }) => {
                                 {res.loading ? (
                                     <div style={{ display: 'flex', alignItems: 'center', gap: '6px', color: 'var(--text-muted)' }}>
                                         <RefreshCw className="spin" size={14} />
-                                        <span>Analyzing...</span>
+                                        <span>{res.status === 'queued' ? 'Queued...' : 'Analyzing...'}</span>
                                     </div>
                                 ) : res.error ? (
                                     <span style={{ color: '#EF4444' }}>Error</span>
                                 ) : (
                                     <span style={{ 
-                                        color: res.isFake ? '#EF4444' : '#10B981',
+                                        color: verdictColor(res),
                                         fontWeight: 600,
-                                        alignSelf: 'center'
+                                        alignSelf: 'center',
+                                        textAlign: 'right'
                                     }}>
-                                        {res.label} ({res.confidence.toFixed(1)}%)
+                                        {res.label}
+                                        <span style={{ display: 'block', fontSize: '0.75rem', fontWeight: 400, color: 'var(--text-muted)' }}>
+                                            {fakePercent(res)}% estimated probability of manipulation{res.calibrated === false && ' (uncalibrated)'}
+                                        </span>
                                     </span>
                                 )}
                             </div>
@@ -570,18 +886,42 @@ const EvidenceForm = ({ onSubmit, initialData }) => {
                                 <div style={{ height: '6px', background: 'rgba(255,255,255,0.1)', borderRadius: '3px', overflow: 'hidden' }}>
                                     <div style={{ 
                                         height: '100%', 
-                                        width: `${res.confidence}%`, 
-                                        background: res.isFake ? '#EF4444' : '#10B981',
+                                        width: `${fakePercent(res)}%`, 
+                                        background: verdictColor(res),
                                         transition: 'width 1s ease-out'
                                     }} />
                                 </div>
                             )}
+                            {!res.loading && !res.error && res.preview && (res.faces?.length > 0 || res.heatmap) && (
+                                <>
+                                    <EvidencePreview src={res.preview} faces={res.faces} heatmap={res.heatmap} showHeatmap={heatmapsShown[idx]} />
+                                    <div style={{ display: 'flex', alignItems: 'center', gap: '12px', fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '4px' }}>
+                                        {res.faces?.length > 0 && (
+                                            <span>{res.faces.length} face{res.faces.length === 1 ? '' : 's'} analyzed, {res.faces.filter(f => f.isFake).length} flagged</span>
+                                        )}
+                                        {res.heatmap && (
+                                            <button
+                                                type="button"
+                                                onClick={() => toggleHeatmap(idx)}
+                                                style={{ background: 'transparent', border: '1px solid var(--border-color)', borderRadius: '12px', padding: '2px 10px', color: 'var(--text-muted)', cursor: 'pointer', fontSize: '0.75rem' }}
+                                            >
+                                                {heatmapsShown[idx] ? 'Hide heatmap' : 'Show heatmap'}
+                                            </button>
+                                        )}
+                                    </div>
+                                </>
+                            )}
+                            {!res.loading && !res.error && res.video && <VideoTimeline video={res.video} decision={res.decision} />}
+                            {!res.loading && !res.error && res.votes && <EnsembleVotes votes={res.votes} />}
+                            {!res.loading && !res.error && !res.votes && modelFor(res) && <ModelQuality model={modelFor(res)} />}
+                            {!res.loading && !res.error && res.metadata && <MetadataReport metadata={res.metadata} />}
+                            {!res.loading && !res.error && res.sha256 && res.mediaType !== 'video' && <MisclassifiedReport result={res} caseId={formData.id} />}
                              {res.error && <div style={{ fontSize: '0.8rem', color: '#EF4444', marginTop: '4px' }}>{res.error}</div>}
                         </div>
                     ))}
                     
                     <p style={{ marginTop: '4px', fontSize: '0.85rem', color: 'var(--text-muted)', textAlign: 'center' }}>
-                        Scan complete. Analysis based on artifact detection model.
+                        Scan complete. The bar shows the model's estimated probability of manipulation; "Inconclusive" means it falls between the model's decision cutoffs. A detector result supports, but does not prove, a complaint.
                     </p>
                 </div>
             )}
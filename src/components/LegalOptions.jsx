@@ -1,16 +1,94 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
 import { Shield, AlertTriangle, Download, ChevronRight, CheckCircle, ArrowLeft, ExternalLink, X, Loader, Globe, Search } from 'lucide-react';
 import { generateCaseFile } from '../utils/pdfGenerator';
+import { fetchCase, recordExport, fetchCaseMatches } from '../utils/caseApi';
+import { isStaff } from '../utils/authApi';
 
-const LegalOptions = ({ caseData, onBack }) => {
+// Helper to normalize URLs for matching
+const normalizeUrl = (url) => {
+  if (!url) return '';
+  return url.replace(/\/$/, '').replace(/^https?:\/\/(www\.)?/, '');
+};
+
+// Case scans need at least one original photo of the victim to match faces against
+const hasReferencePhotos = (caseData) => (
+  (caseData.evidence || []).some(ref => ref.category === 'Original' && ref.mimeType?.startsWith('image/')) ||
+  (caseData.originalImage || []).some(img => img.sha256 && img.type?.startsWith('image'))
+);
+
+// Keep one entry per image, most similar face first
+const mergeMatch = (matches, match) => [
+  ...matches.filter(m => m.image_url !== match.image_url || m.sha256 !== match.sha256),
+  match
+].sort((a, b) => b.similarity - a.similarity);
+
+// Stored matches for a case, in the shape the stream's match events use
+const loadCaseMatches = (caseId, setMatches) => {
+  if (!caseId) return;
+  fetchCaseMatches(caseId)
+    .then(data => setMatches(data.map(m => ({
+      source_url: m.sourceUrl,
+      image_url: m.imageUrl,
+      sha256: m.sha256,
+      prediction: m.prediction,
+      fake_probability: m.fakeProbability,
+      similarity: m.similarity
+    }))))
+    .catch(console.error);
+};
+
+// A fake, or a copy of a confirmed deepfake whatever the classifier made of it
+const isFlagged = (result) => result?.prediction === 'Fake' || Boolean(result?.known_bad);
+
+// Keep one entry per image, closest to a confirmed deepfake first
+const mergeReupload = (reuploads, result) => [
+  ...reuploads.filter(r => r.image_url !== result.image_url || r.sha256 !== result.sha256),
+  result
+].sort((a, b) => a.known_bad.distance - b.known_bad.distance);
+
+const toReuploads = (results) => results
+  .filter(r => r.known_bad)
+  .reduce(mergeReupload, []);
+
+// One result per website, preferring a flagged image if the site had one
+const toResultsMap = (results) => {
+  const resultsMap = {};
+  results.forEach(r => {
+    // Normalize Key from result
+    const key = normalizeUrl(r.source_url);
+    if (!resultsMap[key] || isFlagged(r)) {
+      resultsMap[key] = r;
+    }
+  });
+  return resultsMap;
+};
+
+const LegalOptions = ({ caseData: submittedCase, onBack, user }) => {
+  const { caseId } = useParams();
+  // Use the just-submitted case (with its in-memory evidence) when it matches, otherwise load it from the server
+  const [loadedCase, setLoadedCase] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const caseData = submittedCase?.id === caseId ? submittedCase : (loadedCase?.id === caseId ? loadedCase : null);
   const [downloaded, setDownloaded] = useState(false);
   const [showGuide, setShowGuide] = useState(false);
   const [showScanOverlay, setShowScanOverlay] = useState(false);
 
+  useEffect(() => {
+    if (caseData) return;
+    fetchCase(caseId)
+      .then(setLoadedCase)
+      .catch(err => {
+        console.error(err);
+        setLoadError(err.message);
+      });
+  }, [caseId, caseData]);
+
   const handleDownload = () => {
     try {
       generateCaseFile(caseData);
       setDownloaded(true);
+      recordExport(caseData.id).catch(err => console.error("Export custody log failed:", err));
     } catch (error) {
       console.error("PDF Generation Failed:", error);
       alert("Failed to generate PDF. Please try again or check console for details.\nError: " + error.message);
@@ -162,18 +240,23 @@ const LegalOptions = ({ caseData, onBack }) => {
     const [error, setError] = useState(null);
     const [scanInitiated, setScanInitiated] = useState(false);
     const [scanResults, setScanResults] = useState({});
-    const [stats, setStats] = useState({ total: 0, found: 0 });
+    const [stats, setStats] = useState({ total: 0, found: 0, sites: 0, knownBad: 0 });
+    const [run, setRun] = useState(null);
+    const [matches, setMatches] = useState([]);
+    const [reuploads, setReuploads] = useState([]);
+    // Look for this victim's face when the case has original photos, otherwise scan for any fakes
+    const scanCaseId = hasReferencePhotos(caseData) ? caseData.id : null;
 
     // Initial load
     React.useEffect(() => {
-        fetch('/api/v1/websites')
+        fetch('/api/v1/sites?enabled=true')
             .then(res => {
                 if (!res.ok) throw new Error("Failed to connect to server");
                 return res.json();
             })
             .then(data => {
                 if (data.success) {
-                    setWebsites(data.websites);
+                    setWebsites(data.data.map(site => site.url));
                     setLoading(false);
                     initiateScan();
                 } else {
@@ -187,53 +270,109 @@ const LegalOptions = ({ caseData, onBack }) => {
             });
     }, []);
 
-    // Helper to normalize URLs for matching
-    const normalizeUrl = (url) => {
-        if (!url) return '';
-        return url.replace(/\/$/, '').replace(/^https?:\/\/(www\.)?/, '');
+    const applySummary = (summary) => {
+        setStats({
+            total: summary?.total_scanned || 0,
+            found: summary?.deepfakes_found || 0,
+            sites: summary?.sites_scanned || 0,
+            knownBad: summary?.known_bad || 0
+        });
     };
 
-    // Polling for results
+    // Live progress over Server-Sent Events; falls back to polling if the stream can't be used
+    const [streamFailed, setStreamFailed] = useState(typeof EventSource === 'undefined');
+    const runId = run?.runId;
+
+    React.useEffect(() => {
+        if (loading || error || !runId || streamFailed) return;
+
+        const source = new EventSource(`/api/v1/scans/${runId}/events`);
+        const on = (type, handler) => source.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+
+        on('snapshot', (data) => {
+            setRun(data.run);
+            loadCaseMatches(scanCaseId, setMatches);
+            setScanResults(toResultsMap(data.results));
+            setReuploads(toReuploads(data.results));
+            applySummary(data.summary);
+        });
+        on('image', (data) => {
+            const key = normalizeUrl(data.result.source_url);
+            setScanResults(prev => (
+                isFlagged(prev[key]) && !isFlagged(data.result)
+                    ? prev
+                    : { ...prev, [key]: data.result }
+            ));
+            applySummary(data.summary);
+        });
+        on('match', (data) => setMatches(prev => mergeMatch(prev, data.result)));
+        on('known_bad', (data) => setReuploads(prev => mergeReupload(prev, data.result)));
+        ['started', 'site_done'].forEach(type => on(type, (data) => applySummary(data.summary)));
+        on('complete', (data) => {
+            applySummary(data.summary);
+            setRun(prev => ({ ...prev, status: data.status, error: data.error }));
+            source.close();
+        });
+        source.onerror = () => {
+            // EventSource retries on its own unless the server refused the stream
+            if (source.readyState === EventSource.CLOSED) setStreamFailed(true);
+        };
+
+        return () => source.close();
+    }, [loading, error, runId, streamFailed, scanCaseId]);
+
+    // Polling fallback
     React.useEffect(() => {
-        if (loading || error) return;
+        if (loading || error || (runId && !streamFailed)) return;
         
         const pollInterval = setInterval(() => {
-            fetch('/api/v1/scan-results')
+            fetch('/api/v1/scans/latest/results')
                 .then(res => res.json())
                 .then(data => {
                     if (data.success && data.all_results) {
-                        const resultsMap = {};
-                        data.all_results.forEach(r => {
-                            // Normalize Key from result
-                            const key = normalizeUrl(r.source_url);
-                            if (!resultsMap[key] || r.prediction === 'Fake') {
-                                resultsMap[key] = r;
-                            }
-                        });
-                        setScanResults(resultsMap);
-                        setStats({
-                            total: data.summary?.total_scanned || 0,
-                            found: data.summary?.deepfakes_found || 0
-                        });
+                        setRun(data.run);
+                        setScanResults(toResultsMap(data.all_results));
+                        setReuploads(toReuploads(data.all_results));
+                        applySummary(data.summary);
+                        loadCaseMatches(scanCaseId, setMatches);
                     }
                 })
                 .catch(console.error);
         }, 2000); 
 
         return () => clearInterval(pollInterval);
-    }, [loading, error]);
+    }, [loading, error, runId, streamFailed, scanCaseId]);
 
     const initiateScan = async () => {
         if (scanInitiated) return;
         setScanInitiated(true);
         try {
-            await fetch('/api/v1/global-scan', { method: 'POST' });
+            // 409 means a scan is already running; the overlay just follows it
+            const res = await fetch('/api/v1/scans', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(scanCaseId ? { caseId: scanCaseId } : {})
+            });
+            const data = await res.json();
+            if (data.data) setRun(data.data);
+            else if (!res.ok) setError(data.error || "Failed to start the scan");
         } catch (e) {
             console.error("Scan trigger failed", e);
         }
     };
 
-    const progressPercentage = websites.length > 0 ? (stats.total / websites.length) * 100 : 0;
+    const cancelScan = async () => {
+        if (!run) return;
+        try {
+            const res = await fetch(`/api/v1/scans/${run.runId}/cancel`, { method: 'POST' });
+            const data = await res.json();
+            if (data.data) setRun(data.data);
+        } catch (e) {
+            console.error("Scan cancel failed", e);
+        }
+    };
+
+    const progressPercentage = websites.length > 0 ? Math.min(stats.sites / websites.length, 1) * 100 : 0;
 
     return (
         <div style={{
@@ -264,16 +403,16 @@ const LegalOptions = ({ caseData, onBack }) => {
                             <div>
                                 <h2 style={{ margin: 0, fontSize: '1.5rem', letterSpacing: '-0.5px' }}>Global Deepfake Scan</h2>
                                 <p style={{ margin: '4px 0 0', color: 'var(--text-muted)', fontSize: '0.9rem' }}>
-                                    Active Real-time Monitoring
+                                    {scanCaseId ? `Matching faces from case ${scanCaseId}` : 'Active Real-time Monitoring'}
                                 </p>
                             </div>
                         </div>
                         <div style={{ textAlign: 'right' }}>
-                             <div style={{ fontSize: '2rem', fontWeight: 700, color: stats.found > 0 ? '#F87171' : '#34D399' }}>
-                                {stats.found}
+                             <div style={{ fontSize: '2rem', fontWeight: 700, color: (scanCaseId ? matches.length : stats.found) > 0 ? '#F87171' : '#34D399' }}>
+                                {scanCaseId ? matches.length : stats.found}
                              </div>
                              <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', textTransform: 'uppercase', letterSpacing: '1px' }}>
-                                Deepfakes Detected
+                                {scanCaseId ? 'Fakes of the Victim' : 'Deepfakes Detected'}
                              </div>
                         </div>
                     </div>
@@ -288,7 +427,10 @@ const LegalOptions = ({ caseData, onBack }) => {
                         }} />
                     </div>
                     <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '8px', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
-                        <span>Scanning: {stats.total} / {websites.length} websites</span>
+                        <span>
+                            Scanning: {stats.sites} / {websites.length} websites · {stats.total} images
+                            {stats.knownBad > 0 && ` · ${stats.knownBad} known re-uploads`}
+                        </span>
                         <span>{Math.round(progressPercentage)}% Complete</span>
                     </div>
                 </div>
@@ -307,11 +449,62 @@ const LegalOptions = ({ caseData, onBack }) => {
                         </div>
                     ) : (
                         <div style={{ display: 'grid', gap: '8px' }}>
+                            {matches.length > 0 && (
+                                <div style={{ display: 'grid', gap: '8px', marginBottom: '12px' }}>
+                                    <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', textTransform: 'uppercase', letterSpacing: '1px' }}>
+                                        Likely fakes of the victim, most similar first
+                                    </div>
+                                    {matches.map(match => (
+                                        <a
+                                            key={`${match.image_url}-${match.sha256}`}
+                                            href={match.image_url}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            style={{ display: 'flex', alignItems: 'center', gap: '12px', padding: '10px', background: 'rgba(220, 38, 38, 0.1)', border: '1px solid rgba(220, 38, 38, 0.3)', borderRadius: '12px', color: 'var(--text-main)', textDecoration: 'none' }}
+                                        >
+                                            <img src={match.image_url} alt="" style={{ width: '48px', height: '48px', objectFit: 'cover', borderRadius: '8px', flexShrink: 0 }} />
+                                            <span style={{ flex: 1, fontFamily: 'var(--font-mono)', fontSize: '0.85rem', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{match.source_url}</span>
+                                            <span style={{ textAlign: 'right', fontSize: '0.75rem', color: 'var(--text-muted)', flexShrink: 0 }}>
+                                                <span style={{ display: 'block', color: '#F87171', fontWeight: 700 }}>{Math.round(match.similarity * 100)}% face match</span>
+                                                {match.fake_probability != null && `${Math.round(match.fake_probability * 100)}% likely manipulated`}
+                                            </span>
+                                        </a>
+                                    ))}
+                                </div>
+                            )}
+                            {reuploads.length > 0 && (
+                                <div style={{ display: 'grid', gap: '8px', marginBottom: '12px' }}>
+                                    <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', textTransform: 'uppercase', letterSpacing: '1px' }}>
+                                        Re-uploads of confirmed deepfakes
+                                    </div>
+                                    {reuploads.map(item => (
+                                        <a
+                                            key={`${item.image_url}-${item.sha256}`}
+                                            href={item.image_url}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            style={{ display: 'flex', alignItems: 'center', gap: '12px', padding: '10px', background: 'rgba(220, 38, 38, 0.1)', border: '1px solid rgba(220, 38, 38, 0.3)', borderRadius: '12px', color: 'var(--text-main)', textDecoration: 'none' }}
+                                        >
+                                            <img src={item.image_url} alt="" style={{ width: '48px', height: '48px', objectFit: 'cover', borderRadius: '8px', flexShrink: 0 }} />
+                                            <span style={{ flex: 1, fontFamily: 'var(--font-mono)', fontSize: '0.85rem', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{item.page_url || item.source_url}</span>
+                                            <span style={{ textAlign: 'right', fontSize: '0.75rem', color: 'var(--text-muted)', flexShrink: 0 }}>
+                                                <span style={{ display: 'block', color: '#F87171', fontWeight: 700 }}>
+                                                    {item.known_bad.distance === 0 ? 'Exact copy' : `${item.known_bad.distance}/64 bits apart`}
+                                                </span>
+                                                Classifier: {item.prediction || 'not scored'}
+                                            </span>
+                                        </a>
+                                    ))}
+                                </div>
+                            )}
                             {websites.map((site, idx) => {
                                 const key = normalizeUrl(site);
                                 const result = scanResults[key];
-                                const isFake = result?.prediction === 'Fake';
+                                // A known re-upload counts as a threat even when the classifier is unsure
+                                const isKnownBad = Boolean(result?.known_bad) && result.prediction !== 'Fake';
+                                const isFake = result?.prediction === 'Fake' || isKnownBad;
                                 const isSafe = result?.prediction === 'Real';
+                                const isInconclusive = result?.prediction === 'Inconclusive';
                                 
                                 return (
                                     <div key={idx} style={{ 
@@ -329,7 +522,7 @@ const LegalOptions = ({ caseData, onBack }) => {
                                                 display: 'flex', alignItems: 'center', justifyContent: 'center'
                                             }}>
                                                 {result ? (
-                                                    isFake ? <AlertTriangle size={16} color="#F87171" /> : <CheckCircle size={16} color="#34D399" />
+                                                    isFake ? <AlertTriangle size={16} color="#F87171" /> : (isInconclusive ? <AlertTriangle size={16} color="#FBBF24" /> : <CheckCircle size={16} color="#34D399" />)
                                                 ) : (
                                                     <div style={{ 
                                                         width: '8px', height: '8px', borderRadius: '50%', 
@@ -345,13 +538,13 @@ const LegalOptions = ({ caseData, onBack }) => {
                                                 <div style={{ textAlign: 'right' }}>
                                                     <div style={{ 
                                                         fontSize: '0.85rem', 
-                                                        color: isFake ? '#F87171' : '#34D399',
+                                                        color: isFake ? '#F87171' : (isInconclusive ? '#FBBF24' : '#34D399'),
                                                         fontWeight: 700, letterSpacing: '0.5px'
                                                     }}>
-                                                        {isFake ? 'THREAT DETECTED' : 'SAFE'}
+                                                        {isKnownBad ? 'KNOWN DEEPFAKE' : (isFake ? 'THREAT DETECTED' : (isInconclusive ? 'NEEDS REVIEW' : 'SAFE'))}
                                                     </div>
                                                     <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
-                                                        {result.confidence}% Confidence
+                                                        {isKnownBad ? 'Re-upload of a confirmed fake' : `${result.confidence}% Confidence`}
                                                     </div>
                                                 </div>
                                             ) : (
@@ -368,13 +561,38 @@ const LegalOptions = ({ caseData, onBack }) => {
                 </div>
 
                 <div style={{ padding: '16px', borderTop: '1px solid var(--border-color)', background: 'rgba(0,0,0,0.2)', fontSize: '0.85rem', color: 'var(--text-muted)', textAlign: 'center' }}>
-                    <p style={{ margin: 0 }}>Scan running in secure background environment. This window can be minimized.</p>
+                    {run && run.status !== 'running' ? (
+                        <p style={{ margin: 0 }}>Scan {run.runId} {run.status}.</p>
+                    ) : (
+                        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '12px' }}>
+                            <p style={{ margin: 0 }}>Scan running in secure background environment. This window can be minimized.</p>
+                            {run && (
+                                <button
+                                    onClick={cancelScan}
+                                    disabled={Boolean(run.cancelledAt)}
+                                    style={{ background: 'transparent', border: '1px solid #EF4444', color: '#EF4444', borderRadius: '8px', padding: '4px 12px', cursor: 'pointer', fontSize: '0.8rem', flexShrink: 0 }}
+                                >
+                                    {run.cancelledAt ? 'Stopping...' : 'Stop Scan'}
+                                </button>
+                            )}
+                        </div>
+                    )}
                 </div>
             </div>
         </div>
     );
   };
 
+  if (loadError) return (
+    <div className="glass-card" style={{ padding: '40px', textAlign: 'center', color: '#EF4444' }}>
+      <AlertTriangle size={48} style={{ marginBottom: '16px' }} />
+      <h3>Case Unavailable</h3>
+      <p>{loadError}</p>
+    </div>
+  );
+
+  if (!caseData) return <div className="loading-screen">Loading Case File...</div>;
+
   return (
     <div className="legal-options-container">
       {showScanOverlay && <ScanOverlay />}
@@ -382,7 +600,7 @@ const LegalOptions = ({ caseData, onBack }) => {
         <ReportingGuide />
       ) : (
         <>
-          <button onClick={onBack} className="btn-back">
+          <button onClick={() => onBack(caseData)} className="btn-back">
             <ArrowLeft size={16} />
             Edit Information
           </button>
@@ -416,13 +634,16 @@ const LegalOptions = ({ caseData, onBack }) => {
               onClick={() => setShowGuide(true)}
             />
 
-            <OptionCard
-              icon={AlertTriangle}
-              title="Platform Report"
-              description="Initiate a global deepfake scan across all monitored websites."
-              badge="ACTION REQUIRED"
-              onClick={handlePlatformReport} 
-            />
+            {/* Global scans are run by advocates on the victim's behalf */}
+            {isStaff(user) && (
+              <OptionCard
+                icon={AlertTriangle}
+                title="Platform Report"
+                description="Initiate a global deepfake scan across all monitored websites."
+                badge="ACTION REQUIRED"
+                onClick={handlePlatformReport} 
+              />
+            )}
           </div>
         </>
       )}
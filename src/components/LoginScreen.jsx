@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Mail, Lock, User, ArrowRight } from 'lucide-react';
+import { login, register } from '../utils/authApi';
+
+const MIN_PASSWORD_LENGTH = 10;
+
+const LoginScreen = ({ onLogin }) => {
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ name: '', email: '', password: '' });
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  const switchMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isRegister && form.password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    setSubmitting(true);
+    setError('');
+    try {
+      const user = isRegister ? await register(form) : await login(form.email, form.password);
+      onLogin(user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="glass-card form-container" style={{ maxWidth: '480px', margin: '0 auto' }}>
+      <div className="form-header">
+        <h2>{isRegister ? 'Create Your Account' : 'Sign In'}</h2>
+        <p>{isRegister
+          ? 'Your cases and evidence are only visible to you and your advocates.'
+          : 'Sign in to open your case files.'}</p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="evidence-form">
+        <div className="fields-stack">
+          {isRegister && (
+            <div className="input-with-icon">
+              <User className="input-icon" />
+              <input
+                type="text"
+                placeholder="Your name (optional)"
+                className="glass-input"
+                autoComplete="name"
+                value={form.name}
+                onChange={e => setForm({ ...form, name: e.target.value })}
+              />
+            </div>
+          )}
+          <div className="input-with-icon">
+            <Mail className="input-icon" />
+            <input
+              type="email"
+              placeholder="Email"
+              className="glass-input"
+              autoComplete="email"
+              required
+              value={form.email}
+              onChange={e => setForm({ ...form, email: e.target.value })}
+            />
+          </div>
+          <div className="input-with-icon">
+            <Lock className="input-icon" />
+            <input
+              type="password"
+              placeholder="Password"
+              className="glass-input"
+              autoComplete={isRegister ? 'new-password' : 'current-password'}
+              required
+              value={form.password}
+              onChange={e => setForm({ ...form, password: e.target.value })}
+            />
+          </div>
+        </div>
+
+        {error && <div style={{ color: '#EF4444', fontSize: '0.9rem' }}>{error}</div>}
+
+        <button type="submit" className="btn-primary btn-block" disabled={submitting}>
+          {submitting ? 'Please wait...' : (isRegister ? 'Create Account' : 'Sign In')}
+          <ArrowRight className="btn-icon" />
+        </button>
+      </form>
+
+      <p style={{ marginTop: '24px', textAlign: 'center', color: 'var(--text-muted)' }}>
+        {isRegister ? 'Already have an account?' : 'New here?'}{' '}
+        <button
+          type="button"
+          onClick={switchMode}
+          style={{ background: 'none', border: 'none', color: 'var(--primary)', cursor: 'pointer', padding: 0, font: 'inherit' }}
+        >
+          {isRegister ? 'Sign in' : 'Create an account'}
+        </button>
+      </p>
+    </div>
+  );
+};
+
+export default LoginScreen;
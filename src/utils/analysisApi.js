@@ -0,0 +1,92 @@
+// Client for the asynchronous analysis API: submit files, then poll their job.
+
+const POLL_INTERVAL_MS = 1500;
+// Give up on a job that has not finished in this long (video analysis is the slowest)
+const JOB_TIMEOUT_MS = 15 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const readBody = async (res) => {
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok || !body.success) {
+    throw new Error(body.error || `Request failed (${res.status})`);
+  }
+  return body.data;
+};
+
+// Queue several files as one batch; returns the job ID and each file's hash in upload order
+// Pass { explain: true } to also get a Grad-CAM heatmap for each image, and
+// { model } to pick a registered detector or 'ensemble' instead of the default
+export const submitBatch = async (fileObjs, caseId, { explain = false, model } = {}) => {
+  const uploadData = new FormData();
+  fileObjs.forEach(fileObj => uploadData.append('images', fileObj.file));
+  uploadData.append('categories', JSON.stringify(fileObjs.map(fileObj => fileObj.category)));
+  if (caseId) uploadData.append('caseId', caseId);
+  if (explain) uploadData.append('explain', 'true');
+  if (model) uploadData.append('model', model);
+
+  const res = await fetch('/api/v1/analyze/batch', { method: 'POST', body: uploadData });
+  return readBody(res);
+};
+
+// Queue an original-vs-suspect image comparison; returns the job ID and both file hashes
+export const submitComparison = async (original, suspect, caseId) => {
+  const uploadData = new FormData();
+  uploadData.append('original', original.file);
+  uploadData.append('suspect', suspect.file);
+  if (caseId) uploadData.append('caseId', caseId);
+
+  const res = await fetch('/api/v1/analyze/compare', { method: 'POST', body: uploadData });
+  return readBody(res);
+};
+
+// Registered detector models and the members an ensemble run would use
+export const fetchModels = async () => {
+  const res = await fetch('/api/v1/models');
+  return readBody(res);
+};
+
+// Report a misclassified result; the file is queued for review and, once
+// approved, curated into the training dataset with the corrected label
+export const submitReview = async (result, correctedLabel, caseId, note) => {
+  const res = await fetch('/api/v1/reviews', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      sha256: result.sha256,
+      correctedLabel,
+      caseId,
+      fileName: result.fileName,
+      prediction: {
+        label: result.label,
+        verdict: result.verdict,
+        fakeProbability: result.fakeProbability,
+        modelId: result.modelId,
+        modelVersion: result.modelVersion
+      },
+      note
+    })
+  });
+  return readBody(res);
+};
+
+export const getJob = async (jobId) => {
+  const res = await fetch(`/api/v1/jobs/${jobId}`);
+  return readBody(res);
+};
+
+// Poll a job until it finishes; resolves with its result or throws its error,
+// or a timeout error if it is still not done after timeoutMs
+export const waitForJob = async (jobId, onStatus, { timeoutMs = JOB_TIMEOUT_MS } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await getJob(jobId);
+    if (onStatus) onStatus(job.status);
+    if (job.status === 'done') return job.result;
+    if (job.status === 'failed') throw new Error(job.error || 'Analysis failed');
+    if (Date.now() + POLL_INTERVAL_MS > deadline) {
+      throw new Error(`Analysis did not finish within ${Math.round(timeoutMs / 60000)} minutes; please try again`);
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+};
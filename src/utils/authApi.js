@@ -0,0 +1,48 @@
+// Client for the /api/v1/auth endpoints. The session is kept in an HttpOnly
+// cookie the browser sends with every /api request, so the other API clients
+// need nothing extra.
+
+const request = async (url, options = {}) => {
+  const res = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok || !body.success) {
+    throw new Error(body.error || `Request failed (${res.status})`);
+  }
+  return body.data;
+};
+
+// The signed-in user, or null when there is no valid session
+export const fetchCurrentUser = async () => {
+  const res = await fetch('/api/v1/auth/me');
+  if (res.status === 401) return null;
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok || !body.success) {
+    throw new Error(body.error || `Request failed (${res.status})`);
+  }
+  return body.data;
+};
+
+export const login = async (email, password) => {
+  const data = await request('/api/v1/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ email, password })
+  });
+  return data.user;
+};
+
+// Victims create their own accounts; advocates are added by an admin
+export const register = async ({ name, email, password }) => {
+  const data = await request('/api/v1/auth/register', {
+    method: 'POST',
+    body: JSON.stringify({ name, email, password })
+  });
+  return data.user;
+};
+
+export const logout = () => request('/api/v1/auth/logout', { method: 'POST' });
+
+// Advocates and admins work on every case and can run global scans
+export const isStaff = (user) => ['advocate', 'admin'].includes(user?.role);
@@ -0,0 +1,122 @@
+// Client for the /api/v1/cases and /api/v1/evidence endpoints.
+// Case details live in the case document; evidence files are stored by SHA-256.
+
+const EVIDENCE_FIELDS = ['screenshotImage', 'originalImage', 'deepfakeImage'];
+
+const CASE_FIELDS = ['incidentType', 'offender', 'platform', 'countryCode', 'offenderPhone', 'statement', 'scanResults', 'comparisons'];
+
+// Map a server case document onto the shape the form and PDF generator use
+const toClientCase = (doc) => ({
+  ...doc,
+  id: doc.caseId,
+  timestamp: doc.createdAt
+});
+
+const toPayload = (data) => {
+  const payload = {};
+  CASE_FIELDS.forEach(key => {
+    if (data[key] !== undefined) payload[key] = data[key];
+  });
+  // Previews are in-browser copies of the evidence; the store already has the file
+  ['scanResults', 'comparisons'].forEach(key => {
+    if (payload[key]) {
+      payload[key] = payload[key].map(res => {
+        const { preview: _preview, ...result } = res;
+        return result;
+      });
+    }
+  });
+  return payload;
+};
+
+const scanKey = (res) => res.sha256 || res.fileName;
+const comparisonKey = (c) => `${c.original?.sha256 || c.original?.fileName}|${c.suspect?.sha256 || c.suspect?.fileName}`;
+
+const restorePreviews = (stored = [], local = [], keyOf) => {
+  const previews = new Map(local.filter(item => item.preview).map(item => [keyOf(item), item.preview]));
+  return stored.map(item => (previews.has(keyOf(item)) ? { ...item, preview: previews.get(keyOf(item)) } : item));
+};
+
+// The server never stores previews (toPayload strips them), so a freshly
+// loaded case would lose the images the PDF draws heatmaps and diff masks
+// next to. Put the in-browser previews back onto the stored results.
+export const withLocalPreviews = (stored, local) => ({
+  ...stored,
+  scanResults: restorePreviews(stored.scanResults, local.scanResults, scanKey),
+  comparisons: restorePreviews(stored.comparisons, local.comparisons, comparisonKey)
+});
+
+const request = async (url, options = {}) => {
+  const res = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok || !body.success) {
+    throw new Error(body.error || `Request failed (${res.status})`);
+  }
+  return body.data;
+};
+
+export const createCase = async (data) => {
+  const doc = await request('/api/v1/cases', {
+    method: 'POST',
+    body: JSON.stringify(toPayload(data))
+  });
+  return toClientCase(doc);
+};
+
+export const updateCase = async (caseId, data) => {
+  const doc = await request(`/api/v1/cases/${caseId}`, {
+    method: 'PUT',
+    body: JSON.stringify(toPayload(data))
+  });
+  return toClientCase(doc);
+};
+
+export const fetchCase = async (caseId) => {
+  const doc = await request(`/api/v1/cases/${caseId}`);
+  return toClientCase(doc);
+};
+
+// Upload any evidence files that have not been stored yet and tag each one with its SHA-256
+export const uploadEvidence = async (caseId, data) => {
+  const uploadData = new FormData();
+  uploadData.append('caseId', caseId);
+
+  let pending = 0;
+  EVIDENCE_FIELDS.forEach(field => {
+    (data[field] || []).forEach(fileObj => {
+      if (fileObj.file && !fileObj.sha256) {
+        uploadData.append(field, fileObj.file);
+        pending++;
+      }
+    });
+  });
+
+  if (pending === 0) return data;
+
+  const res = await fetch('/api/v1/evidence', { method: 'POST', body: uploadData });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok || !body.success) {
+    throw new Error(body.error || `Evidence upload failed (${res.status})`);
+  }
+
+  const tagged = { ...data };
+  EVIDENCE_FIELDS.forEach(field => {
+    const refs = [...(body.data[field] || [])];
+    tagged[field] = (data[field] || []).map(fileObj => (
+      fileObj.file && !fileObj.sha256 ? { ...fileObj, sha256: refs.shift()?.sha256 } : fileObj
+    ));
+  });
+  return tagged;
+};
+
+// Log a case file export in the custody record of every evidence file
+export const recordExport = (caseId) => request(`/api/v1/cases/${caseId}/export`, {
+  method: 'POST',
+  body: JSON.stringify({ format: 'PDF' })
+});
+
+// Fakes found by case scans that resemble the victim's original photos, most similar first
+export const fetchCaseMatches = (caseId) => request(`/api/v1/cases/${caseId}/matches`);
@@ -0,0 +1,39 @@
+// Turns the analysis API's metadata report into labelled rows for the scan panel and PDF.
+// Rows marked `flag` are the ones worth pointing out in a complaint.
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+};
+
+export const metadataRows = (metadata) => {
+  if (!metadata) return [];
+  const { exif = {}, xmp = {}, c2pa = {} } = metadata;
+  const rows = [];
+  const add = (label, value, flag = false) => {
+    if (value !== undefined && value !== null && value !== '') rows.push({ label, value: String(value), flag });
+  };
+
+  add('File', `${metadata.format || 'Unknown'} ${metadata.width}x${metadata.height}, ${formatBytes(metadata.fileSize)}`);
+  add('Camera', [exif.cameraMake, exif.cameraModel].filter(Boolean).join(' ') || undefined);
+  add('Lens', exif.lensModel);
+  add('Created', exif.created || xmp.created);
+  add('Modified', exif.modified || xmp.modified);
+  add('Software', exif.software || xmp.creatorTool);
+  if (metadata.hasGps) add('Location', 'GPS coordinates embedded');
+
+  if (c2pa.present) {
+    add('Content Credentials', [
+      'C2PA manifest present (signature not verified)',
+      c2pa.claimGenerator && `generator: ${c2pa.claimGenerator}`,
+      c2pa.actions?.length && `actions: ${c2pa.actions.join(', ')}`
+    ].filter(Boolean).join('; '), Boolean(c2pa.aiGenerated));
+  }
+
+  if (metadata.editingSoftware?.length) add('Editing traces', metadata.editingSoftware.join(', '), true);
+  if (metadata.aiGeneratorSignatures?.length) add('AI generator traces', metadata.aiGeneratorSignatures.join(', '), true);
+  if (metadata.cameraMetadataMissing) add('Camera data', 'None (typical of screenshots, re-saved or generated images)');
+
+  return rows;
+};
@@ -1,4 +1,9 @@
 import { jsPDF } from 'jspdf';
+import { metadataRows } from './metadataReport';
+import { verdictOf, scoreVerdict } from './verdicts';
+
+// Red for fake, amber for inconclusive, green for real
+const VERDICT_RGB = { fake: [220, 53, 69], inconclusive: [217, 119, 6], real: [25, 135, 84] };
 
 export const generateCaseFile = (data) => {
   const doc = new jsPDF();
@@ -118,11 +123,12 @@ export const generateCaseFile = (data) => {
 
     doc.setFontSize(10);
     data.scanResults.forEach((res) => {
+      const fakeProbability = res.fakeProbability ?? (res.isFake ? res.confidence / 100 : 1 - res.confidence / 100);
       const resultText = res.error 
         ? `Error: ${res.error}` 
-        : `${res.label.toUpperCase()} (${res.confidence.toFixed(1)}%)`;
+        : `${res.label.toUpperCase()} (${(fakeProbability * 100).toFixed(1)}%)`;
       
-      const color = res.isFake ? [220, 53, 69] : (res.error ? [100, 100, 100] : [25, 135, 84]);
+      const color = res.error ? [100, 100, 100] : VERDICT_RGB[verdictOf(res)];
 
       // 1. File Name (Truncated)
       doc.setFont('helvetica', 'bold');
@@ -146,9 +152,248 @@ export const generateCaseFile = (data) => {
       
       yPos += 12; // Spacing
     });
-    yPos += 10; 
+    yPos += 4;
+
+    // What the numbers mean, so the report does not overstate the model
+    const scored = data.scanResults.filter(res => !res.error);
+    const uncalibrated = scored.some(res => res.calibrated === false);
+    const band = scored.find(res => res.decision)?.decision;
+    const note = [
+      'Percentages are the detector\'s estimated probability that a file was manipulated, not a measure of certainty.',
+      band
+        ? `Files at or above ${Math.round(band.fakeMin * 100)}% are reported as likely AI-generated, at or below ${Math.round(band.realMax * 100)}% as likely authentic, and anything in between as inconclusive.`
+        : '',
+      uncalibrated
+        ? 'At least one model has not yet been calibrated against held-out data, so its percentages are raw model scores.'
+        : '',
+      'Automated detection can be wrong and should be confirmed by a forensic examiner.'
+    ].filter(Boolean).join(' ');
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(8);
+    doc.setTextColor(100);
+    const noteLines = doc.splitTextToSize(note, pageWidth - (margin * 2));
+    checkPageBreak(noteLines.length * 4);
+    doc.text(noteLines, margin, yPos);
+    yPos += noteLines.length * 4 + 8;
+
+    // Video Frame Timelines
+    data.scanResults.filter(res => res.video && !res.error).forEach((res) => {
+      const { video } = res;
+      checkPageBreak(95);
+
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(11);
+      doc.setTextColor(30, 58, 138);
+      doc.text(`Video Frame Analysis: ${res.fileName}`, margin, yPos);
+      yPos += 6;
+
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(9);
+      doc.setTextColor(80);
+      doc.text(
+        `${video.framesSampled} frames sampled over ${video.durationSeconds.toFixed(1)}s - ` +
+        `${Math.round(video.fakeFrameRatio * 100)}% flagged as manipulated, peak ${(video.maxFakeProbability * 100).toFixed(1)}%`,
+        margin, yPos
+      );
+      yPos += 6;
+
+      // Chart: one bar per sampled frame, height = fake probability, dashed line at 50%
+      const chartWidth = pageWidth - (margin * 2);
+      const chartHeight = 30;
+      doc.setDrawColor(200);
+      doc.setFillColor(248, 250, 252);
+      doc.rect(margin, yPos, chartWidth, chartHeight, 'FD');
+
+      const barWidth = chartWidth / video.timeline.length;
+      video.timeline.forEach((point, i) => {
+        const barHeight = Math.max(point.fakeProbability * chartHeight, 0.5);
+        doc.setFillColor(...VERDICT_RGB[scoreVerdict(point.fakeProbability, res.decision)]);
+        doc.rect(margin + i * barWidth + 0.3, yPos + chartHeight - barHeight, Math.max(barWidth - 0.6, 0.4), barHeight, 'F');
+      });
+
+      doc.setLineDashPattern([1, 1], 0);
+      doc.line(margin, yPos + chartHeight / 2, margin + chartWidth, yPos + chartHeight / 2);
+      doc.setLineDashPattern([], 0);
+
+      doc.setFontSize(7);
+      doc.setTextColor(120);
+      doc.text('0s', margin, yPos + chartHeight + 4);
+      doc.text(`${video.durationSeconds.toFixed(1)}s`, margin + chartWidth, yPos + chartHeight + 4, { align: 'right' });
+      doc.text('50%', margin + chartWidth + 1, yPos + chartHeight / 2 + 1);
+      yPos += chartHeight + 10;
+
+      // Most suspicious frames
+      if (video.suspiciousFrames?.length > 0) {
+        const thumbWidth = 50;
+        let thumbX = margin;
+        let rowHeight = 0;
+        video.suspiciousFrames.forEach((frame) => {
+          try {
+            const props = doc.getImageProperties(frame.thumbnail);
+            const thumbHeight = (props.height * thumbWidth) / props.width;
+            doc.addImage(frame.thumbnail, 'JPEG', thumbX, yPos, thumbWidth, thumbHeight);
+            doc.setFontSize(7);
+            doc.setTextColor(100);
+            doc.text(`${frame.time.toFixed(1)}s - ${(frame.fakeProbability * 100).toFixed(0)}% fake`, thumbX, yPos + thumbHeight + 4);
+            rowHeight = Math.max(rowHeight, thumbHeight + 6);
+          } catch (e) {
+            console.error("PDF Frame Thumbnail Error:", e);
+          }
+          thumbX += thumbWidth + 5;
+        });
+        yPos += rowHeight + 6;
+      }
+    });
+
+    // Per-model votes for files scanned in ensemble mode
+    data.scanResults.filter(res => res.votes && !res.error).forEach((res) => {
+      checkPageBreak(12 + res.votes.length * 5);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(11);
+      doc.setTextColor(30, 58, 138);
+      doc.text(`Model Votes: ${res.fileName}`, margin, yPos);
+      yPos += 6;
+
+      doc.setFontSize(9);
+      res.votes.forEach((vote) => {
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(80);
+        doc.text(`${vote.modelId} v${vote.version} (${(vote.targets || []).join(', ')}), weight ${vote.weight}`, margin, yPos);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(...(VERDICT_RGB[vote.verdict] || [100, 100, 100]));
+        doc.text(`${vote.label.toUpperCase()} - ${(vote.fakeProbability * 100).toFixed(1)}% fake`, pageWidth - margin, yPos, { align: 'right' });
+        yPos += 5;
+      });
+      yPos += 6;
+    });
+
+    // File metadata per analyzed file
+    data.scanResults.filter(res => res.metadata && !res.error).forEach((res) => {
+      const rows = metadataRows(res.metadata);
+      checkPageBreak(12 + rows.length * 5);
+
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(11);
+      doc.setTextColor(30, 58, 138);
+      doc.text(`File Metadata: ${res.fileName}`, margin, yPos);
+      yPos += 6;
+
+      doc.setFontSize(9);
+      rows.forEach((row) => {
+        const valueLines = doc.splitTextToSize(row.value, pageWidth - (margin * 2) - 45);
+        checkPageBreak(valueLines.length * 4 + 1);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(80);
+        doc.text(`${row.label}:`, margin, yPos);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(...(row.flag ? [220, 53, 69] : [0, 0, 0]));
+        doc.text(valueLines, margin + 45, yPos);
+        yPos += valueLines.length * 4 + 1;
+      });
+      yPos += 6;
+    });
+
+    // Grad-CAM heatmaps: evidence on the left, evidence under the heatmap on the right
+    data.scanResults.filter(res => res.heatmap && !res.error).forEach((res) => {
+      try {
+        const imgWidth = 80;
+        const props = doc.getImageProperties(res.heatmap.overlay);
+        let imgHeight = (props.height * imgWidth) / props.width;
+        if (imgHeight > 110) imgHeight = 110;
+        checkPageBreak(imgHeight + 25);
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(11);
+        doc.setTextColor(30, 58, 138);
+        doc.text(`Model Attention Heatmap: ${res.fileName}`, margin, yPos);
+        yPos += 6;
+
+        const rightX = res.preview ? margin + imgWidth + 10 : margin;
+        if (res.preview) {
+          const format = res.preview.match(/^data:image\/(\w+);base64,/)?.[1]?.toUpperCase() || 'JPEG';
+          const validFormat = ['PNG', 'JPEG', 'JPG', 'WEBP'].includes(format) ? format : 'JPEG';
+          doc.addImage(res.preview, validFormat, margin, yPos, imgWidth, imgHeight);
+          doc.addImage(res.preview, validFormat, rightX, yPos, imgWidth, imgHeight);
+        }
+        doc.addImage(res.heatmap.overlay, 'PNG', rightX, yPos, imgWidth, imgHeight);
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(7);
+        doc.setTextColor(100);
+        doc.text(
+          'Warmer areas had the most influence on the "fake" score (Grad-CAM). They indicate where the model looked, not proof of manipulation.',
+          margin, yPos + imgHeight + 5, { maxWidth: pageWidth - (margin * 2) }
+        );
+        yPos += imgHeight + 15;
+      } catch (e) {
+        console.error("PDF Heatmap Error:", e);
+      }
+    });
   }
-  
+
+  // Original vs Suspect Comparison Section
+  const comparisons = (data.comparisons || []).filter(c => !c.error && !c.loading);
+  if (comparisons.length > 0) {
+    checkPageBreak(40);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(14);
+    doc.setTextColor(30, 58, 138);
+    doc.text('Original vs Suspect Comparison', margin, yPos);
+    yPos += 10;
+
+    comparisons.forEach((comparison) => {
+      checkPageBreak(30);
+      const color = comparison.likelyDerived ? [220, 53, 69] : [25, 135, 84];
+
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(10);
+      doc.setTextColor(0);
+      doc.text(`${comparison.original.fileName}  vs  ${comparison.suspect.fileName}`, margin, yPos);
+      doc.setTextColor(...color);
+      doc.text(comparison.likelyDerived ? 'Derived from original' : 'No clear match', pageWidth - margin, yPos, { align: 'right' });
+      yPos += 6;
+
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(9);
+      doc.setTextColor(80);
+      doc.text(
+        `Structural similarity (SSIM): ${(comparison.ssim * 100).toFixed(1)}%   ` +
+        `Perceptual hash distance: ${comparison.phash.distance}/64   ` +
+        `Changed area: ${(comparison.changedRatio * 100).toFixed(1)}%`,
+        margin, yPos
+      );
+      yPos += 5;
+      if (comparison.original.sha256 && comparison.suspect.sha256) {
+        doc.setFont('courier', 'normal');
+        doc.setFontSize(7);
+        doc.text(`Original SHA-256: ${comparison.original.sha256}`, margin, yPos);
+        doc.text(`Suspect SHA-256:  ${comparison.suspect.sha256}`, margin, yPos + 4);
+        yPos += 8;
+      }
+      yPos += 3;
+
+      // Regions that differ, drawn over the original the suspect was aligned to
+      try {
+        const imgWidth = 80;
+        const props = doc.getImageProperties(comparison.diffMask);
+        const imgHeight = Math.min((props.height * imgWidth) / props.width, 110);
+        checkPageBreak(imgHeight + 12);
+        if (comparison.preview) {
+          const format = comparison.preview.match(/^data:image\/(\w+);base64,/)?.[1]?.toUpperCase() || 'JPEG';
+          doc.addImage(comparison.preview, ['PNG', 'JPEG', 'JPG', 'WEBP'].includes(format) ? format : 'JPEG', margin, yPos, imgWidth, imgHeight);
+        }
+        doc.addImage(comparison.diffMask, 'PNG', margin, yPos, imgWidth, imgHeight);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(7);
+        doc.setTextColor(100);
+        doc.text('Red: regions of the original that were altered in the suspect.', margin, yPos + imgHeight + 4);
+        yPos += imgHeight + 12;
+      } catch (e) {
+        console.error("PDF Diff Mask Error:", e);
+      }
+    });
+  }
+
   // Evidence Images Handler
   const addEvidenceToDoc = (files, label) => {
     if (!files || files.length === 0) return;
@@ -203,6 +448,12 @@ export const generateCaseFile = (data) => {
           doc.setFontSize(9);
           doc.setTextColor(100);
           doc.text(`Image ${index + 1}: ${file.name}`, margin, yPos + finalHeight + 5);
+          if (file.sha256) {
+            doc.setFont('courier', 'normal');
+            doc.setFontSize(7);
+            doc.text(`SHA-256: ${file.sha256}`, margin, yPos + finalHeight + 10);
+            yPos += 5;
+          }
           
           yPos += finalHeight + 15; 
         } catch (e) {
@@ -228,6 +479,12 @@ export const generateCaseFile = (data) => {
         doc.text(`Filename: ${file.name}`, margin + 5, yPos + 14);
         
         yPos += 30;
+        if (file.sha256) {
+          doc.setFont('courier', 'normal');
+          doc.setFontSize(7);
+          doc.text(`SHA-256: ${file.sha256}`, margin, yPos - 5);
+          yPos += 5;
+        }
       }
     });
     yPos += 10;
@@ -237,6 +494,48 @@ export const generateCaseFile = (data) => {
   addEvidenceToDoc(data.originalImage, 'Evidence 2: Original Content');
   addEvidenceToDoc(data.deepfakeImage, 'Evidence 3: Deepfake Content');
 
+  // Evidence Integrity: hashes recorded by the server when each file was received
+  const hashedFiles = data.evidence?.length > 0
+    ? data.evidence
+    : [
+        ...(data.screenshotImage || []).map(f => ({ ...f, category: 'Screenshot', fileName: f.name })),
+        ...(data.originalImage || []).map(f => ({ ...f, category: 'Original', fileName: f.name })),
+        ...(data.deepfakeImage || []).map(f => ({ ...f, category: 'Suspect', fileName: f.name }))
+      ].filter(f => f.sha256);
+
+  if (hashedFiles.length > 0) {
+    checkPageBreak(30 + hashedFiles.length * 12);
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(14);
+    doc.setTextColor(30, 58, 138);
+    doc.text('Evidence Integrity (SHA-256)', margin, yPos);
+    yPos += 8;
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(100);
+    const note = doc.splitTextToSize(
+      'Each file below was hashed on receipt and is held unchanged in the evidence store. ' +
+      'Re-computing the SHA-256 of a submitted file must reproduce the value listed here.',
+      pageWidth - (margin * 2)
+    );
+    doc.text(note, margin, yPos);
+    yPos += note.length * 4 + 6;
+
+    hashedFiles.forEach((file) => {
+      checkPageBreak(12);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(9);
+      doc.setTextColor(50);
+      doc.text(`[${file.category}] ${file.fileName}`, margin, yPos);
+      doc.setFont('courier', 'normal');
+      doc.setFontSize(8);
+      doc.text(file.sha256, margin, yPos + 5);
+      yPos += 12;
+    });
+  }
+
   // Footer
   const pageCount = doc.internal.getNumberOfPages();
   for (let i = 1; i <= pageCount; i++) {
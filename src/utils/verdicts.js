@@ -0,0 +1,13 @@
+// Verdicts as the scan panel and PDF show them. Results saved before
+// calibration have no verdict or decision band and fall back to the old
+// fake/real flag and a 50% cutoff.
+
+export const verdictOf = (res) => res.verdict || (res.isFake ? 'fake' : 'real');
+
+// Verdict for one score (e.g. a video frame) under the band of the model that produced it
+export const scoreVerdict = (fakeProbability, decision) => {
+  if (!decision) return fakeProbability > 0.5 ? 'fake' : 'real';
+  if (fakeProbability >= decision.fakeMin) return 'fake';
+  if (fakeProbability <= decision.realMax) return 'real';
+  return 'inconclusive';
+};